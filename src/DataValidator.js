@@ -0,0 +1,258 @@
+// DataValidator.js
+// 2026-10-19
+// 年最大降雨量資料的檢核：年份重複或不連續、站號混雜、負值、延時遞增性及可疑的重複值
+
+import { getDurations, isValidRain } from "./statistics.js";
+
+/**
+ * @class DataValidator
+ * @description 在頻率分析前檢核 parseCSV() 解析後的年最大降雨量資料，產生問題清單。
+ * 每個問題附有嚴重程度、類型、說明及相關的資料列索引 (對應 #dataTable 的資料列)，供使用者點選檢視。
+ */
+export class DataValidator {
+
+    /**
+     * @param {Object} [options] - 選項。
+     * @param {number} [options.repeatRunLength=3] - 同一延時連續幾年出現相同雨量即視為可疑。
+     * @param {number} [options.tolerance=0.05] - 延時遞增性檢核的容許誤差 (mm)，用於忽略四捨五入造成的差異。
+     */
+    constructor(options = {}) {
+        this.repeatRunLength = options.repeatRunLength ?? 3;
+        this.tolerance = options.tolerance ?? 0.05;
+
+        /**
+         * 嚴重程度的列舉
+         * @readonly
+         */
+        this.Severity = Object.freeze({
+            Info: 1,
+            Warning: 2,
+            Error: 3
+        });
+
+        /**
+         * 嚴重程度選單
+         * @type {string[]}
+         */
+        this.menuSeverity = ["提示", "警告", "錯誤"];
+
+        /**
+         * 問題類型的列舉
+         * @readonly
+         */
+        this.IssueType = Object.freeze({
+            DuplicateYear: 1,
+            YearGap: 2,
+            YearOrder: 3,
+            MixedStation: 4,
+            NegativeValue: 5,
+            NonMonotonic: 6,
+            RepeatedValue: 7,
+            DuplicateRow: 8
+        });
+
+        /**
+         * 問題類型選單
+         * @type {string[]}
+         */
+        this.menuIssueType = [
+            "年份重複",
+            "年份不連續",
+            "年份未依序排列",
+            "站號不一致",
+            "負值",
+            "長延時雨量小於短延時",
+            "連續年份雨量相同",
+            "不同年份資料完全相同"
+        ];
+    }
+
+    /**
+     * 檢核資料。
+     * @param {Array<Object>} data - parseCSV() 解析後的資料。
+     * @returns {{issues: Array<{severity: number, type: number, message: string, rows: number[], durations: number[]}>,
+     *   counts: Object.<number, number>}}
+     *   依嚴重程度 (由高至低) 排列的問題清單及各嚴重程度的問題數 (以 this.Severity 為鍵值)。
+     *   rows 為相關資料列在 data 中的索引，durations 為相關的延時 (與整列相關者為空陣列)。
+     */
+    validate(data) {
+        const issues = [];
+        if (data && data.length > 0) {
+            const durations = getDurations(data);
+            issues.push(...this.checkYears(data));
+            issues.push(...this.checkStations(data));
+            issues.push(...this.checkNegativeValues(data, durations));
+            issues.push(...this.checkMonotonicity(data, durations));
+            issues.push(...this.checkRepeatedValues(data, durations));
+        }
+        issues.sort((a, b) => b.severity - a.severity || a.rows[0] - b.rows[0]);
+
+        const counts = {};
+        Object.values(this.Severity).forEach(severity => {
+            counts[severity] = issues.filter(issue => issue.severity === severity).length;
+        });
+        return { issues, counts };
+    }
+
+    /**
+     * 建立問題物件。
+     * @private
+     */
+    _issue(severity, type, message, rows, durations = []) {
+        return { severity, type, message, rows, durations };
+    }
+
+    /**
+     * 檢核年份：重複 (錯誤)、未依序排列 (提示) 及不連續 (提示，列出缺少的年份區間)。
+     * @param {Array<Object>} data - 降雨資料。
+     * @returns {Array<Object>} 問題清單。
+     */
+    checkYears(data) {
+        const issues = [];
+        const rowsByYear = new Map();
+        data.forEach((row, index) => {
+            if (!rowsByYear.has(row.year)) rowsByYear.set(row.year, []);
+            rowsByYear.get(row.year).push(index);
+        });
+        rowsByYear.forEach((rows, year) => {
+            if (rows.length > 1) {
+                issues.push(this._issue(this.Severity.Error, this.IssueType.DuplicateYear,
+                    `${year} 年出現 ${rows.length} 次，頻率分析會重複計入。`, rows));
+            }
+        });
+
+        for (let i = 1; i < data.length; i++) {
+            if (data[i].year < data[i - 1].year) {
+                issues.push(this._issue(this.Severity.Info, this.IssueType.YearOrder,
+                    `${data[i].year} 年排在 ${data[i - 1].year} 年之後，資料未依年份排序。`, [i - 1, i]));
+                break;
+            }
+        }
+
+        const years = [...rowsByYear.keys()].sort((a, b) => a - b);
+        for (let i = 1; i < years.length; i++) {
+            if (years[i] - years[i - 1] > 1) {
+                const from = years[i - 1] + 1;
+                const to = years[i] - 1;
+                const range = from === to ? `${from}` : `${from} ~ ${to}`;
+                issues.push(this._issue(this.Severity.Info, this.IssueType.YearGap,
+                    `缺少 ${range} 年 (共 ${to - from + 1} 年) 的資料。`, [rowsByYear.get(years[i])[0]]));
+            }
+        }
+        return issues;
+    }
+
+    /**
+     * 檢核站號是否一致。以出現最多次的站號為主，其餘站號的資料列視為錯誤。
+     * @param {Array<Object>} data - 降雨資料。
+     * @returns {Array<Object>} 問題清單。
+     */
+    checkStations(data) {
+        if (!('staNo' in data[0])) return [];
+        const rowsByStation = new Map();
+        data.forEach((row, index) => {
+            const staNo = String(row.staNo ?? '').trim();
+            if (!rowsByStation.has(staNo)) rowsByStation.set(staNo, []);
+            rowsByStation.get(staNo).push(index);
+        });
+        if (rowsByStation.size <= 1) return [];
+
+        const stations = [...rowsByStation.keys()].sort((a, b) => rowsByStation.get(b).length - rowsByStation.get(a).length);
+        const main = stations[0];
+        return stations.slice(1).map(staNo => this._issue(this.Severity.Error, this.IssueType.MixedStation,
+            `站號 "${staNo || '(空白)'}" 與主要站號 "${main}" 不同 (${rowsByStation.get(staNo).length} 筆)，不同測站的資料不宜合併分析。`,
+            rowsByStation.get(staNo)));
+    }
+
+    /**
+     * 檢核負值 (缺漏值標記 -999、-9999 已於 parseCSV() 轉為 null，不在此列)。
+     * @param {Array<Object>} data - 降雨資料。
+     * @param {number[]} durations - 延時陣列。
+     * @returns {Array<Object>} 問題清單。
+     */
+    checkNegativeValues(data, durations) {
+        const issues = [];
+        data.forEach((row, index) => {
+            const negative = durations.filter(dur => isValidRain(row[dur]) && row[dur] < 0);
+            if (negative.length > 0) {
+                issues.push(this._issue(this.Severity.Error, this.IssueType.NegativeValue,
+                    `${row.year} 年延時 ${negative.join('、')} 分鐘的雨量為負值。`, [index], negative));
+            }
+        });
+        return issues;
+    }
+
+    /**
+     * 檢核同一年中長延時的雨量是否不小於短延時 (年最大累積雨量應隨延時遞增)。缺漏值略過，與前一個有效延時比較。
+     * @param {Array<Object>} data - 降雨資料。
+     * @param {number[]} durations - 延時陣列 (由短至長)。
+     * @returns {Array<Object>} 問題清單。
+     */
+    checkMonotonicity(data, durations) {
+        const issues = [];
+        data.forEach((row, index) => {
+            const pairs = [];
+            let previous = null;
+            durations.forEach(dur => {
+                if (!isValidRain(row[dur])) return;
+                if (previous !== null && row[dur] < row[previous] - this.tolerance) {
+                    pairs.push([previous, dur]);
+                }
+                previous = dur;
+            });
+            if (pairs.length > 0) {
+                const text = pairs.map(([a, b]) => `${b} 分鐘 (${row[b]}) < ${a} 分鐘 (${row[a]})`).join('；');
+                issues.push(this._issue(this.Severity.Warning, this.IssueType.NonMonotonic,
+                    `${row.year} 年：${text}。`, [index], pairs.map(pair => pair[1])));
+            }
+        });
+        return issues;
+    }
+
+    /**
+     * 檢核可疑的重複值：同一延時連續 repeatRunLength 年以上雨量相同 (依年份排序)，
+     * 以及兩個不同年份所有延時的雨量完全相同 (可能為複製貼上的錯誤)。
+     * @param {Array<Object>} data - 降雨資料。
+     * @param {number[]} durations - 延時陣列。
+     * @returns {Array<Object>} 問題清單。
+     */
+    checkRepeatedValues(data, durations) {
+        const issues = [];
+        const order = data.map((row, index) => index).sort((a, b) => data[a].year - data[b].year);
+
+        durations.forEach(dur => {
+            let start = 0;
+            for (let k = 1; k <= order.length; k++) {
+                const same = k < order.length
+                    && isValidRain(data[order[k]][dur])
+                    && data[order[k]][dur] === data[order[start]][dur];
+                if (same) continue;
+                const run = order.slice(start, k);
+                const value = data[order[start]][dur];
+                if (run.length >= this.repeatRunLength && isValidRain(value) && value > 0) {
+                    issues.push(this._issue(this.Severity.Warning, this.IssueType.RepeatedValue,
+                        `延時 ${dur} 分鐘在 ${data[run[0]].year} ~ ${data[run[run.length - 1]].year} 年連續 ${run.length} 年皆為 ${value}。`,
+                        run, [dur]));
+                }
+                start = k;
+            }
+        });
+
+        const rowsByKey = new Map();
+        data.forEach((row, index) => {
+            const values = durations.map(dur => row[dur]);
+            if (values.filter(isValidRain).length < 2) return;
+            const key = JSON.stringify(values);
+            if (!rowsByKey.has(key)) rowsByKey.set(key, []);
+            rowsByKey.get(key).push(index);
+        });
+        rowsByKey.forEach(rows => {
+            const years = [...new Set(rows.map(index => data[index].year))];
+            if (years.length > 1) {
+                issues.push(this._issue(this.Severity.Warning, this.IssueType.DuplicateRow,
+                    `${years.join('、')} 年各延時的雨量完全相同。`, rows));
+            }
+        });
+        return issues;
+    }
+}
@@ -0,0 +1,66 @@
+// DrawDDFChart.js
+// 2026-10-19
+// 繪製雨量-延時-頻率 (DDF) 曲線圖
+
+/**
+ * @class DrawDDFChart
+ * @description 以 Flot.js 繪製 DDF 曲線：橫軸為延時，縱軸為設計雨量，每個重現期一條曲線。
+ */
+export class DrawDDFChart {
+
+    /**
+     * @constructor
+     * @param {string} DOM - 用於繪製圖表的 DOM 元素的 jQuery 選擇器 (例如 "#ddf-Chart")。
+     */
+    constructor(DOM) {
+        this.DOM = DOM;
+        this.colors = ["#9E9E9E", "#03A9F4", "#4CAF50", "#CDDC39", "#FFC107", "#FF9800",
+            "#FF5722", "#F44336", "#9C27B0", "#3F51B5"];
+    }
+
+    /**
+     * 繪製圖表。
+     * @param {Object} design - IDFCurve.designRainfall() 的回傳值 (使用 durations、returnPeriods 及 depth)。
+     */
+    render(design) {
+        const { durations, returnPeriods, depth } = design;
+        const dataset = returnPeriods.map((T, i) => ({
+            label: `${T}年`,
+            color: this.colors[i % this.colors.length],
+            data: durations.map((t, j) => [t, Number.isFinite(depth[i][j]) ? depth[i][j] : null]),
+            lines: { show: true },
+            points: { show: true, radius: 2 }
+        }));
+
+        const options = {
+            xaxis: {
+                min: 0,
+                tickFormatter: function (val, axis) { return val.toFixed(0) },
+                axisLabel: "延時 (分鐘)",
+                axisLabelUseCanvas: true,
+                axisLabelFontSizePixels: 14,
+                axisLabelFontFamily: '微軟正黑體',
+                axisLabelPadding: 10
+            },
+            yaxis: {
+                min: 0,
+                axisLabel: "降雨量(mm)"
+            },
+            grid: {
+                hoverable: true,
+                borderColor: '#ccc',
+                borderWidth: 1
+            },
+            legend: {
+                position: "nw",
+                noColumns: 5,
+                show: true
+            },
+            tooltip: true,
+            tooltipOpts: {
+                content: "%s，延時：%x.0 分鐘，雨量：%y.1 mm"
+            }
+        };
+        $.plot(this.DOM, dataset, options);
+    }
+}
@@ -0,0 +1,82 @@
+// DrawHyetographChart.js
+// 2026-10-19
+// 繪製設計雨型柱狀圖
+
+/**
+ * @class DrawHyetographChart
+ * @description 以 Flot.js 繪製設計雨型：柱狀圖為各時距雨量 (左軸)，折線為累積雨量 (右軸)。
+ */
+export class DrawHyetographChart {
+
+    /**
+     * @constructor
+     * @param {string} DOM - 用於繪製圖表的 DOM 元素的 jQuery 選擇器 (例如 "#hyetograph-Chart")。
+     */
+    constructor(DOM) {
+        this.DOM = DOM;
+    }
+
+    /**
+     * 繪製圖表。
+     * @param {Object} hyetograph - DesignHyetograph.generate() 的回傳值。
+     */
+    render(hyetograph) {
+        const { blocks, timeStep, duration } = hyetograph;
+        const dataset = [{
+            label: "時距雨量(mm)",
+            color: "#2196F3",
+            data: blocks.map(b => [b.start, b.depth]),
+            yaxis: 1,
+            bars: {
+                show: true,
+                barWidth: timeStep,
+                fillColor: { colors: [{ opacity: 0.5 }, { opacity: 1 }] },
+                lineWidth: 1,
+                align: "left"
+            }
+        }, {
+            label: "累積雨量(mm)",
+            color: "#e91e63",
+            data: [[0, 0]].concat(blocks.map(b => [b.end, b.cumulative])),
+            yaxis: 2,
+            lines: { show: true }
+        }];
+
+        const options = {
+            xaxis: {
+                min: 0,
+                max: duration,
+                tickFormatter: function (val, axis) { return val.toFixed(0) },
+                axisLabel: "時間 (分鐘)",
+                axisLabelUseCanvas: true,
+                axisLabelFontSizePixels: 14,
+                axisLabelFontFamily: '微軟正黑體',
+                axisLabelPadding: 10
+            },
+            yaxes: [{
+                position: "left",
+                min: 0,
+                axisLabel: "時距雨量(mm)"
+            }, {
+                position: "right",
+                min: 0,
+                axisLabel: "累積雨量(mm)"
+            }],
+            grid: {
+                hoverable: true,
+                borderColor: '#ccc',
+                borderWidth: 1
+            },
+            legend: {
+                position: "nw",
+                noColumns: 2,
+                show: true
+            },
+            tooltip: true,
+            tooltipOpts: {
+                content: "%s：時間 %x.0 分鐘，%y.1 mm"
+            }
+        };
+        $.plot(this.DOM, dataset, options);
+    }
+}
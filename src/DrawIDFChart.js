@@ -0,0 +1,109 @@
+// DrawIDFChart.js
+// 2026-10-19
+// 繪製降雨強度-延時-頻率 (IDF) 曲線圖
+
+/**
+ * @class DrawIDFChart
+ * @description 以 Flot.js 於雙對數座標繪製 IDF 曲線：
+ * 各重現期的設計降雨強度以點表示，迴歸的降雨強度公式以曲線表示。
+ */
+export class DrawIDFChart {
+
+    /**
+     * @constructor
+     * @param {string} DOM - 用於繪製圖表的 DOM 元素的 jQuery 選擇器 (例如 "#idf-Chart")。
+     */
+    constructor(DOM) {
+        this.DOM = DOM;
+        this.colors = ["#9E9E9E", "#03A9F4", "#4CAF50", "#CDDC39", "#FFC107", "#FF9800",
+            "#FF5722", "#F44336", "#9C27B0", "#3F51B5"];
+    }
+
+    /**
+     * 繪製圖表。
+     * @param {Object} design - IDFCurve.designRainfall() 的回傳值。
+     * @param {Object} fitted - IDFCurve.fit() 的回傳值。
+     * @param {function(number, Object, number, number): number} intensity - 降雨強度公式，
+     *   參數依序為 formulaType、coefficients、延時、重現期 (IDFCurve.intensity())。
+     */
+    render(design, fitted, intensity) {
+        const { durations, returnPeriods } = design;
+        const tMin = durations[0], tMax = durations[durations.length - 1];
+        // 曲線以對數等間距取點
+        const curveT = [];
+        for (let k = 0; k <= 60; k++) {
+            curveT.push(tMin * Math.pow(tMax / tMin, k / 60));
+        }
+
+        const dataset = [];
+        let minI = Infinity, maxI = 0;
+        returnPeriods.forEach((T, i) => {
+            const color = this.colors[i % this.colors.length];
+            const points = durations.map((t, j) => [t, Number.isFinite(design.intensity[i][j]) ? design.intensity[i][j] : null]);
+            points.forEach(p => {
+                if (p[1] > 0) {
+                    minI = Math.min(minI, p[1]);
+                    maxI = Math.max(maxI, p[1]);
+                }
+            });
+            const coefficients = fitted.results[i].coefficients;
+            const curve = curveT.map(t => {
+                const value = intensity(fitted.formulaType, coefficients, t, T);
+                return [t, Number.isFinite(value) && value > 0 ? value : null];
+            });
+            dataset.push({ label: `${T}年`, color, data: curve, lines: { show: true, lineWidth: 1.5 } });
+            dataset.push({ color, data: points, points: { show: true, radius: 2 } });
+        });
+
+        const logTicks = (lo, hi) => {
+            const ticks = [];
+            for (let e = Math.floor(Math.log10(lo)); e <= Math.ceil(Math.log10(hi)); e++) {
+                [1, 2, 5].forEach(m => {
+                    const v = m * Math.pow(10, e);
+                    if (v >= lo && v <= hi) ticks.push(v);
+                });
+            }
+            return ticks;
+        };
+        const yMin = Number.isFinite(minI) ? minI * 0.8 : 1;
+        const yMax = maxI > 0 ? maxI * 1.25 : 10;
+
+        const options = {
+            xaxis: {
+                min: tMin,
+                max: tMax,
+                ticks: [...new Set(logTicks(tMin, tMax).concat(tMin, tMax))].sort((a, b) => a - b),
+                transform: v => Math.log10(v),
+                inverseTransform: v => Math.pow(10, v),
+                axisLabel: "延時 (分鐘)",
+                axisLabelUseCanvas: true,
+                axisLabelFontSizePixels: 14,
+                axisLabelFontFamily: '微軟正黑體',
+                axisLabelPadding: 10
+            },
+            yaxis: {
+                min: yMin,
+                max: yMax,
+                ticks: logTicks(yMin, yMax),
+                transform: v => Math.log10(v),
+                inverseTransform: v => Math.pow(10, v),
+                axisLabel: "降雨強度 (mm/hr)"
+            },
+            grid: {
+                hoverable: true,
+                borderColor: '#ccc',
+                borderWidth: 1
+            },
+            legend: {
+                position: "ne",
+                noColumns: 2,
+                show: true
+            },
+            tooltip: true,
+            tooltipOpts: {
+                content: "延時：%x.0 分鐘，強度：%y.1 mm/hr"
+            }
+        };
+        $.plot(this.DOM, dataset, options);
+    }
+}
@@ -0,0 +1,76 @@
+// DrawPOTChart.js
+// 2026-10-19
+// 繪製部分延時序列與年最大值序列的重現期-雨量比較圖
+
+/**
+ * @class DrawPOTChart
+ * @description 以 Flot.js 繪製重現期-雨量圖 (橫軸為年最大值序列重現期，對數刻度)：
+ * 點為部分延時序列峰值的經驗重現期，折線為各分佈的推估雨量。
+ */
+export class DrawPOTChart {
+
+    /**
+     * @constructor
+     * @param {string} DOM - 用於繪製圖表的 DOM 元素的 jQuery 選擇器 (例如 "#pot-Chart")。
+     */
+    constructor(DOM) {
+        this.DOM = DOM;
+        this.colors = ["#F44336", "#2196F3", "#4CAF50"];
+    }
+
+    /**
+     * 繪製圖表。
+     * @param {Array<{depth: number, T: number}>} empirical - 峰值及其經驗重現期 (PartialDuration.analyze())。
+     * @param {Array<{label: string, points: Array<[number, number]>}>} curves - 各分佈的 [重現期, 推估雨量] 折線。
+     */
+    render(empirical, curves) {
+        const dataset = curves.map((curve, i) => ({
+            label: curve.label,
+            color: this.colors[i % this.colors.length],
+            data: curve.points.map(([T, Q]) => [T, Number.isFinite(Q) ? Q : null]),
+            lines: { show: true },
+            points: { show: true, radius: 2 }
+        }));
+        dataset.unshift({
+            label: "部分延時序列峰值",
+            color: "#607D8B",
+            data: empirical.filter(p => p.T > 1).map(p => [p.T, p.depth]),
+            points: { show: true, radius: 2, fill: false }
+        });
+
+        const maxT = Math.max(...curves.flatMap(c => c.points.map(p => p[0])), ...empirical.map(p => p.T));
+        const ticks = [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000].filter(t => t <= maxT * 1.5);
+        const options = {
+            xaxis: {
+                min: 1,
+                max: maxT * 1.5,
+                ticks,
+                transform: v => Math.log10(v),
+                inverseTransform: v => Math.pow(10, v),
+                axisLabel: "重現期 (年)",
+                axisLabelUseCanvas: true,
+                axisLabelFontSizePixels: 14,
+                axisLabelFontFamily: '微軟正黑體',
+                axisLabelPadding: 10
+            },
+            yaxis: {
+                axisLabel: "降雨量(mm)"
+            },
+            grid: {
+                hoverable: true,
+                borderColor: '#ccc',
+                borderWidth: 1
+            },
+            legend: {
+                position: "nw",
+                noColumns: 4,
+                show: true
+            },
+            tooltip: true,
+            tooltipOpts: {
+                content: "%s：T = %x.1 年，%y.1 mm"
+            }
+        };
+        $.plot(this.DOM, dataset, options);
+    }
+}
@@ -2,6 +2,8 @@
 // 2021-12-17 refactored
 // 2022-01-13 改為class
 
+import { TrendAnalysis } from "./Frequency/TrendAnalysis.js";
+
 /**
  * @class DrawRainIntensity
  * @description 繪製歷年降雨強度直方圖(柱狀圖)的類別。
@@ -22,13 +24,14 @@ export class DrawRainIntensity {
     /**
      * 計算線性迴歸。
      * y = m * x + b
-     * @param {Array<Object>} xy - 包含 x, y 值的物件陣列，格式為 [{date: number, intens: number}, ...]。
+     * @param {Array<Object>} xy - 包含 x, y 值的物件陣列，格式為 [{date: number, intens: number}, ...]；intens 為 null 者不列入計算。
      * @returns {{slope: number, intercept: number, cor: number}} - 包含斜率(m), 截距(b)和相關係數(cor)的物件。
      */
     LinearRegresstion(xy) {
         // 從 xy 物件陣列中取出 x (年份) 和 y (強度) 數據
         let x = [], y = [];
         for (let i = 0; i < xy.length; i++) {
+            if (xy[i].intens === null) continue;
             x.push(xy[i].date);
             y.push(xy[i].intens);
         }
@@ -63,13 +66,13 @@ export class DrawRainIntensity {
     /**
      * 根據指定的延時(duration)準備繪圖所需的資料。
      * @param {string|number} duration - 要提取資料的延時，對應 CSV 的欄位標頭 (例如 '60')。
-     * @returns {Array<Object>} - 格式為 [{date: 年份, intens: 降雨強度}, ...] 的陣列。
+     * @returns {Array<Object>} - 格式為 [{date: 年份, intens: 降雨強度}, ...] 的陣列，缺漏年份的 intens 為 null。
      */
     prepareData(duration) {
         // 使用 map 方法從原始資料中篩選出年份和對應延時的降雨強度
         return this.dataJson.map(row => ({
             date: row.year,
-            intens: row[duration]
+            intens: Number.isFinite(row[duration]) ? row[duration] : null
         }));
     }
 
@@ -77,8 +80,11 @@ export class DrawRainIntensity {
      * 使用 Flot.js 繪製直方圖、平均值線和趨勢線。
      * @param {Array<Array<number>>} lines - 繪圖資料，格式為 [[年份, 降雨量, 趨勢線預測值?], ...]。
      * @param {number} avg - 該延時下的平均降雨量。
+     * @param {{low: number[], high: number[]}} [outliers] - 低值及高值離群的年份，以不同顏色的柱狀標示。
+     * @param {Object|null} [trend] - TrendAnalysis.analyze() 的回傳值，於圖上標註 Mann-Kendall 檢定結果。
+     * @param {boolean} [senLine=false] - 是否繪製 Sen 斜率線。
      */
-    drawHistograph(lines, avg) {
+    drawHistograph(lines, avg, outliers = { low: [], high: [] }, trend = null, senLine = false) {
         let barData = [];
         let maxY = Number(-1.0);
         let trendLineData = [];
@@ -87,9 +93,9 @@ export class DrawRainIntensity {
             let p = [];
             let tm = lines[i][0];
             p.push(tm);
-            let y = parseFloat(lines[i][1]);
+            let y = lines[i][1] === null ? NaN : parseFloat(lines[i][1]);
             let rain;
-            if (y < -999) {
+            if (Number.isNaN(y) || y < -999) {
                 y = null;
                 rain = Number(0);
             } else {
@@ -107,6 +113,15 @@ export class DrawRainIntensity {
             }
         }
 
+        // 離群年份由一般柱狀資料移出，另以不同顏色繪製
+        const lowYears = new Set(outliers.low);
+        const highYears = new Set(outliers.high);
+        const lowData = barData.filter(p => lowYears.has(p[0])).map(p => [p[0], p[1]]);
+        const highData = barData.filter(p => highYears.has(p[0])).map(p => [p[0], p[1]]);
+        barData.forEach(p => {
+            if (lowYears.has(p[0]) || highYears.has(p[0])) p[1] = null;
+        });
+
         let r = lines.length;
         // 準備平均線資料
         let avgLineData = [[barData[0][0], avg], [barData[r - 1][0], avg]];
@@ -135,6 +150,23 @@ export class DrawRainIntensity {
             data: trendLineData,
             dashes: { show: true }
         }];
+        if (trend && senLine) {
+            const x0 = barData[0][0];
+            const x1 = barData[r - 1][0];
+            dataset.push({
+                label: "Sen 斜率",
+                color: "#607d8b",  // w3-blue-grey
+                data: [[x0, trend.slope * x0 + trend.intercept], [x1, trend.slope * x1 + trend.intercept]],
+                lines: { show: true, lineWidth: 2 }
+            });
+        }
+        const outlierBars = { show: true, barWidth: 0.9, fill: 0.9, lineWidth: 1, align: "center" };
+        if (highData.length > 0) {
+            dataset.splice(1, 0, { label: "高值離群", color: "#9c27b0", data: highData, bars: outlierBars }); // w3-purple
+        }
+        if (lowData.length > 0) {
+            dataset.splice(1, 0, { label: "低值離群", color: "#3f51b5", data: lowData, bars: outlierBars }); // w3-indigo
+        }
 
         let Ymax = maxY * 1.33;
         if (Ymax < maxY) Ymax = Math.ceil(maxY / 10) * 10;
@@ -176,18 +208,52 @@ export class DrawRainIntensity {
                 content: "年份：%x年，雨量：%y.1 mm"
             }
         };
-        $.plot(this.DOM, dataset, barOptions);
+        const plot = $.plot(this.DOM, dataset, barOptions);
+        if (trend) {
+            this.annotateTrend(plot, trend);
+        }
         return;
     } // end of function()
 
+    /**
+     * 於繪圖區右上角標註 Mann-Kendall 趨勢檢定結果及 Sen 斜率 (含信賴區間)。
+     * @param {Object} plot - $.plot() 的回傳值。
+     * @param {Object} trend - TrendAnalysis.analyze() 的回傳值。
+     */
+    annotateTrend(plot, trend) {
+        const offset = plot.getPlotOffset();
+        const trendAnalysis = new TrendAnalysis();
+        const significant = trend.trend !== trendAnalysis.Trend.None;
+        const ci = Number.isFinite(trend.lower) && Number.isFinite(trend.upper)
+            ? ` [${trend.lower.toFixed(2)}, ${trend.upper.toFixed(2)}]`
+            : '';
+        let html = `Mann-Kendall：<strong>${trendAnalysis.menuTrend[trend.trend - 1]}</strong> (p = ${trend.pValue.toFixed(3)})<br>`;
+        html += `Sen 斜率：${trend.slope.toFixed(2)} mm/yr${ci}`;
+        $('<div class="trend-annotation"></div>')
+            .css({
+                position: "absolute",
+                top: offset.top + 6,
+                right: offset.right + 8,
+                padding: "2px 6px",
+                fontSize: "12px",
+                background: "rgba(255, 255, 255, 0.85)",
+                border: `1px solid ${significant ? "#e91e63" : "#9e9e9e"}`,
+                borderRadius: "3px"
+            })
+            .html(html)
+            .appendTo(this.DOM);
+    }
+
     /**
      * 繪製直方圖主函式。
      * 根據傳入的參數準備資料、計算趨勢線並呼叫繪圖函式。
      * @param {string|number} duration - 當前選擇的延時 (例如 '60')。
      * @param {Object} stats - 包含該延時統計數據的物件 (mean, stdDev 等)。
      * @param {boolean} trendLineChecked - 是否要繪製趨勢線的布林值。
+     * @param {{low: number[], high: number[]}} [outliers] - 低值及高值離群的年份。
+     * @param {Object|null} [trend] - TrendAnalysis.analyze() 的回傳值；樣本數不足時為 null。
      */
-    plotHisto(duration, stats, trendLineChecked) {
+    plotHisto(duration, stats, trendLineChecked, outliers, trend = null) {
         // 1. 根據延時準備資料
         const preparedData = this.prepareData(duration);
 
@@ -207,7 +273,11 @@ export class DrawRainIntensity {
 
             // 更新副標題，包含平均值和年增率
             let s = `<strong>平均值: ${stats.mean.toFixed(1)}`;
-            s += `(mm), 年增率: ${regression.slope.toFixed(2)}(mm/yr)</strong>`;
+            s += `(mm), 年增率: ${regression.slope.toFixed(2)}(mm/yr)`;
+            if (trend) {
+                s += `, Sen 斜率: ${trend.slope.toFixed(2)}(mm/yr), MK 檢定 p 值: ${trend.pValue.toFixed(3)}`;
+            }
+            s += '</strong>';
             $("#chart-subtitle").html(s);
         } else {
             // 更新副標題，只顯示平均值
@@ -217,6 +287,6 @@ export class DrawRainIntensity {
         }
 
         // 4. 呼叫繪圖函式，傳入處理好的資料和平均值
-        this.drawHistograph(plotData, stats.mean);
+        this.drawHistograph(plotData, stats.mean, outliers, trend, trendLineChecked);
     }
 }
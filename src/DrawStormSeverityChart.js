@@ -0,0 +1,106 @@
+// DrawStormSeverityChart.js
+// 2026-10-19
+// 繪製降雨事件各延時最大雨量及重現期圖
+
+/**
+ * @class DrawStormSeverityChart
+ * @description 以 Flot.js 繪製單場降雨事件的嚴重度圖：
+ * 直方圖為各延時事件最大雨量 (右軸)，折線為各機率分佈推估的重現期 (左軸，對數刻度)。
+ */
+export class DrawStormSeverityChart {
+
+    /**
+     * @constructor
+     * @param {string} DOM - 用於繪製圖表的 DOM 元素的 jQuery 選擇器 (例如 "#storm-severity-Chart")。
+     */
+    constructor(DOM) {
+        this.DOM = DOM;
+        // 各機率分佈折線顏色 (依 DistributionType 排序)
+        this.colors = ["#2196F3", "#4CAF50", "#9C27B0", "#F44336", "#FF9800", "#795548", "#607D8B"];
+    }
+
+    /**
+     * 繪製圖表。
+     * @param {Array<Object>} durations - StormEvent.analyze() 回傳的 durations 陣列。
+     * @param {string[]} names - 各機率分佈名稱 (依 DistributionType 排序)。
+     */
+    render(durations, names) {
+        const ticks = durations.map((item, i) => [i, `${item.duration}`]);
+        const depthData = durations.map((item, i) => [i, Number.isFinite(item.depth) ? item.depth : null]);
+
+        let maxT = 10;
+        const dataset = names.map((name, k) => {
+            const data = durations.map((item, i) => {
+                const result = item.results ? item.results[k] : null;
+                if (!result || !Number.isFinite(result.T)) return [i, null];
+                maxT = Math.max(maxT, result.T);
+                return [i, Math.max(result.T, 1)];
+            });
+            return {
+                label: name,
+                color: this.colors[k % this.colors.length],
+                data,
+                yaxis: 1,
+                lines: { show: true },
+                points: { show: true, radius: 2 }
+            };
+        });
+
+        dataset.unshift({
+            label: "事件最大雨量(mm)",
+            color: "#009688",
+            data: depthData,
+            yaxis: 2,
+            bars: {
+                show: true,
+                barWidth: 0.6,
+                fillColor: { colors: [{ opacity: 0.2 }, { opacity: 0.4 }] },
+                lineWidth: 1,
+                align: "center"
+            }
+        });
+
+        // 重現期以對數刻度顯示
+        const Tticks = [1, 2, 5, 10, 25, 50, 100, 200, 500, 1000, 1e4, 1e5, 1e6].filter(t => t <= maxT * 2);
+        const options = {
+            xaxis: {
+                ticks,
+                min: -0.5,
+                max: durations.length - 0.5,
+                axisLabel: "延時 (分鐘)",
+                axisLabelUseCanvas: true,
+                axisLabelFontSizePixels: 14,
+                axisLabelFontFamily: '微軟正黑體',
+                axisLabelPadding: 10
+            },
+            yaxes: [{
+                position: "left",
+                min: 1,
+                max: Tticks[Tticks.length - 1],
+                ticks: Tticks,
+                transform: v => Math.log10(v),
+                inverseTransform: v => Math.pow(10, v),
+                axisLabel: "重現期 (年)"
+            }, {
+                position: "right",
+                min: 0,
+                axisLabel: "降雨量(mm)"
+            }],
+            grid: {
+                hoverable: true,
+                borderColor: '#ccc',
+                borderWidth: 1
+            },
+            legend: {
+                position: "nw",
+                noColumns: 4,
+                show: true
+            },
+            tooltip: true,
+            tooltipOpts: {
+                content: "%s：%y.1"
+            }
+        };
+        $.plot(this.DOM, dataset, options);
+    }
+}
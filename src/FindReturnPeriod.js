@@ -9,20 +9,38 @@ export class FindReturnPeriod {
 
     /**
      * @param {Array<Object>} Global_FreqResults - 來自頻率分析的全域結果陣列。
-     * 每個物件應包含一個名為 `estmateResults` 的屬性，該屬性是一個包含不同重現期對應估計值的陣列。
+     * 每個物件應包含一個名為 `estmateResults` 的屬性，該屬性是一個包含不同重現期對應估計值的陣列；
+     * 若另含 `fit` 屬性 (FrequencyAnalysis.fit() 的回傳值)，即可由累積分佈函數反求連續的重現期。
+     * @param {FrequencyAnalysis} [frequencyAnalysis] - 用於計算累積機率的 FrequencyAnalysis 實例。
      */
-    constructor(Global_FreqResults) {
+    constructor(Global_FreqResults, frequencyAnalysis = null) {
         /**
          * @property {string[]} RpStr - 重現期區間的文字描述。
          * @private
          */
         this.RpStr = ["<1.11", "1.11~2", "2~5", "5~10", "10~20", "20~25",
             "25~50", "50~100", "100~200", "200~500", ">500"];
+        /**
+         * @property {number[]} ReturnPeriods - 重現期區間的分界 (年)，與 RpStr 對應。
+         * @readonly
+         */
+        this.ReturnPeriods = [1.11, 2, 5, 10, 20, 25, 50, 100, 200, 500];
         /**
          * @property {Array<Object>} data - 儲存的頻率分析結果。
          * @private
          */
         this.data = Global_FreqResults;
+        /**
+         * @property {FrequencyAnalysis|null} fa - 計算累積機率用的頻率分析實例。
+         * @private
+         */
+        this.fa = frequencyAnalysis;
+        /**
+         * @property {number} MinExceedance - 可分辨的最小超越機率，與 FrequencyAnalysis.MinExceedance 相同，
+         * 使重現期上限與 cdf() 的計算範圍一致。
+         * @readonly
+         */
+        this.MinExceedance = frequencyAnalysis ? frequencyAnalysis.MinExceedance : 1e-12;
     }
 
     /**
@@ -49,6 +67,70 @@ export class FindReturnPeriod {
         return this.RpStr[k] + "年";
     }
 
+    /**
+     * 由機率分佈的累積分佈函數計算給定水文量的超越機率及重現期 T = 1 / (1 - F(x))。
+     * 不受預設重現期範圍限制；超越機率低於 cdf() 可分辨的 1 - F 下限 (MinExceedance，
+     * 包含超過 GEV 等有界分佈上限的情形) 時重現期為 Infinity，低於分佈下限時超越機率為 1。
+     * @param {number} value - 要查詢的水文量。
+     * @param {Object} fit - FrequencyAnalysis.fit() 的回傳值。
+     * @returns {{T: number, exceedanceProbability: number}} 重現期 (年) 及超越機率。
+     */
+    exactReturnPeriod(value, fit) {
+        if (!this.fa) {
+            throw new Error("未提供 FrequencyAnalysis 實例，無法計算連續重現期。");
+        }
+        const F = this.fa.cdf(fit, value);
+        if (!Number.isFinite(F)) {
+            return { T: NaN, exceedanceProbability: NaN };
+        }
+        const p = Math.min(1, Math.max(0, 1 - F));
+        return { T: p >= this.MinExceedance ? 1 / p : Infinity, exceedanceProbability: p };
+    }
+
+    /**
+     * 將重現期格式化為文字，例如 "T = 37.4 年"；極大值以科學記號表示。
+     * @param {number} T - 重現期 (年)。
+     * @returns {string} 重現期文字描述。
+     */
+    formatReturnPeriod(T) {
+        if (Number.isNaN(T)) return "N/A";
+        if (T === Infinity) return `T > ${(1 / this.MinExceedance).toExponential(0)} 年`;
+        let text;
+        if (T < 10) text = T.toFixed(2);
+        else if (T < 1000) text = T.toFixed(1);
+        else if (T < 1e6) text = Math.round(T).toString();
+        else text = T.toExponential(2);
+        return `T = ${text} 年`;
+    }
+
+    /**
+     * 針對所有機率分佈，計算給定水文量的連續重現期、超越機率及所在的重現期區間。
+     * 沒有 `fit` 屬性的分佈只提供重現期區間；沒有 `estmateResults` 屬性時，重現期區間由連續重現期判定。
+     * @param {number} value - 要查詢的水文量（例如：降雨量）。
+     * @returns {Array<{T: number, exceedanceProbability: number, text: string, bucket: string}>}
+     *   每個分佈的重現期、超越機率、格式化文字 (如 "T = 37.4 年") 及區間文字 (如 "25~50年")。
+     */
+    findRPDetail(value) {
+        return this.data.map(dist => {
+            const q = Array.isArray(dist.estmateResults) ? dist.estmateResults : [];
+            let exact = { T: NaN, exceedanceProbability: NaN };
+            if (dist.fit && this.fa) {
+                try {
+                    exact = this.exactReturnPeriod(value, dist.fit);
+                } catch (e) {
+                    console.error(`重現期計算錯誤: ${e.message}`);
+                }
+            }
+            let bucket = "";
+            if (q.length > 0) {
+                bucket = this.findReturnPeriod(value, q);
+            } else if (!Number.isNaN(exact.T)) {
+                bucket = this.findReturnPeriod(exact.T, this.ReturnPeriods);
+            }
+            return { ...exact, text: this.formatReturnPeriod(exact.T), bucket };
+        });
+    }
+
     /**
      * 針對所有機率分佈，計算給定水文量的重現期。
      * @param {number} value - 要查詢的水文量（例如：降雨量）。
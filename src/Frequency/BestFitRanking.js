@@ -0,0 +1,186 @@
+// BestFitRanking.js
+// 2026-10-19
+// 最佳機率分佈評選：綜合各適合度檢定與誤差、資訊準則排序各機率分佈
+
+import { FrequencyAnalysis } from "./FrequencyAnalysis.js";
+import { KSTest } from "./KSTest.js";
+import { ChiSquareTest } from "./ChiSquareTest.js";
+import { AndersonDarlingTest } from "./AndersonDarlingTest.js";
+import { PPCCTest } from "./PPCCTest.js";
+
+/**
+ * BestFitRanking 類別對同一組資料執行所有機率分佈的適合度檢定 (KS、卡方、Anderson-Darling、PPCC)，
+ * 並計算 SEE、RMSE、AIC、BIC，依評分推薦最適合的機率分佈。
+ *
+ * 評分方式 (滿分 8 分)：
+ * - 檢定分數：KS、卡方、AD、PPCC 各通過一項得 1 分。
+ * - 指標分數：SEE、AIC、BIC 越小越好，PPCC 相關係數越大越好；各指標依排名給分，
+ *   第 1 名得 1 分、最後一名得 0 分，其餘線性內插。無法計算的指標視為最後一名。
+ * 總分相同時以 AIC 較小者優先。
+ */
+export class BestFitRanking {
+    /**
+     * @param {Object} [options] - 選項。
+     * @param {number} [options.fittingMethod] - 參數推估法 (FrequencyAnalysis.FittingMethod)，預設為動差法。
+     * @param {number} [options.ktMethod] - 皮爾遜第三型頻率因子計算方法 (FrequencyAnalysis.KtMethod)。
+     * @param {number} [options.lowOutlierMethod] - 對數皮爾遜第三型分佈的低值離群檢定方法 (FrequencyAnalysis.LowOutlierMethod)。
+     * @param {{skew: number, mse: number}} [options.regionalSkew] - 區域偏態係數及其均方誤差 (FrequencyAnalysis.regionalSkew)。
+     * @param {number} [options.confidenceIndex=2] - 各檢定的信心水準索引 (0-4，對應 85% ~ 99%)，預設為 95%。
+     */
+    constructor(options = {}) {
+        const { fittingMethod, ktMethod, lowOutlierMethod, regionalSkew } = options;
+        this.confidenceIndex = options.confidenceIndex ?? 2;
+
+        /**
+         * @private
+         */
+        this.fa = new FrequencyAnalysis({ fittingMethod, ktMethod, lowOutlierMethod, regionalSkew });
+        /**
+         * @private
+         */
+        this.ksTest = new KSTest(this.confidenceIndex, { fittingMethod, ktMethod, lowOutlierMethod, regionalSkew });
+        /**
+         * @private
+         */
+        this.chi2Test = new ChiSquareTest({ fittingMethod, ktMethod, lowOutlierMethod, regionalSkew });
+        /**
+         * @private
+         */
+        this.adTest = new AndersonDarlingTest({ fittingMethod, ktMethod, lowOutlierMethod, regionalSkew });
+        /**
+         * @private
+         */
+        this.ppccTest = new PPCCTest({ fittingMethod, ktMethod, lowOutlierMethod, regionalSkew });
+
+        this.DistributionType = this.fa.DistributionType;
+
+        /**
+         * 各分佈的參數個數，用於 SEE 的自由度及 AIC、BIC
+         * @readonly
+         */
+        this.ParameterCount = Object.freeze({
+            [this.DistributionType.Normal]: 2,
+            [this.DistributionType.LogNormal]: 2,
+            [this.DistributionType.PearsonType3]: 3,
+            [this.DistributionType.LogPearsonType3]: 3,
+            [this.DistributionType.ExtremeValueType1]: 2,
+            [this.DistributionType.GEV]: 3,
+            [this.DistributionType.LogNormal3]: 3
+        });
+    }
+
+    /**
+     * 評估單一機率分佈。
+     * @param {number} distType - 頻率分佈型態 (FrequencyAnalysis.DistributionType)。
+     * @param {number[]} data - 原始資料陣列。
+     * @returns {{distType: number, name: string, tests: {ks: boolean, chi2: boolean, ad: boolean, ppcc: boolean},
+     *   r: number, SEE: number, RMSE: number, logLikelihood: number, AIC: number, BIC: number}}
+     *   各檢定是否通過 (無法計算時為 false)、PPCC 相關係數及各項指標 (無法計算時為 NaN)。
+     */
+    evaluate(distType, data) {
+        const n = data.length;
+        const k = this.ParameterCount[distType];
+        const attempt = (fn, fallback) => {
+            try {
+                return fn();
+            } catch (e) {
+                return fallback;
+            }
+        };
+
+        const ppcc = attempt(() => this.ppccTest.runTest(distType, data, this.confidenceIndex), null);
+        const tests = {
+            ks: attempt(() => this.ksTest.runTest(distType, data).fitted, false),
+            chi2: attempt(() => this.chi2Test.chi2Test(distType, data, this.confidenceIndex).fitted, false),
+            ad: attempt(() => this.adTest.runTest(distType, data, this.confidenceIndex).fitted, false),
+            ppcc: ppcc ? ppcc.fitted : false
+        };
+
+        const fit = this.fa.fit(distType, data);
+
+        // SEE、RMSE：觀測值與 Weibull 點繪位置推估值的差異
+        const sorted = [...data].sort((a, b) => b - a);
+        let sse = 0;
+        sorted.forEach((obs, i) => {
+            const px = (i + 1) / (n + 1);
+            const est = this.fa.quantile(fit, 1 / px).Qest;
+            sse += Math.pow(obs - est, 2);
+        });
+        const SEE = n > k ? Math.sqrt(sse / (n - k)) : NaN;
+        const RMSE = Math.sqrt(sse / n);
+
+        const logLikelihood = this.fa.logLikelihood(fit, data);
+        const finite = Number.isFinite(logLikelihood);
+        return {
+            distType,
+            name: this.fa.menuDr[distType - 1],
+            tests,
+            r: ppcc ? ppcc.r : NaN,
+            SEE: Number.isFinite(SEE) ? SEE : NaN,
+            RMSE: Number.isFinite(RMSE) ? RMSE : NaN,
+            logLikelihood: finite ? logLikelihood : NaN,
+            AIC: finite ? 2 * k - 2 * logLikelihood : NaN,
+            BIC: finite ? k * Math.log(n) - 2 * logLikelihood : NaN
+        };
+    }
+
+    /**
+     * 評估所有機率分佈並依總分排序。
+     * @param {number[]} data - 原始資料陣列。
+     * @returns {{ranking: Array<Object>, recommended: (Object|null)}}
+     *   ranking 依總分由高至低排序，每個元素為 evaluate() 的結果另附
+     *   score (總分) 及 scoreBreakdown ({ks, chi2, ad, ppcc, SEE, AIC, BIC, r} 各項得分)；
+     *   recommended 為排名第一的分佈。
+     */
+    rank(data) {
+        const results = [];
+        for (let distType = 1; distType <= this.fa.menuDr.length; distType++) {
+            try {
+                results.push(this.evaluate(distType, data));
+            } catch (e) {
+                console.error(`最佳分佈評選錯誤: ${this.fa.menuDr[distType - 1]}: ${e.message}`);
+            }
+        }
+
+        const SEE = this._rankScores(results, r => r.SEE, true);
+        const AIC = this._rankScores(results, r => r.AIC, true);
+        const BIC = this._rankScores(results, r => r.BIC, true);
+        const corr = this._rankScores(results, r => r.r, false);
+
+        results.forEach((result, i) => {
+            const breakdown = {
+                ks: result.tests.ks ? 1 : 0,
+                chi2: result.tests.chi2 ? 1 : 0,
+                ad: result.tests.ad ? 1 : 0,
+                ppcc: result.tests.ppcc ? 1 : 0,
+                SEE: SEE[i],
+                AIC: AIC[i],
+                BIC: BIC[i],
+                r: corr[i]
+            };
+            result.scoreBreakdown = breakdown;
+            result.score = Object.values(breakdown).reduce((acc, v) => acc + v, 0);
+        });
+
+        const aicOf = r => (Number.isFinite(r.AIC) ? r.AIC : Infinity);
+        results.sort((a, b) => (b.score - a.score) || (aicOf(a) - aicOf(b)));
+        return { ranking: results, recommended: results.length > 0 ? results[0] : null };
+    }
+
+    /**
+     * 依指標排名給分：第 1 名 1 分、最後一名 0 分；同值同分，無法計算者 0 分。
+     * @private
+     */
+    _rankScores(results, getValue, lowerIsBetter) {
+        const values = results.map(getValue);
+        const valid = values.filter(Number.isFinite);
+        if (valid.length <= 1) {
+            return values.map(v => (Number.isFinite(v) ? 1 : 0));
+        }
+        return values.map(v => {
+            if (!Number.isFinite(v)) return 0;
+            const better = valid.filter(w => (lowerIsBetter ? w < v : w > v)).length;
+            return 1 - better / (valid.length - 1);
+        });
+    }
+}
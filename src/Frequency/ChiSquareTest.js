@@ -6,22 +6,38 @@
  * It includes necessary helper utilities for statistics and distribution calculations.
  */
 import { RainUtils } from "./RainUtils.js";
+import { ParameterEstimator } from "./ParameterEstimator.js";
 
 // --- Main ChiSquareTest Class ---
 
 export class ChiSquareTest {
     /**
      * Constructor for the ChiSquareTest class.
+     * @param {object} [options] - Analysis options.
+     * @param {number} [options.fittingMethod] - Parameter estimation method from `this.FittingMethod`.
+     * @param {number} [options.ktMethod] - Pearson Type III frequency factor method from `this.KtMethod`.
+     * @param {number} [options.lowOutlierMethod] - Log-Pearson Type III low-outlier test from `this.LowOutlierMethod`.
+     * @param {{skew: number, mse: number}} [options.regionalSkew] - Regional skew and its mean square error used to weight the Log-Pearson Type III skew.
      */
-    constructor() {
+    constructor(options = {}) {
         this.utils = new RainUtils();
+        this.estimator = new ParameterEstimator(options);
+        this.LowOutlierMethod = this.estimator.LowOutlierMethod;
+
+        this.FittingMethod = this.estimator.FittingMethod;
+        this.fittingMethod = options.fittingMethod || this.FittingMethod.Moments;
+
+        this.KtMethod = this.utils.KtMethod;
+        this.ktMethod = options.ktMethod || this.KtMethod.Exact;
 
         this.DistributionType = Object.freeze({
             Normal: 1,
             LogNormal: 2,
             PearsonType3: 3,
             LogPearsonType3: 4,
-            ExtremeValueType1: 5
+            ExtremeValueType1: 5,
+            GEV: 6,
+            LogNormal3: 7
         });
 
         this.menudr = [
@@ -29,7 +45,9 @@ export class ChiSquareTest {
             "Log-Normal Distribution",
             "Pearson Type III Distribution",
             "Log-Pearson Type III Distribution",
-            "Extreme Value Type I Distribution"
+            "Extreme Value Type I Distribution",
+            "Generalized Extreme Value Distribution",
+            "Three-Parameter Log-Normal Distribution"
         ];
 
         this.ConfidenceLevelString = ["85%", "90%", "95%", "97.5%", "99%"];
@@ -127,6 +145,10 @@ export class ChiSquareTest {
             case this.DistributionType.PearsonType3:
                 df = intervalCount - 4; // Should be k-1-3
                 break;
+            case this.DistributionType.GEV:
+            case this.DistributionType.LogNormal3:
+                df = intervalCount - 4; // (k - 1 - 3 params)
+                break;
         }
 
         // Ensure df is valid for table lookup (df must be at least 1)
@@ -152,13 +174,17 @@ export class ChiSquareTest {
      */
     _divideIntoBins(data, intervalCount, distType) {
         const n = data.length;
-        const requiresLog = distType === this.DistributionType.LogNormal || distType === this.DistributionType.LogPearsonType3;
+        const requiresLog = distType === this.DistributionType.LogNormal || distType === this.DistributionType.LogPearsonType3 ||
+            distType === this.DistributionType.LogNormal3;
+
+        // The 3-parameter log-normal is fitted to log10(x - tau)
+        const tau = distType === this.DistributionType.LogNormal3 ? this.utils.findTau(data).tau : 0;
 
         const transformedData = requiresLog
-            ? data.map(val => (val > 1e-6 ? Math.log10(val) : 0))
+            ? data.map(val => (val - tau > 1e-6 ? Math.log10(val - tau) : 0))
             : data;
 
-        const { M: mean, SD: std, Cs: skew, Xmin: low, Xmax: high } = this.utils.statistics(transformedData);
+        const { M: mean, SD: std, Cs: skew, Xmin: low, Xmax: high, gev } = this.estimator.estimate(distType, transformedData, this.fittingMethod);
 
         const results = this._createChi2Results(intervalCount);
         results.lo[1] = low - 2.0; // Padded to catch all values
@@ -171,15 +197,15 @@ export class ChiSquareTest {
                 let hi_i = 0;
                 switch (distType) {
                     case this.DistributionType.Normal:
-                    case this.DistributionType.LogNormal: {
+                    case this.DistributionType.LogNormal:
+                    case this.DistributionType.LogNormal3: {
                         const z = this.utils.Look(cumulativeProb);
                         hi_i = mean + std * z;
                         break;
                     }
                     case this.DistributionType.PearsonType3:
                     case this.DistributionType.LogPearsonType3: {
-                        const z = this.utils.Look(cumulativeProb);
-                        const kt = this._getPearson3Kt(z, skew);
+                        const kt = this._getPearson3Kt(cumulativeProb, skew);
                         hi_i = mean + std * kt; // tau is assumed 0 as in original code
                         break;
                     }
@@ -190,6 +216,10 @@ export class ChiSquareTest {
                         hi_i = mode + alpha * kt;
                         break;
                     }
+                    case this.DistributionType.GEV: {
+                        hi_i = this.utils.gevQuantile(gev, cumulativeProb);
+                        break;
+                    }
                 }
                 results.hi[i] = hi_i;
             }
@@ -219,14 +249,11 @@ export class ChiSquareTest {
     }
 
     /**
-     * Calculates the Pearson Type III frequency factor (Kt) using the Wilson-Hilferty approx.
+     * Calculates the Pearson Type III frequency factor (Kt) with the method selected by `this.ktMethod`.
      * @private
      */
-    _getPearson3Kt(z, skew) {
-        const k = skew / 6.0;
-        const z2 = z * z;
-        const k2 = k * k;
-        return z + (z2 - 1) * k + (1 / 3) * z * (z2 - 6) * k2 - (z2 - 1) * k2 * k + z * k2 * k2 + (1 / 3) * k2 * k2 * k;
+    _getPearson3Kt(cumulativeProb, skew) {
+        return this.utils.pearson3FrequencyFactor(cumulativeProb, skew, this.ktMethod);
     }
 
     /**
@@ -0,0 +1,193 @@
+// ConfidenceInterval.js
+// 2026-10-19
+// 頻率分析推估值的信賴區間 (Kite 標準誤差公式、參數式 Bootstrap)
+
+import { RainUtils } from "./RainUtils.js";
+import { FrequencyAnalysis } from "./FrequencyAnalysis.js";
+
+/**
+ * ConfidenceInterval 類別計算各重現期推估雨量的信賴區間。
+ * - 解析法：動差法推估時採用 Kite (1977) 標準誤差公式，S_T = δ · S / √n。
+ * - 參數式 Bootstrap：由推估的分佈產生模擬樣本，重新推估參數後取推估值的百分位數。
+ * GEV、三參數對數常態分佈及非動差法的推估沒有對應的 Kite 公式，一律改用 Bootstrap。
+ */
+export class ConfidenceInterval {
+    /**
+     * @param {Object} [options] - 選項。
+     * @param {number} [options.fittingMethod] - 參數推估法 (FrequencyAnalysis.FittingMethod)，預設為動差法。
+     * @param {number} [options.ktMethod] - 皮爾遜第三型頻率因子計算方法 (FrequencyAnalysis.KtMethod)，預設為精確解。
+     * @param {number} [options.lowOutlierMethod] - 對數皮爾遜第三型分佈的低值離群檢定方法 (FrequencyAnalysis.LowOutlierMethod)。
+     * @param {{skew: number, mse: number}} [options.regionalSkew] - 區域偏態係數及其均方誤差 (FrequencyAnalysis.regionalSkew)。
+     * @param {number} [options.replicates=1000] - Bootstrap 模擬次數。
+     * @param {number} [options.seed=20261019] - Bootstrap 亂數種子，固定種子使結果可重現。
+     */
+    constructor(options = {}) {
+        /**
+         * 信賴區間計算方法的列舉
+         * @readonly
+         */
+        this.Method = Object.freeze({
+            Analytic: 1,
+            Bootstrap: 2
+        });
+
+        /**
+         * 信賴區間計算方法選單
+         * @type {string[]}
+         */
+        this.menuMethod = [
+            "解析法 (Kite 標準誤差)",
+            "參數式 Bootstrap"
+        ];
+
+        this.replicates = options.replicates || 1000;
+        this.seed = options.seed || 20261019;
+
+        /**
+         * @private
+         */
+        this.utils = new RainUtils();
+        /**
+         * @private
+         */
+        this.fa = new FrequencyAnalysis({
+            fittingMethod: options.fittingMethod,
+            ktMethod: options.ktMethod,
+            lowOutlierMethod: options.lowOutlierMethod,
+            regionalSkew: options.regionalSkew
+        });
+    }
+
+    /**
+     * 計算指定分佈在各重現期推估值的信賴區間。
+     * @param {number} distType - 頻率分佈型態 (FrequencyAnalysis.DistributionType)。
+     * @param {number[]} data - 原始資料陣列。
+     * @param {number[]} returnPeriods - 重現期陣列 (年)。
+     * @param {number} [level=0.9] - 信賴水準 (0 ~ 1)。
+     * @param {number} [method=this.Method.Analytic] - 計算方法 (this.Method 中的值)。
+     * @returns {Array<{T: number, Qest: number, lower: number, upper: number, standardError: number, method: number}>}
+     *   各重現期的推估值、信賴下限、信賴上限、標準誤差 (對數分佈為 log10 尺度) 及實際採用的計算方法。
+     */
+    compute(distType, data, returnPeriods, level = 0.9, method = this.Method.Analytic) {
+        if (!(level > 0 && level < 1)) {
+            throw new Error(`信賴水準必須介於 0 與 1 之間: ${level}`);
+        }
+        const fit = this.fa.fit(distType, data);
+        if (method === this.Method.Analytic && this.hasAnalyticFormula(distType)) {
+            return returnPeriods.map(T => this._analytic(fit, T, data.length, level));
+        }
+        return this._bootstrap(fit, data.length, returnPeriods, level);
+    }
+
+    /**
+     * 判斷目前的參數推估法與分佈是否有 Kite 標準誤差公式可用。
+     * @param {number} distType - 頻率分佈型態。
+     * @returns {boolean}
+     */
+    hasAnalyticFormula(distType) {
+        return this.fa.fittingMethod === this.fa.FittingMethod.Moments &&
+            distType !== this.fa.DistributionType.GEV &&
+            distType !== this.fa.DistributionType.LogNormal3;
+    }
+
+    /**
+     * Kite 標準誤差公式。
+     * @private
+     */
+    _analytic(fit, T, n, level) {
+        const types = this.fa.DistributionType;
+        const { distType, M: mean, SD: std, Cs: cs } = fit;
+        const { Kt, Qest } = this.fa.quantile(fit, T);
+        const requiresLog = distType === types.LogNormal || distType === types.LogPearsonType3;
+
+        let delta;
+        switch (distType) {
+            case types.Normal:
+            case types.LogNormal:
+                delta = Math.sqrt(1 + Kt * Kt / 2);
+                break;
+            case types.PearsonType3:
+            case types.LogPearsonType3: {
+                // ∂K/∂Cs 以中央差分計算
+                const F = 1 - 1 / T;
+                const h = 0.01;
+                const kt = (c) => this.utils.pearson3FrequencyFactor(F, c, this.fa.ktMethod);
+                const dK = (kt(cs + h) - kt(cs - h)) / (2 * h);
+                const cs2 = cs * cs;
+                delta = Math.sqrt(1 + Kt * cs + Kt * Kt / 2 * (3 * cs2 / 4 + 1) +
+                    3 * Kt * dK * (cs + cs2 * cs / 4) + 3 * dK * dK * (2 + 3 * cs2 + 5 * cs2 * cs2 / 8));
+                break;
+            }
+            case types.ExtremeValueType1: {
+                // Kt 為 Gumbel 簡化變數，需換算為頻率因子 K = (x_T - 平均值) / 標準差
+                const K = (Qest - mean) / std;
+                delta = Math.sqrt(1 + 1.1396 * K + 1.1 * K * K);
+                break;
+            }
+            default:
+                throw new Error(`無 Kite 標準誤差公式: ${distType}`);
+        }
+
+        const standardError = delta * std / Math.sqrt(n);
+        const zLevel = this.utils.Look(0.5 + level / 2);
+        const center = requiresLog ? Math.log10(Qest) : Qest;
+        let lower = center - zLevel * standardError;
+        let upper = center + zLevel * standardError;
+        if (requiresLog) {
+            lower = Math.pow(10, lower);
+            upper = Math.pow(10, upper);
+        }
+        return { T, Qest, lower, upper, standardError, method: this.Method.Analytic };
+    }
+
+    /**
+     * 參數式 Bootstrap：以百分位數法求信賴區間。
+     * @private
+     */
+    _bootstrap(fit, n, returnPeriods, level) {
+        const random = this.utils.createRandom(this.seed);
+        const estimates = returnPeriods.map(() => []);
+
+        for (let b = 0; b < this.replicates; b++) {
+            // 由推估的分佈以反函數法產生 n 筆模擬資料
+            const sample = [];
+            for (let i = 0; i < n; i++) {
+                sample.push(this.fa.quantile(fit, 1 / (1 - random())).Qest);
+            }
+            try {
+                const refit = this.fa.fit(fit.distType, sample);
+                returnPeriods.forEach((T, j) => {
+                    const q = this.fa.quantile(refit, T).Qest;
+                    if (Number.isFinite(q)) estimates[j].push(q);
+                });
+            } catch (e) {
+                // 模擬樣本無法推估參數時略過此次模擬
+            }
+        }
+
+        return returnPeriods.map((T, j) => {
+            const values = this.utils.sort(estimates[j]);
+            const { Qest } = this.fa.quantile(fit, T);
+            return {
+                T,
+                Qest,
+                lower: this._percentile(values, (1 - level) / 2),
+                upper: this._percentile(values, (1 + level) / 2),
+                standardError: this.utils.statistics(values).SD,
+                method: this.Method.Bootstrap
+            };
+        });
+    }
+
+    /**
+     * 已排序陣列的百分位數 (線性內插)。
+     * @private
+     */
+    _percentile(sorted, p) {
+        if (sorted.length === 0) return NaN;
+        const pos = p * (sorted.length - 1);
+        const i = Math.floor(pos);
+        if (i >= sorted.length - 1) return sorted[sorted.length - 1];
+        return sorted[i] + (pos - i) * (sorted[i + 1] - sorted[i]);
+    }
+}
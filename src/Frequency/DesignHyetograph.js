@@ -0,0 +1,215 @@
+// DesignHyetograph.js
+// 2026-10-19
+// 設計雨型：交替區塊法、芝加哥雨型及 SCS 24 小時雨量分布 (Type I、IA、II、III)
+
+/**
+ * DesignHyetograph 類別將設計雨量分配為逐時距的設計雨型 (hyetograph)，供水理模式使用。
+ * - 交替區塊法 (Alternating Block)：由各延時的設計雨量 (DDF) 求各時距增量，依大小交替排列於尖峰兩側。
+ * - 芝加哥雨型 (Chicago, Keifer & Chu 1957)：由 Horner 降雨強度公式 i = a/(t+b)^c 推導，任一以尖峰為中心、
+ *   延時 t 的時段雨量皆等於該延時的設計雨量。
+ * - SCS 24 小時雨量分布 (USDA NRCS TR-55)：依無因次累積雨量曲線分配總雨量；降雨延時不為 24 小時時等比例縮放時間軸，
+ *   尖峰位置由分布型態決定。
+ */
+export class DesignHyetograph {
+    constructor() {
+        /**
+         * 設計雨型的列舉
+         * @readonly
+         */
+        this.Method = Object.freeze({
+            AlternatingBlock: 1,
+            Chicago: 2,
+            SCSTypeI: 3,
+            SCSTypeIA: 4,
+            SCSTypeII: 5,
+            SCSTypeIII: 6
+        });
+
+        /**
+         * 設計雨型選單
+         * @type {string[]}
+         */
+        this.menuMethod = [
+            "交替區塊法 (Alternating Block)",
+            "芝加哥雨型 (Chicago)",
+            "SCS Type I",
+            "SCS Type IA",
+            "SCS Type II",
+            "SCS Type III"
+        ];
+
+        /**
+         * SCS 24 小時無因次累積雨量曲線 (TR-55)：時間 (小時) 及對應的累積雨量比 P/P24。
+         * @readonly
+         */
+        this.SCSHours = [0, 2, 4, 6, 7, 8, 8.5, 9, 9.5, 9.75, 10, 10.5, 11, 11.5, 11.75, 12, 12.5, 13, 13.5, 14, 16, 20, 24];
+        this.SCSTable = Object.freeze({
+            [this.Method.SCSTypeI]: [0, 0.035, 0.076, 0.125, 0.156, 0.194, 0.219, 0.254, 0.303, 0.362, 0.515, 0.583,
+                0.624, 0.654, 0.669, 0.682, 0.706, 0.727, 0.748, 0.767, 0.830, 0.926, 1],
+            [this.Method.SCSTypeIA]: [0, 0.050, 0.116, 0.206, 0.268, 0.425, 0.480, 0.520, 0.550, 0.564, 0.577, 0.601,
+                0.624, 0.645, 0.655, 0.664, 0.683, 0.701, 0.719, 0.736, 0.800, 0.906, 1],
+            [this.Method.SCSTypeII]: [0, 0.022, 0.048, 0.080, 0.098, 0.120, 0.133, 0.147, 0.163, 0.172, 0.181, 0.204,
+                0.235, 0.283, 0.357, 0.663, 0.735, 0.772, 0.799, 0.820, 0.880, 0.952, 1],
+            [this.Method.SCSTypeIII]: [0, 0.020, 0.043, 0.072, 0.089, 0.115, 0.130, 0.148, 0.167, 0.178, 0.189, 0.216,
+                0.250, 0.298, 0.339, 0.500, 0.702, 0.751, 0.785, 0.811, 0.886, 0.957, 1]
+        });
+    }
+
+    /**
+     * 由各延時的設計雨量建立雨量-延時內插函數。
+     * 於雙對數座標線性內插，超出延時範圍時以最近兩點的斜率外插。
+     * @param {number[]} durations - 延時陣列 (分鐘)。
+     * @param {number[]} depths - 對應的設計雨量 (mm)，無法推估者為 NaN。
+     * @returns {function(number): number} 輸入延時 (分鐘)，回傳設計雨量 (mm)。
+     */
+    depthInterpolator(durations, depths) {
+        const points = durations
+            .map((t, j) => [t, depths[j]])
+            .filter(([t, d]) => t > 0 && Number.isFinite(d) && d > 0)
+            .sort((p, q) => p[0] - q[0]);
+        if (points.length < 2) {
+            throw new Error("至少需要 2 個延時的設計雨量。");
+        }
+        const x = points.map(p => Math.log(p[0]));
+        const y = points.map(p => Math.log(p[1]));
+        return t => {
+            if (t <= 0) return 0;
+            const lx = Math.log(t);
+            let k = 1;
+            while (k < x.length - 1 && lx > x[k]) k++;
+            const slope = (y[k] - y[k - 1]) / (x[k] - x[k - 1]);
+            return Math.exp(y[k - 1] + slope * (lx - x[k - 1]));
+        };
+    }
+
+    /**
+     * 產生設計雨型。
+     * @param {number} method - 設計雨型 (this.Method)。
+     * @param {Object} options - 參數。
+     * @param {number} options.duration - 降雨延時 (分鐘)。
+     * @param {number} options.timeStep - 時距 (分鐘)，須能整除降雨延時。
+     * @param {number} [options.peakRatio=0.5] - 尖峰位置 (0 ~ 1，尖峰前延時與降雨延時之比)，SCS 分布不使用。
+     * @param {function(number): number} [options.depthAt] - 雨量-延時函數 (depthInterpolator())，交替區塊法及 SCS 分布使用。
+     * @param {{a: number, b: number, c: number}} [options.horner] - Horner 公式係數 (IDFCurve.fit())，芝加哥雨型使用。
+     * @returns {{method: number, name: string, duration: number, timeStep: number, totalDepth: number,
+     *   blocks: Array<{start: number, end: number, depth: number, cumulative: number, intensity: number}>}}
+     *   各時距的起訖時間 (分鐘)、雨量 (mm)、累積雨量 (mm) 及平均降雨強度 (mm/hr)。
+     */
+    generate(method, options) {
+        const { duration, timeStep } = options;
+        const n = Math.round(duration / timeStep);
+        if (!(timeStep > 0) || !(duration > 0) || Math.abs(n * timeStep - duration) > 1e-9) {
+            throw new Error("時距須大於 0 且能整除降雨延時。");
+        }
+        const peakRatio = Math.min(0.99, Math.max(0.01, options.peakRatio ?? 0.5));
+
+        let depths;
+        switch (method) {
+            case this.Method.AlternatingBlock:
+                depths = this._alternatingBlock(n, timeStep, peakRatio, options.depthAt);
+                break;
+            case this.Method.Chicago:
+                depths = this._fromMassCurve(n, timeStep, this._chicagoMassCurve(duration, peakRatio, options.horner));
+                break;
+            case this.Method.SCSTypeI:
+            case this.Method.SCSTypeIA:
+            case this.Method.SCSTypeII:
+            case this.Method.SCSTypeIII: {
+                if (!options.depthAt) throw new Error("SCS 雨量分布需要設計雨量。");
+                const total = options.depthAt(duration);
+                const table = this.SCSTable[method];
+                depths = this._fromMassCurve(n, timeStep, tau => total * this._interpolate(this.SCSHours, table, 24 * tau / duration));
+                break;
+            }
+            default:
+                throw new Error(`不支援的設計雨型: ${method}`);
+        }
+
+        let cumulative = 0;
+        const blocks = depths.map((depth, k) => {
+            cumulative += depth;
+            return {
+                start: k * timeStep,
+                end: (k + 1) * timeStep,
+                depth,
+                cumulative,
+                intensity: depth / (timeStep / 60)
+            };
+        });
+        return {
+            method,
+            name: this.menuMethod[method - 1],
+            duration,
+            timeStep,
+            totalDepth: cumulative,
+            blocks
+        };
+    }
+
+    /**
+     * 交替區塊法：最大增量置於尖峰時距，其餘依大小輪流排列於尖峰後、前。
+     * @private
+     */
+    _alternatingBlock(n, timeStep, peakRatio, depthAt) {
+        if (!depthAt) throw new Error("交替區塊法需要設計雨量。");
+        const increments = [];
+        let previous = 0;
+        for (let k = 1; k <= n; k++) {
+            const D = depthAt(k * timeStep);
+            increments.push(Math.max(0, D - previous));
+            previous = Math.max(previous, D);
+        }
+        increments.sort((a, b) => b - a);
+
+        const peak = Math.min(n - 1, Math.floor(peakRatio * n));
+        const order = [peak];
+        for (let offset = 1; order.length < n; offset++) {
+            if (peak + offset < n) order.push(peak + offset);
+            if (peak - offset >= 0) order.push(peak - offset);
+        }
+        const depths = new Array(n).fill(0);
+        order.forEach((position, k) => depths[position] = increments[k]);
+        return depths;
+    }
+
+    /**
+     * 芝加哥雨型的累積雨量曲線。F(t) 為延時 t 的設計雨量，尖峰前後分別以 r、1 - r 縮放時間：
+     * 尖峰前 M(τ) = r·F(L) - r·F((t_p - τ)/r)，尖峰後 M(τ) = r·F(L) + (1 - r)·F((τ - t_p)/(1 - r))。
+     * @private
+     */
+    _chicagoMassCurve(duration, r, horner) {
+        if (!horner || !Number.isFinite(horner.a) || !Number.isFinite(horner.b) || !Number.isFinite(horner.c)) {
+            throw new Error("芝加哥雨型需要 Horner 降雨強度公式係數。");
+        }
+        const { a, b, c } = horner;
+        const F = t => t / 60 * a / Math.pow(t + b, c);
+        const tp = r * duration;
+        return tau => (tau <= tp
+            ? r * F(duration) - r * F((tp - tau) / r)
+            : r * F(duration) + (1 - r) * F((tau - tp) / (1 - r)));
+    }
+
+    /**
+     * 由累積雨量曲線求各時距雨量。
+     * @private
+     */
+    _fromMassCurve(n, timeStep, mass) {
+        const depths = [];
+        for (let k = 0; k < n; k++) {
+            depths.push(Math.max(0, mass((k + 1) * timeStep) - mass(k * timeStep)));
+        }
+        return depths;
+    }
+
+    /**
+     * 線性內插。
+     * @private
+     */
+    _interpolate(x, y, value) {
+        if (value <= x[0]) return y[0];
+        if (value >= x[x.length - 1]) return y[y.length - 1];
+        let k = 1;
+        while (value > x[k]) k++;
+        return y[k - 1] + (y[k] - y[k - 1]) * (value - x[k - 1]) / (x[k] - x[k - 1]);
+    }
+}
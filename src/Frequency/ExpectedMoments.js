@@ -0,0 +1,241 @@
+// ExpectedMoments.js
+// 2026-10-19
+// 期望動差法 (Expected Moments Algorithm, EMA)：結合系統紀錄、歷史資料及設限資料推估對數皮爾遜第三型分佈參數 (Bulletin 17C)
+
+import { RainUtils } from "./RainUtils.js";
+
+/**
+ * ExpectedMoments 類別以期望動差法 (Cohn et al., 1997；Bulletin 17C) 推估對數皮爾遜第三型分佈的參數。
+ * 每一年的資料以區間 [lower, upper] 表示：系統紀錄及確知的歷史雨量為點值 (lower = upper)，
+ * 「大於 X」為 [X, ∞)，「小於 X」為 [0, X]，歷史期間內未超過感知門檻的年份為 [0, 門檻]。
+ * 迭代時以目前參數計算各區間資料在對數空間的條件期望動差，據以更新平均值、標準差及偏態係數，直到收斂。
+ */
+export class ExpectedMoments {
+
+    /**
+     * @param {Object} [options] - 選項。
+     * @param {number} [options.maxIterations=1000] - 最大迭代次數。
+     * @param {number} [options.tolerance=1e-8] - 收斂判定的參數變化量。
+     * @param {{skew: number, mse: number}} [options.regionalSkew] - 區域偏態係數及其均方誤差，指定時收斂後的偏態係數與區域偏態加權。
+     */
+    constructor(options = {}) {
+        this.maxIterations = options.maxIterations || 1000;
+        this.tolerance = options.tolerance || 1e-8;
+        this.regionalSkew = options.regionalSkew || null;
+
+        /**
+         * 資料來源的列舉
+         * @readonly
+         */
+        this.Source = Object.freeze({
+            Systematic: 1,
+            Historic: 2,
+            Threshold: 3,
+            LowOutlier: 4
+        });
+
+        /**
+         * 資料來源選單
+         * @type {string[]}
+         */
+        this.menuSource = ["系統紀錄", "歷史資料", "未超過感知門檻", "低值離群 (設限)"];
+
+        /**
+         * @private
+         */
+        this.utils = new RainUtils();
+    }
+
+    /**
+     * 整理 EMA 使用的各年區間資料。
+     * 歷史資料的年份已在系統紀錄中者略過 (以系統紀錄為準)；歷史期間 (起始年至系統紀錄前一年) 內
+     * 沒有歷史資料的年份，在有感知門檻時視為未超過門檻 [0, 門檻]，無門檻時不列入。
+     * @param {Array<{year: number, value: number}>} records - 系統紀錄 (getDurationRecords() 的回傳值)。
+     * @param {Object} [historical] - 歷史資料。
+     * @param {Array<{year: number, lower: number, upper: number}>} [historical.observations] - 歷史資料及設限資料 (parseHistoricalData())。
+     * @param {number} [historical.startYear] - 歷史期間的起始年。
+     * @param {number} [historical.threshold] - 感知門檻 (mm)。
+     * @param {number} [lowOutlierThreshold] - 低值離群門檻 (mm)，系統紀錄低於此值者改為設限資料 [0, 門檻]。
+     * @returns {{observations: Array<{year: number, lower: number, upper: number, source: number}>, skipped: number[]}}
+     *   依年份排序的區間資料及略過的歷史資料年份。
+     */
+    buildObservations(records, historical = {}, lowOutlierThreshold = -Infinity) {
+        const observations = records.map(({ year, value }) => value < lowOutlierThreshold
+            ? { year, lower: 0, upper: lowOutlierThreshold, source: this.Source.LowOutlier }
+            : { year, lower: value, upper: value, source: this.Source.Systematic });
+
+        const systematicYears = new Set(records.map(r => r.year));
+        const skipped = [];
+        const historicYears = new Set();
+        (historical.observations || []).forEach(({ year, lower, upper }) => {
+            if (systematicYears.has(year) || historicYears.has(year)) {
+                skipped.push(year);
+                return;
+            }
+            historicYears.add(year);
+            observations.push({ year, lower, upper, source: this.Source.Historic });
+        });
+
+        const threshold = historical.threshold;
+        if (Number.isFinite(historical.startYear) && threshold > 0 && records.length > 0) {
+            const firstYear = Math.min(...records.map(r => r.year));
+            for (let year = historical.startYear; year < firstYear; year++) {
+                if (!historicYears.has(year)) {
+                    observations.push({ year, lower: 0, upper: threshold, source: this.Source.Threshold });
+                }
+            }
+        }
+        observations.sort((a, b) => a.year - b.year);
+        return { observations, skipped };
+    }
+
+    /**
+     * 以期望動差法推估對數皮爾遜第三型分佈的參數。
+     * @param {Array<{lower: number, upper: number}>} observations - 各年的區間資料 (mm，buildObservations())。
+     * @returns {{Xmin: number, Xmax: number, M: number, SD: number, Cv: number, Cs: number, gev: null, mle: null,
+     *   ema: {n: number, points: number, censored: number, iterations: number, converged: boolean}}}
+     *   與 ParameterEstimator.estimate() 相同欄位的推估結果 (log10 尺度)，可直接供 FrequencyAnalysis.quantile() 使用。
+     *   指定區域偏態時 Cs 為加權偏態 (測站偏態的均方誤差以資料年數計算)，另附 skewWeighting 欄位 (RainUtils.weightedSkew())。
+     */
+    fit(observations) {
+        // 區間端點取對數 (0 對應 -∞)；點值與 FrequencyAnalysis.fit() 相同，避免對 0 取對數
+        const toLog = v => (v === Infinity ? Infinity : (v > 1e-6 ? Math.log10(v) : -Infinity));
+        const intervals = observations.map(({ lower, upper }) => {
+            if (lower !== upper) return { lower: toLog(lower), upper: toLog(upper) };
+            const x = lower > 1e-6 ? Math.log10(lower) : 0;
+            return { lower: x, upper: x };
+        });
+        const n = intervals.length;
+        const points = intervals.filter(d => d.lower === d.upper).map(d => d.lower);
+        if (n < 3 || points.length < 2) {
+            throw new Error("期望動差法至少需要 3 年資料，其中至少 2 年為確定值。");
+        }
+
+        // 初始值：僅以確定值計算的動差
+        let { M, SD, Cs } = this.utils.statistics(points.length >= 3 ? points : intervals.map(d => Number.isFinite(d.upper) ? d.upper : d.lower));
+        const c2 = n / (n - 1);
+        const c3 = n * n / ((n - 1) * (n - 2));
+        let iterations = 0;
+        let converged = false;
+        while (iterations < this.maxIterations) {
+            iterations++;
+            // 以目前參數計算各區間資料對 M 的條件期望動差 E[(X - M)^k]，k = 1, 2, 3
+            let s1 = 0, s2 = 0, s3 = 0;
+            intervals.forEach(d => {
+                const [m1, m2, m3] = this.conditionalMoments(d.lower, d.upper, M, SD, Cs);
+                s1 += m1; s2 += m2; s3 += m3;
+            });
+            const shift = s1 / n;
+            // 換算為對新平均值的動差
+            const central2 = s2 / n - shift * shift;
+            const central3 = s3 / n - 3 * shift * s2 / n + 2 * shift * shift * shift;
+            const newM = M + shift;
+            const newSD = Math.sqrt(Math.max(0, c2 * central2));
+            const newCs = newSD > 0 ? c3 * central3 / Math.pow(newSD, 3) : 0;
+            if (![newM, newSD, newCs].every(Number.isFinite)) {
+                throw new Error("期望動差法無法收斂，請檢查歷史資料及感知門檻。");
+            }
+            const change = Math.max(Math.abs(newM - M), Math.abs(newSD - SD), Math.abs(newCs - Cs));
+            M = newM;
+            SD = newSD;
+            Cs = newCs;
+            if (change < this.tolerance) {
+                converged = true;
+                break;
+            }
+        }
+
+        const finite = intervals.flatMap(d => [d.lower, d.upper]).filter(Number.isFinite);
+        const skewWeighting = this.regionalSkew
+            ? this.utils.weightedSkew(Cs, n, this.regionalSkew.skew, this.regionalSkew.mse)
+            : null;
+        return {
+            Xmin: Math.min(...finite),
+            Xmax: Math.max(...finite),
+            M,
+            SD,
+            Cv: M !== 0 ? SD / M : 0,
+            Cs: skewWeighting ? skewWeighting.weighted : Cs,
+            gev: null,
+            mle: null,
+            skewWeighting,
+            ema: { n, points: points.length, censored: n - points.length, iterations, converged }
+        };
+    }
+
+    /**
+     * 計算皮爾遜第三型分佈 (平均值 M、標準差 SD、偏態係數 Cs) 在區間 [a, b] 內的條件動差 E[(X - M)^k | a <= X <= b]，k = 1, 2, 3。
+     * 點值直接計算；偏態係數接近 0 時以常態分佈計算；區間機率過小時以區間內最接近分佈中心的值代替。
+     * @param {number} a - 區間下限 (可為 -Infinity)。
+     * @param {number} b - 區間上限 (可為 Infinity)。
+     * @param {number} M - 平均值。
+     * @param {number} SD - 標準差。
+     * @param {number} Cs - 偏態係數。
+     * @returns {number[]} [E[(X - M)], E[(X - M)^2], E[(X - M)^3]]。
+     */
+    conditionalMoments(a, b, M, SD, Cs) {
+        const point = v => {
+            const d = v - M;
+            return [d, d * d, d * d * d];
+        };
+        if (a === b) return point(a);
+
+        const za = (a - M) / SD;
+        const zb = (b - M) / SD;
+        let moments;
+        if (Math.abs(Cs) < 0.01) {
+            moments = this._normalMoments(za, zb);
+        } else {
+            moments = this._pearson3Moments(za, zb, Cs);
+        }
+        if (!moments) {
+            return point(Math.min(Math.max(M, a), b));
+        }
+        return [SD * moments[0], SD * SD * moments[1], SD * SD * SD * moments[2]];
+    }
+
+    /**
+     * 標準常態分佈在 [a, b] 內的條件動差 E[Z^k]，區間機率過小時回傳 null。
+     * @private
+     */
+    _normalMoments(a, b) {
+        const phi = z => (Number.isFinite(z) ? Math.exp(-0.5 * z * z) / Math.sqrt(2 * Math.PI) : 0);
+        const p = this.utils.normalCdf(b) - this.utils.normalCdf(a);
+        if (!(p > 1e-12)) return null;
+        // z^k·φ(z) 在 z → ±∞ 時趨近 0
+        const zphi = (z, k) => (Number.isFinite(z) ? Math.pow(z, k) * phi(z) : 0);
+        const m1 = (phi(a) - phi(b)) / p;
+        const m2 = 1 + (zphi(a, 1) - zphi(b, 1)) / p;
+        const m3 = (zphi(a, 2) + 2 * phi(a) - zphi(b, 2) - 2 * phi(b)) / p;
+        return [m1, m2, m3];
+    }
+
+    /**
+     * 標準化皮爾遜第三型分佈 (平均值 0、標準差 1、偏態係數 Cs) 在 [a, b] 內的條件動差 E[Z^k]，區間機率過小時回傳 null。
+     * Z = (Cs / 2)·(Y - α)，Y ~ Gamma(α)，α = 4 / Cs²；E[Y^j] 在區間內的條件期望值以不完全 Gamma 函數計算。
+     * @private
+     */
+    _pearson3Moments(a, b, Cs) {
+        const alpha = 4 / (Cs * Cs);
+        const toY = z => alpha + 2 * z / Cs;
+        let lo = toY(a);
+        let hi = toY(b);
+        if (Cs < 0) [lo, hi] = [hi, lo];
+        lo = Number.isNaN(lo) ? 0 : Math.max(0, lo);
+        hi = Number.isNaN(hi) ? Infinity : Math.max(0, hi);
+        const P = (s, y) => (y <= 0 ? 0 : (y === Infinity ? 1 : this.utils.gammaP(s, y)));
+        const p = P(alpha, hi) - P(alpha, lo);
+        if (!(p > 1e-12)) return null;
+
+        // E[Y^j | lo <= Y <= hi] = Γ(α + j) / Γ(α) · [P(α + j, hi) - P(α + j, lo)] / p
+        const y1 = alpha * (P(alpha + 1, hi) - P(alpha + 1, lo)) / p;
+        const y2 = alpha * (alpha + 1) * (P(alpha + 2, hi) - P(alpha + 2, lo)) / p;
+        const y3 = alpha * (alpha + 1) * (alpha + 2) * (P(alpha + 3, hi) - P(alpha + 3, lo)) / p;
+        // D = Y - α 的條件動差
+        const d1 = y1 - alpha;
+        const d2 = y2 - 2 * alpha * y1 + alpha * alpha;
+        const d3 = y3 - 3 * alpha * y2 + 3 * alpha * alpha * y1 - alpha * alpha * alpha;
+        const h = Cs / 2;
+        return [h * d1, h * h * d2, h * h * h * d3];
+    }
+}
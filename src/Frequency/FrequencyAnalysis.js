@@ -3,13 +3,21 @@
 // 水文頻率分析公用程式
 
 import { RainUtils } from "./RainUtils.js";
+import { ParameterEstimator } from "./ParameterEstimator.js";
 
 /**
  * FrequencyAnalysis 類別執行基於不同統計分佈的頻率分析。
  */
 export class FrequencyAnalysis {
 
-    constructor() {
+    /**
+     * @param {Object} [options] - 分析選項。
+     * @param {number} [options.fittingMethod] - 參數推估法 (使用 this.FittingMethod 中的值)，預設為動差法。
+     * @param {number} [options.ktMethod] - 皮爾遜第三型頻率因子計算方法 (使用 this.KtMethod 中的值)，預設為精確解。
+     * @param {number} [options.lowOutlierMethod] - 對數皮爾遜第三型分佈的低值離群檢定方法 (使用 this.LowOutlierMethod 中的值)，預設為不檢定。
+     * @param {{skew: number, mse: number}} [options.regionalSkew] - 區域偏態係數及其均方誤差，指定時對數皮爾遜第三型分佈改用加權偏態。
+     */
+    constructor(options = {}) {
         /**
          * 頻率分析分佈型態的列舉
          * @readonly
@@ -19,7 +27,9 @@ export class FrequencyAnalysis {
             LogNormal: 2,
             PearsonType3: 3,
             LogPearsonType3: 4,
-            ExtremeValueType1: 5
+            ExtremeValueType1: 5,
+            GEV: 6,
+            LogNormal3: 7
         });
 
         /**
@@ -31,7 +41,9 @@ export class FrequencyAnalysis {
             "對數常態分佈 (Log-Normal)",
             "皮爾遜第三型分佈 (Pearson Type III)",
             "對數皮爾遜第三型分佈 (Log-Pearson Type III)",
-            "極端值第一型分佈 (Extreme Value Type I)"
+            "極端值第一型分佈 (Extreme Value Type I)",
+            "廣義極端值分佈 (Generalized Extreme Value)",
+            "三參數對數常態分佈 (3-Parameter Log-Normal)"
         ];
 
         /**
@@ -44,35 +56,68 @@ export class FrequencyAnalysis {
          * @private
          */
         this.utils = new RainUtils();
+
+        /**
+         * @private
+         */
+        this.estimator = new ParameterEstimator(options);
+
+        /**
+         * 參數推估法的列舉
+         * @readonly
+         */
+        this.FittingMethod = this.estimator.FittingMethod;
+
+        /**
+         * 目前使用的參數推估法
+         * @type {number}
+         */
+        this.fittingMethod = options.fittingMethod || this.FittingMethod.Moments;
+
+        /**
+         * 皮爾遜第三型頻率因子計算方法的列舉
+         * @readonly
+         */
+        this.KtMethod = this.utils.KtMethod;
+
+        /**
+         * 目前使用的皮爾遜第三型頻率因子計算方法
+         * @type {number}
+         */
+        this.ktMethod = options.ktMethod || this.KtMethod.Exact;
+
+        /**
+         * 低值離群檢定方法的列舉
+         * @readonly
+         */
+        this.LowOutlierMethod = this.estimator.LowOutlierMethod;
+
+        /**
+         * 目前使用的低值離群檢定方法
+         * @type {number}
+         */
+        this.lowOutlierMethod = this.estimator.lowOutlierMethod;
+
+        /**
+         * 區域偏態係數及其均方誤差，null 表示僅使用測站偏態
+         * @type {{skew: number, mse: number}|null}
+         */
+        this.regionalSkew = this.estimator.regionalSkew;
+
+        /**
+         * cdf() 可分辨的最小超越機率 (1 - F)，亦為 Wilson-Hilferty 近似反求累積機率時的二分法上下限
+         * @readonly
+         */
+        this.MinExceedance = 1e-12;
     }
 
     /**
      * 計算三參數對數常態分佈的第三個參數 tau。
      * @param {number[]} X - 輸入資料陣列。
-     * @returns {number} tau 參數值。
+     * @returns {number} tau 參數值，樣本為負偏態時為 0。
      */
     findTau(X) {
-        const NoOfData = X.length;
-        if (NoOfData < 3) return 0;
-
-        const stats = this.utils.statistics(X);
-        const { Xmin, Xmax } = stats;
-
-        const y = this.utils.sort(X);
-        const k = Math.floor(NoOfData / 2);
-
-        // 計算中位數
-        const Xmedian = (NoOfData % 2 !== 0)
-            ? y[k] // 奇數個數
-            : (y[k - 1] + y[k]) / 2; // 偶數個數
-
-        const div = (Xmax + Xmin - 2 * Xmedian);
-        let tau = 0;
-        // 如果 div < 0，表示樣本可能為負偏態，不適合三參數對數常態分佈 (3P-LN)
-        if (div > 0) {
-            tau = (Xmax * Xmin - Math.pow(Xmedian, 2)) / div;
-        }
-        return tau;
+        return this.utils.findTau(X).tau;
     }
 
     /**
@@ -80,24 +125,58 @@ export class FrequencyAnalysis {
      * @param {number} distType - 頻率分佈型態 (使用 this.DistributionType 中的值)。
      * @param {number[]} y - 原始資料陣列。
      * @param {number} T - 重現期 (年)。
-     * @returns {{Kt: number, Qest: number}} 一個包含頻率因子(Kt)和推估值(Qest)的物件。
+     * @returns {{Kt: number, Qest: number, mle?: Object}} 一個包含頻率因子(Kt)和推估值(Qest)的物件。
+     *   使用最大概似法時另附 mle 欄位，包含推估參數、對數概似值、迭代次數及收斂資訊。
      */
     freq(distType, y, T) {
+        const fit = this.fit(distType, y);
+        return this.quantile(fit, T);
+    }
+
+    /**
+     * 依目前的參數推估法推估分佈參數，供 quantile() 重複計算不同重現期使用。
+     * @param {number} distType - 頻率分佈型態 (使用 this.DistributionType 中的值)。
+     * @param {number[]} y - 原始資料陣列。
+     * @returns {Object} ParameterEstimator.estimate() 的推估結果，另附 distType 欄位；
+     *   三參數對數常態分佈另附下限 tau 及 negativeSkew (樣本為負偏態、tau 設為 0 時為 true)。
+     */
+    fit(distType, y) {
         // 1. 判斷是否需要對數轉換並準備資料
-        const requiresLog = distType === this.DistributionType.LogNormal || distType === this.DistributionType.LogPearsonType3;
+        const requiresLog = distType === this.DistributionType.LogNormal || distType === this.DistributionType.LogPearsonType3 ||
+            distType === this.DistributionType.LogNormal3;
+
+        // 三參數對數常態分佈先扣除下限 tau 再取對數
+        const { tau, negativeSkew } = distType === this.DistributionType.LogNormal3
+            ? this.utils.findTau(y)
+            : { tau: 0, negativeSkew: false };
 
         const x = requiresLog
-            ? y.map(val => (val > 1e-6 ? Math.log10(val) : 0)) // 避免對 0 或負數取對數
+            ? y.map(val => (val - tau > 1e-6 ? Math.log10(val - tau) : 0)) // 避免對 0 或負數取對數
             : y.slice(); // 建立副本
 
 
-        // 2. 計算基本統計量
-        const stats = this.utils.statistics(x);
-        const { M: mean, SD: std, Cs: cs } = stats;
+        // 2. 依參數推估法計算分佈參數
+        const stats = this.estimator.estimate(distType, x, this.fittingMethod);
+        if (distType !== this.DistributionType.LogNormal3) {
+            return { ...stats, distType };
+        }
+        if (stats.mle) {
+            stats.mle = { ...stats.mle, parameters: { ...stats.mle.parameters, tau } };
+        }
+        return { ...stats, distType, tau, negativeSkew };
+    }
+
+    /**
+     * 以 fit() 推估的分佈參數計算指定重現期的頻率因子及推估值。
+     * @param {Object} fit - fit() 的回傳值。
+     * @param {number} T - 重現期 (年)。
+     * @returns {{Kt: number, Qest: number, mle?: Object}} 頻率因子(Kt)和推估值(Qest)。
+     */
+    quantile(fit, T) {
+        const { distType, M: mean, SD: std, Cs: cs, gev } = fit;
 
-        // 注意：此處 tau 被初始化為 0，與 C# 版本行為一致。
-        // 若要實作三參數分佈，需要在此處呼叫 findTau()。
-        const tau = 0;
+        // 三參數對數常態分佈的下限 (fit() 已呼叫 findTau() 推估)，其餘分佈為 0
+        const tau = fit.tau || 0;
 
         // 3. 根據分佈型態呼叫對應的計算方法
         const px = 1.0 / T; // 超過機率 (Exceedance Probability)
@@ -112,20 +191,130 @@ export class FrequencyAnalysis {
                 result = this._calculateLogNormal(mean, std, z);
                 break;
             case this.DistributionType.PearsonType3:
-                result = this._calculatePearsonType3(mean, std, cs, z, tau);
+                result = this._calculatePearsonType3(mean, std, cs, 1 - px, tau);
                 break;
             case this.DistributionType.LogPearsonType3:
-                result = this._calculateLogPearsonType3(mean, std, cs, z, tau);
+                result = this._calculateLogPearsonType3(mean, std, cs, 1 - px, tau);
                 break;
             case this.DistributionType.ExtremeValueType1:
                 result = this._calculateExtremeValueType1(mean, std, px);
                 break;
+            case this.DistributionType.GEV:
+                result = this._calculateGEV(mean, std, gev, px);
+                break;
+            case this.DistributionType.LogNormal3:
+                result = this._calculateLogNormal3(mean, std, z, tau);
+                break;
             default:
                 throw new Error(`不支援的分佈型態: ${distType}`);
         }
+        if (fit.mle) {
+            result.mle = fit.mle;
+        }
         return result;
     }
 
+    /**
+     * 以 fit() 推估的分佈參數計算 x 的累積機率 (非超過機率)，即 quantile() 的反函數。
+     * 皮爾遜第三型分佈依 this.ktMethod 計算：精確解使用不完全 Gamma 函數，
+     * Wilson-Hilferty 近似則以二分法反求頻率因子，確保與 quantile() 的推估值一致。
+     * @param {Object} fit - fit() 的回傳值。
+     * @param {number} x - 水文量 (原始尺度)。
+     * @returns {number} 累積機率 F(x)。
+     */
+    cdf(fit, x) {
+        const { distType, M: mean, SD: std, Cs: cs, gev } = fit;
+        switch (distType) {
+            case this.DistributionType.Normal:
+                return this.utils.normalCdf((x - mean) / std);
+            case this.DistributionType.LogNormal:
+                return x > 0 ? this.utils.normalCdf((Math.log10(x) - mean) / std) : 0;
+            case this.DistributionType.LogNormal3:
+                return x > fit.tau ? this.utils.normalCdf((Math.log10(x - fit.tau) - mean) / std) : 0;
+            case this.DistributionType.PearsonType3:
+                return this._pearsonType3Cdf(mean, std, cs, x);
+            case this.DistributionType.LogPearsonType3:
+                return x > 0 ? this._pearsonType3Cdf(mean, std, cs, Math.log10(x)) : 0;
+            case this.DistributionType.ExtremeValueType1: {
+                const alpha = 0.7797 * std;
+                const mode = mean - 0.5772 * alpha;
+                return Math.exp(-Math.exp(-(x - mode) / alpha));
+            }
+            case this.DistributionType.GEV:
+                return this.utils.gevCdf(gev, x);
+            default:
+                throw new Error(`不支援的分佈型態: ${distType}`);
+        }
+    }
+
+    /**
+     * 以 fit() 推估的分佈參數計算資料的對數概似值 (原始資料尺度)，供 AIC、BIC 等模式選擇準則使用。
+     * 對數分佈已加上變數轉換的 Jacobian 項；資料超出分佈範圍時回傳 -Infinity。
+     * @param {Object} fit - fit() 的回傳值。
+     * @param {number[]} y - 原始資料陣列。
+     * @returns {number} 對數概似值。
+     */
+    logLikelihood(fit, y) {
+        const { distType, M: mean, SD: std, Cs: cs, gev } = fit;
+        const mle = this.estimator.mle;
+        const types = this.DistributionType;
+
+        // 對數分佈：x = tau + 10^v，f(x) = g(v) / ((x - tau) · ln10)
+        const logSpace = (tau, logLikOfV) => {
+            if (y.some(val => val - tau <= 0)) return -Infinity;
+            const v = y.map(val => Math.log10(val - tau));
+            const jacobian = v.reduce((acc, t) => acc + t * Math.LN10 + Math.log(Math.LN10), 0);
+            return logLikOfV(v) - jacobian;
+        };
+
+        switch (distType) {
+            case types.Normal:
+                return mle.normalLogLikelihood(y, mean, std);
+            case types.LogNormal:
+                return logSpace(0, v => mle.normalLogLikelihood(v, mean, std));
+            case types.LogNormal3:
+                return logSpace(fit.tau, v => mle.normalLogLikelihood(v, mean, std));
+            case types.PearsonType3:
+                return mle.pearson3MomentLogLikelihood(y, mean, std, cs);
+            case types.LogPearsonType3:
+                return logSpace(0, v => mle.pearson3MomentLogLikelihood(v, mean, std, cs));
+            case types.ExtremeValueType1: {
+                const alpha = 0.7797 * std;
+                return mle.gumbelLogLikelihood(y, mean - 0.5772 * alpha, alpha);
+            }
+            case types.GEV:
+                return mle.gevLogLikelihood(y, gev.location, gev.scale, gev.shape);
+            default:
+                throw new Error(`不支援的分佈型態: ${distType}`);
+        }
+    }
+
+    /** @private */
+    _pearsonType3Cdf(mean, std, cs, x) {
+        const K = (x - mean) / std;
+        if (this.ktMethod === this.KtMethod.WilsonHilferty) {
+            // 頻率因子隨累積機率單調遞增，以二分法反求
+            let lo = this.MinExceedance, hi = 1 - this.MinExceedance;
+            if (K <= this.utils.pearson3FrequencyFactor(lo, cs, this.ktMethod)) return 0;
+            if (K >= this.utils.pearson3FrequencyFactor(hi, cs, this.ktMethod)) return 1;
+            for (let i = 0; i < 60; i++) {
+                const mid = (lo + hi) / 2;
+                if (this.utils.pearson3FrequencyFactor(mid, cs, this.ktMethod) < K) lo = mid;
+                else hi = mid;
+            }
+            return (lo + hi) / 2;
+        }
+        if (Math.abs(cs) < 1e-3) {
+            return this.utils.normalCdf(K);
+        }
+        // Kt = (Cs / 2) · (G - α)，G ~ Gamma(α = 4 / Cs²)
+        const alpha = 4 / (cs * cs);
+        const g = alpha + 2 * K / cs;
+        if (g <= 0) return cs > 0 ? 0 : 1;
+        const p = this.utils.gammaP(alpha, g);
+        return cs > 0 ? p : 1 - p;
+    }
+
     /** @private */
     _calculateNormal(mean, std, z) {
         const Kt = z;
@@ -141,19 +330,24 @@ export class FrequencyAnalysis {
     }
 
     /** @private */
-    _calculatePearsonType3(mean, std, cs, z, tau) {
-        // 使用 Wilson-Hilferty 轉換近似，計算頻率因子 Kt
-        const k = cs / 6.0;
-        const z2 = z * z;
-        const k2 = k * k;
-        const Kt = z + (z2 - 1.0) * k + (z * (z2 - 6.0)) * k2 / 3.0 - (z2 - 1.0) * k2 * k + z * k2 * k2 + k2 * k2 * k / 3.0;
+    _calculateLogNormal3(mean, std, z, tau) {
+        // log10(x - tau) 服從常態分佈
+        const { Kt, Qest: logQest } = this._calculateNormal(mean, std, z);
+        const Qest = tau + Math.pow(10, logQest);
+        return { Kt, Qest };
+    }
+
+    /** @private */
+    _calculatePearsonType3(mean, std, cs, F, tau) {
+        // 依設定以不完全 Gamma 函數精確計算或以 Wilson-Hilferty 轉換近似頻率因子 Kt
+        const Kt = this.utils.pearson3FrequencyFactor(F, cs, this.ktMethod);
         const Qest = mean + std * Kt + tau;
         return { Kt, Qest };
     }
 
     /** @private */
-    _calculateLogPearsonType3(mean, std, cs, z, tau) {
-        const { Kt, Qest: logQest } = this._calculatePearsonType3(mean, std, cs, z, tau);
+    _calculateLogPearsonType3(mean, std, cs, F, tau) {
+        const { Kt, Qest: logQest } = this._calculatePearsonType3(mean, std, cs, F, tau);
         const Qest = Math.pow(10, logQest);
         return { Kt, Qest };
     }
@@ -166,6 +360,14 @@ export class FrequencyAnalysis {
         const Qest = mode + alpha * Kt;
         return { Kt, Qest };
     }
+
+    /** @private */
+    _calculateGEV(mean, std, gev, px) {
+        // 由位置、尺度、形狀參數計算推估值，再換算為相對於平均值的頻率因子
+        const Qest = this.utils.gevQuantile(gev, 1 - px);
+        const Kt = std > 0 ? (Qest - mean) / std : NaN;
+        return { Kt, Qest };
+    }
 }
 
 // --- 使用範例 ---
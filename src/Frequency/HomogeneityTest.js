@@ -0,0 +1,277 @@
+// HomogeneityTest.js
+// 2026-10-19
+// 均一性及變異點檢定：Pettitt 檢定、標準常態均一性檢定 (SNHT)、Buishand 範圍檢定及 von Neumann 比值檢定
+
+import { RainUtils } from "./RainUtils.js";
+
+/**
+ * SNHT、Buishand 範圍及 von Neumann 比值在虛無假設 (獨立同分佈的常態序列) 下的蒙地卡羅模擬結果，
+ * 以樣本數、模擬次數及亂數種子為鍵值 (三個統計量皆與位置、尺度無關)。
+ * @type {Map<string, {snht: Float64Array, buishand: Float64Array, vonNeumann: Float64Array}>}
+ */
+const homogeneityNullCache = new Map();
+
+/**
+ * HomogeneityTest 類別檢定年最大降雨量序列的均一性，偵測測站遷移等原因造成的平均值跳動 (變異點)。
+ * - Pettitt 檢定：U_k = 2·Σ_(i<=k) r_i - k(n+1)，K = max|U_k|，p ≈ 2·exp(-6K² / (n³ + n²))。
+ * - SNHT (Alexandersson, 1986)：T_k = k·z̄₁² + (n-k)·z̄₂²，T₀ = max T_k。
+ * - Buishand 範圍檢定：S_k = Σ_(i<=k) (x_i - x̄)，R/√n = (max S_k - min S_k) / (s·√n)。
+ * - von Neumann 比值：N = Σ (x_i - x_(i+1))² / Σ (x_i - x̄)²，均一序列的期望值為 2，不提供變異點位置。
+ * SNHT、Buishand 及 von Neumann 的 p 值以可重現的蒙地卡羅模擬計算。
+ * 依 Wijngaard et al. (2003)，四項檢定中拒絕均一假設的個數為 0~1、2、3~4 者分別判定為均一、可疑及不均一。
+ */
+export class HomogeneityTest {
+
+    /**
+     * @param {Object} [options] - 選項。
+     * @param {number} [options.alpha=0.05] - 顯著水準。
+     * @param {number} [options.replicates=2000] - 蒙地卡羅模擬次數。
+     * @param {number} [options.seed=20030101] - 亂數種子，使 p 值可重現。
+     */
+    constructor(options = {}) {
+        this.alpha = options.alpha ?? 0.05;
+        this.replicates = options.replicates || 2000;
+        this.seed = options.seed || 20030101;
+
+        /**
+         * 檢定方法的列舉
+         * @readonly
+         */
+        this.Test = Object.freeze({
+            Pettitt: 1,
+            SNHT: 2,
+            BuishandRange: 3,
+            VonNeumann: 4
+        });
+
+        /**
+         * 檢定方法選單
+         * @type {string[]}
+         */
+        this.menuTest = ["Pettitt", "SNHT", "Buishand 範圍", "von Neumann 比值"];
+
+        /**
+         * 均一性分類的列舉
+         * @readonly
+         */
+        this.Class = Object.freeze({
+            Useful: 1,
+            Doubtful: 2,
+            Suspect: 3
+        });
+
+        /**
+         * 均一性分類選單
+         * @type {string[]}
+         */
+        this.menuClass = ["均一", "可疑", "不均一"];
+
+        /**
+         * 可進行檢定的最小樣本數
+         * @readonly
+         */
+        this.MinSampleSize = 10;
+
+        /**
+         * @private
+         */
+        this.utils = new RainUtils();
+    }
+
+    /**
+     * Pettitt 檢定。
+     * @param {number[]} x - 依時間排列的資料。
+     * @returns {{statistic: number, index: number, pValue: number}}
+     *   統計量 K、變異點 (變異後第一筆資料的索引) 及近似 p 值。
+     */
+    pettitt(x) {
+        const n = x.length;
+        const ranks = this.utils.averageRanks(x);
+        let sum = 0;
+        let K = 0;
+        let index = 1;
+        for (let k = 1; k < n; k++) {
+            sum += ranks[k - 1];
+            const U = Math.abs(2 * sum - k * (n + 1));
+            if (U > K) {
+                K = U;
+                index = k;
+            }
+        }
+        const pValue = Math.min(1, 2 * Math.exp(-6 * K * K / (n * n * n + n * n)));
+        return { statistic: K, index, pValue };
+    }
+
+    /**
+     * SNHT 統計量 T₀。
+     * @param {ArrayLike<number>} x - 依時間排列的資料。
+     * @returns {{statistic: number, index: number}} 統計量及變異點 (變異後第一筆資料的索引)。
+     */
+    snht(x) {
+        const n = x.length;
+        const { mean, sd } = this._moments(x);
+        let statistic = 0;
+        let index = 1;
+        let sum = 0;
+        for (let k = 1; k < n; k++) {
+            sum += sd > 0 ? (x[k - 1] - mean) / sd : 0;
+            // z 的總和為 0，故後段平均為 -sum / (n - k)
+            const T = sum * sum / k + sum * sum / (n - k);
+            if (T > statistic) {
+                statistic = T;
+                index = k;
+            }
+        }
+        return { statistic, index };
+    }
+
+    /**
+     * Buishand 範圍檢定統計量 R/√n。
+     * @param {ArrayLike<number>} x - 依時間排列的資料。
+     * @returns {{statistic: number, index: number}} 統計量及變異點 (|S_k| 最大處之後第一筆資料的索引)。
+     */
+    buishandRange(x) {
+        const n = x.length;
+        const { mean, sd } = this._moments(x);
+        let S = 0, max = 0, min = 0, peak = 0;
+        let index = 1;
+        for (let k = 1; k < n; k++) {
+            S += x[k - 1] - mean;
+            if (S > max) max = S;
+            if (S < min) min = S;
+            if (Math.abs(S) > peak) {
+                peak = Math.abs(S);
+                index = k;
+            }
+        }
+        const statistic = sd > 0 ? (max - min) / sd / Math.sqrt(n) : 0;
+        return { statistic, index };
+    }
+
+    /**
+     * von Neumann 比值 N。
+     * @param {ArrayLike<number>} x - 依時間排列的資料。
+     * @returns {{statistic: number}} 統計量 (值愈小愈不均一)。
+     */
+    vonNeumann(x) {
+        const n = x.length;
+        const { mean } = this._moments(x);
+        let num = 0, denom = 0;
+        for (let i = 0; i < n; i++) {
+            if (i < n - 1) num += (x[i] - x[i + 1]) * (x[i] - x[i + 1]);
+            denom += (x[i] - mean) * (x[i] - mean);
+        }
+        return { statistic: denom > 0 ? num / denom : 2 };
+    }
+
+    /**
+     * 以蒙地卡羅模擬建立樣本數 n 的 SNHT、Buishand 範圍及 von Neumann 比值虛無分佈 (標準常態樣本)，結果依樣本數快取。
+     * @private
+     */
+    _nullDistribution(n) {
+        const key = `${n}:${this.replicates}:${this.seed}`;
+        if (homogeneityNullCache.has(key)) return homogeneityNullCache.get(key);
+
+        const random = this.utils.createRandom(this.seed + n);
+        const snht = new Float64Array(this.replicates);
+        const buishand = new Float64Array(this.replicates);
+        const vonNeumann = new Float64Array(this.replicates);
+        const z = new Float64Array(n);
+        for (let r = 0; r < this.replicates; r++) {
+            // Box-Muller 產生標準常態亂數
+            for (let i = 0; i < n; i += 2) {
+                const radius = Math.sqrt(-2 * Math.log(random()));
+                const angle = 2 * Math.PI * random();
+                z[i] = radius * Math.cos(angle);
+                if (i + 1 < n) z[i + 1] = radius * Math.sin(angle);
+            }
+            snht[r] = this.snht(z).statistic;
+            buishand[r] = this.buishandRange(z).statistic;
+            vonNeumann[r] = this.vonNeumann(z).statistic;
+        }
+        const result = { snht: snht.sort(), buishand: buishand.sort(), vonNeumann: vonNeumann.sort() };
+        homogeneityNullCache.set(key, result);
+        return result;
+    }
+
+    /**
+     * 執行四項均一性檢定。
+     * @param {Array<{year: number, value: number}>} records - 依年份排列的資料 (getDurationRecords() 的回傳值)。
+     * @returns {{n: number, tests: Array<{test: number, statistic: number, index: number, year: (number|null), pValue: number, significant: boolean}>,
+     *   rejections: number, classification: number, changeYear: (number|null), postChangeCount: number}}
+     *   各檢定的統計量、變異點索引及變異年份 (變異後的第一個年份；von Neumann 比值為 null)、p 值與是否顯著，
+     *   拒絕均一假設的檢定個數、均一性分類 (this.Class)，
+     *   以及判定為可疑或不均一時，顯著的變異點檢定中 p 值最小者的變異年份與該年 (含) 之後的資料筆數。
+     * @throws {Error} 樣本數小於 MinSampleSize 時拋出。
+     */
+    analyze(records) {
+        const sorted = [...records].sort((a, b) => a.year - b.year);
+        const n = sorted.length;
+        if (n < this.MinSampleSize) {
+            throw new Error(`均一性檢定至少需要 ${this.MinSampleSize} 年資料。`);
+        }
+        const x = sorted.map(r => r.value);
+        const nullDist = this._nullDistribution(n);
+        const upperTail = (s, value) => (s.length - this._countBelow(s, value) + 1) / (s.length + 1);
+        const lowerTail = (s, value) => (this._countBelow(s, value) + 1) / (s.length + 1);
+
+        const pettitt = this.pettitt(x);
+        const snht = this.snht(x);
+        const buishand = this.buishandRange(x);
+        const vonNeumann = this.vonNeumann(x);
+        const tests = [
+            { test: this.Test.Pettitt, ...pettitt },
+            { test: this.Test.SNHT, ...snht, pValue: upperTail(nullDist.snht, snht.statistic) },
+            { test: this.Test.BuishandRange, ...buishand, pValue: upperTail(nullDist.buishand, buishand.statistic) },
+            { test: this.Test.VonNeumann, ...vonNeumann, index: -1, pValue: lowerTail(nullDist.vonNeumann, vonNeumann.statistic) }
+        ].map(result => ({
+            ...result,
+            year: result.index >= 0 ? sorted[result.index].year : null,
+            significant: result.pValue < this.alpha
+        }));
+
+        const rejections = tests.filter(result => result.significant).length;
+        let classification = this.Class.Useful;
+        if (rejections === 2) classification = this.Class.Doubtful;
+        if (rejections >= 3) classification = this.Class.Suspect;
+
+        let changeYear = null;
+        if (classification !== this.Class.Useful) {
+            const located = tests.filter(result => result.significant && result.year !== null)
+                .sort((a, b) => a.pValue - b.pValue);
+            if (located.length > 0) changeYear = located[0].year;
+        }
+        return {
+            n, tests, rejections, classification, changeYear,
+            postChangeCount: changeYear === null ? n : sorted.filter(r => r.year >= changeYear).length
+        };
+    }
+
+    /**
+     * 遞增排序的陣列中小於 value 的個數 (二分搜尋)。
+     * @private
+     */
+    _countBelow(sorted, value) {
+        let lo = 0, hi = sorted.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (sorted[mid] < value) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
+
+    /**
+     * 平均值及樣本標準差。
+     * @private
+     */
+    _moments(x) {
+        const n = x.length;
+        let mean = 0;
+        for (let i = 0; i < n; i++) mean += x[i];
+        mean /= n;
+        let ss = 0;
+        for (let i = 0; i < n; i++) ss += (x[i] - mean) * (x[i] - mean);
+        return { mean, sd: Math.sqrt(ss / (n - 1)) };
+    }
+}
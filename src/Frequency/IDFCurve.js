@@ -0,0 +1,327 @@
+// IDFCurve.js
+// 2026-10-19
+// 降雨強度-延時-頻率 (IDF) 公式迴歸：Horner、Talbot、Sherman 及水利署無因次降雨強度公式
+
+import { FrequencyAnalysis } from "./FrequencyAnalysis.js";
+import { NelderMead } from "./NelderMead.js";
+import { getDurationRain } from "../statistics.js";
+
+/**
+ * IDFCurve 類別以各延時、各重現期的設計雨量 (FrequencyAnalysis.freq()) 換算降雨強度，
+ * 並迴歸降雨強度公式 (t 為延時 (分鐘)，i 為降雨強度 (mm/hr))：
+ * - Horner：i = a / (t + b)^c，各重現期分別迴歸。
+ * - Talbot：i = a / (t + b)，各重現期分別迴歸。
+ * - Sherman：i = a / t^c，各重現期分別迴歸。
+ * - 水利署 (WRA)：i = (G + H·log T) · A / (t + B)^C · I₆₀²⁵，所有重現期共用一組係數；
+ *   其中 I₆₀²⁵ 為 60 分鐘、25 年重現期的設計降雨強度，A = (60 + B)^C 使 t = 60 分鐘時延時項為 1。
+ */
+export class IDFCurve {
+    /**
+     * @param {Object} [options] - 選項。
+     * @param {number} [options.fittingMethod] - 參數推估法 (FrequencyAnalysis.FittingMethod)，預設為動差法。
+     * @param {number} [options.ktMethod] - 皮爾遜第三型頻率因子計算方法 (FrequencyAnalysis.KtMethod)。
+     * @param {number} [options.lowOutlierMethod] - 對數皮爾遜第三型分佈的低值離群檢定方法 (FrequencyAnalysis.LowOutlierMethod)。
+     * @param {{skew: number, mse: number}} [options.regionalSkew] - 區域偏態係數及其均方誤差 (FrequencyAnalysis.regionalSkew)。
+     */
+    constructor(options = {}) {
+        /**
+         * 降雨強度公式的列舉
+         * @readonly
+         */
+        this.FormulaType = Object.freeze({
+            Horner: 1,
+            Talbot: 2,
+            Sherman: 3,
+            WRA: 4
+        });
+
+        /**
+         * 降雨強度公式選單
+         * @type {string[]}
+         */
+        this.menuFormula = [
+            "Horner i = a/(t+b)^c",
+            "Talbot i = a/(t+b)",
+            "Sherman i = a/t^c",
+            "水利署 i = (G+H·logT)·A/(t+B)^C·I₆₀²⁵"
+        ];
+
+        /**
+         * @private
+         */
+        this.fa = new FrequencyAnalysis({
+            fittingMethod: options.fittingMethod,
+            ktMethod: options.ktMethod,
+            lowOutlierMethod: options.lowOutlierMethod,
+            regionalSkew: options.regionalSkew
+        });
+    }
+
+    /**
+     * 計算各延時、各重現期的設計雨量及降雨強度。
+     * @param {Array<Object>} data - 歷年各延時年最大降雨量資料。
+     * @param {number[]} durations - 延時陣列 (分鐘)。
+     * @param {number[]} returnPeriods - 重現期陣列 (年)。
+     * @param {number|Object.<string, number>} distTypes - 頻率分佈型態 (FrequencyAnalysis.DistributionType)；
+     *   可為單一值，或以延時為鍵值分別指定 (例如各延時的建議機率分佈)。
+     * @returns {{durations: number[], returnPeriods: number[], depth: number[][], intensity: number[][]}}
+     *   depth、intensity 皆為 [重現期][延時] 的二維陣列，單位分別為 mm 及 mm/hr；無法推估者為 NaN。
+     */
+    designRainfall(data, durations, returnPeriods, distTypes) {
+        const depth = returnPeriods.map(() => []);
+        durations.forEach(duration => {
+            const distType = typeof distTypes === "number" ? distTypes : distTypes[duration];
+            const rainData = getDurationRain(data, duration);
+            let fit = null;
+            try {
+                fit = this.fa.fit(distType, rainData);
+            } catch (e) {
+                console.error(`IDF 設計雨量推估錯誤: ${duration}分鐘: ${e.message}`);
+            }
+            returnPeriods.forEach((T, i) => {
+                const Qest = fit ? this.fa.quantile(fit, T).Qest : NaN;
+                depth[i].push(Number.isFinite(Qest) ? Qest : NaN);
+            });
+        });
+        const intensity = depth.map(row => row.map((d, j) => d / (durations[j] / 60)));
+        return { durations, returnPeriods, depth, intensity };
+    }
+
+    /**
+     * 迴歸降雨強度公式。
+     * @param {number} formulaType - 公式型態 (this.FormulaType)。
+     * @param {{durations: number[], returnPeriods: number[], intensity: number[][]}} design - designRainfall() 的回傳值。
+     * @returns {{formulaType: number, name: string, results: Array<{T: number, coefficients: Object, R2: number, RMSE: number, MAPE: number}>,
+     *   overall: {R2: number, RMSE: number, MAPE: number}}}
+     *   各重現期的公式係數及適合度 (決定係數 R²、均方根誤差 RMSE (mm/hr)、平均絕對百分比誤差 MAPE (%))，
+     *   以及所有重現期合併計算的適合度。水利署公式各重現期的係數相同。
+     */
+    fit(formulaType, design) {
+        const { durations, returnPeriods, intensity } = design;
+        if (durations.length < 3) {
+            throw new Error("降雨強度公式迴歸至少需要 3 個延時。");
+        }
+
+        let coefficientsOf;
+        switch (formulaType) {
+            case this.FormulaType.Horner:
+            case this.FormulaType.Talbot:
+            case this.FormulaType.Sherman: {
+                const perT = intensity.map(row => this._fitSingle(formulaType, durations, row));
+                coefficientsOf = i => perT[i];
+                break;
+            }
+            case this.FormulaType.WRA: {
+                const coefficients = this._fitWRA(durations, returnPeriods, intensity);
+                coefficientsOf = () => coefficients;
+                break;
+            }
+            default:
+                throw new Error(`不支援的降雨強度公式: ${formulaType}`);
+        }
+
+        const allObs = [], allEst = [];
+        const results = returnPeriods.map((T, i) => {
+            const coefficients = coefficientsOf(i);
+            const obs = [], est = [];
+            durations.forEach((t, j) => {
+                if (!Number.isFinite(intensity[i][j])) return;
+                obs.push(intensity[i][j]);
+                est.push(this.intensity(formulaType, coefficients, t, T));
+            });
+            allObs.push(...obs);
+            allEst.push(...est);
+            return { T, coefficients, ...this._goodnessOfFit(obs, est) };
+        });
+
+        return {
+            formulaType,
+            name: this.menuFormula[formulaType - 1],
+            results,
+            overall: this._goodnessOfFit(allObs, allEst)
+        };
+    }
+
+    /**
+     * 以迴歸係數計算降雨強度。
+     * @param {number} formulaType - 公式型態 (this.FormulaType)。
+     * @param {Object} coefficients - fit() 回傳的係數。
+     * @param {number} t - 延時 (分鐘)。
+     * @param {number} T - 重現期 (年)，僅水利署公式使用。
+     * @returns {number} 降雨強度 (mm/hr)。
+     */
+    intensity(formulaType, coefficients, t, T) {
+        switch (formulaType) {
+            case this.FormulaType.Horner: {
+                const { a, b, c } = coefficients;
+                return a / Math.pow(t + b, c);
+            }
+            case this.FormulaType.Talbot: {
+                const { a, b } = coefficients;
+                return a / (t + b);
+            }
+            case this.FormulaType.Sherman: {
+                const { a, c } = coefficients;
+                return a / Math.pow(t, c);
+            }
+            case this.FormulaType.WRA: {
+                const { A, B, C, G, H, I6025 } = coefficients;
+                return (G + H * Math.log10(T)) * A / Math.pow(t + B, C) * I6025;
+            }
+            default:
+                throw new Error(`不支援的降雨強度公式: ${formulaType}`);
+        }
+    }
+
+    /**
+     * 迴歸單一重現期的 Horner、Talbot 或 Sherman 公式。
+     * @private
+     */
+    _fitSingle(formulaType, durations, row) {
+        const t = [], i = [];
+        durations.forEach((d, j) => {
+            if (Number.isFinite(row[j]) && row[j] > 0) {
+                t.push(d);
+                i.push(row[j]);
+            }
+        });
+        if (t.length < 3) {
+            return { a: NaN, b: NaN, c: NaN };
+        }
+
+        switch (formulaType) {
+            case this.FormulaType.Sherman: {
+                // ln i = ln a - c · ln t
+                const { slope, intercept } = this._linearRegression(t.map(Math.log), i.map(Math.log));
+                return { a: Math.exp(intercept), c: -slope };
+            }
+            case this.FormulaType.Talbot: {
+                // 1 / i = t / a + b / a
+                const { slope, intercept } = this._linearRegression(t, i.map(v => 1 / v));
+                return { a: 1 / slope, b: intercept / slope };
+            }
+            case this.FormulaType.Horner: {
+                // b 固定時 ln i = ln a - c · ln(t + b) 為線性迴歸；以降雨強度誤差平方和最小搜尋 b
+                const solve = b => {
+                    const { slope, intercept } = this._linearRegression(t.map(v => Math.log(v + b)), i.map(Math.log));
+                    const coefficients = { a: Math.exp(intercept), b, c: -slope };
+                    const sse = t.reduce((acc, v, k) => acc + Math.pow(i[k] - this.intensity(formulaType, coefficients, v), 2), 0);
+                    return { coefficients, sse };
+                };
+                const bMax = 2 * Math.max(...t);
+                const steps = 200;
+                let best = 0;
+                let bestSse = solve(0).sse;
+                for (let k = 1; k <= steps; k++) {
+                    const b = bMax * k / steps;
+                    const { sse } = solve(b);
+                    if (sse < bestSse) {
+                        bestSse = sse;
+                        best = b;
+                    }
+                }
+                // 黃金分割搜尋細化
+                const h = bMax / steps;
+                let lo = Math.max(0, best - h), hi = best + h;
+                const ratio = (Math.sqrt(5) - 1) / 2;
+                for (let k = 0; k < 60; k++) {
+                    const m1 = hi - ratio * (hi - lo);
+                    const m2 = lo + ratio * (hi - lo);
+                    if (solve(m1).sse < solve(m2).sse) hi = m2; else lo = m1;
+                }
+                return solve((lo + hi) / 2).coefficients;
+            }
+            default:
+                throw new Error(`不支援的降雨強度公式: ${formulaType}`);
+        }
+    }
+
+    /**
+     * 迴歸水利署無因次降雨強度公式：B、C 以 Nelder-Mead 搜尋，G、H 為 B、C 固定時的線性最小平方解。
+     * @private
+     */
+    _fitWRA(durations, returnPeriods, intensity) {
+        const j60 = durations.indexOf(60);
+        const i25 = returnPeriods.indexOf(25);
+        if (j60 < 0 || i25 < 0 || !Number.isFinite(intensity[i25][j60])) {
+            throw new Error("水利署公式需要 60 分鐘延時及 25 年重現期的設計降雨強度。");
+        }
+        const I6025 = intensity[i25][j60];
+
+        const points = [];
+        returnPeriods.forEach((T, i) => durations.forEach((t, j) => {
+            if (Number.isFinite(intensity[i][j])) {
+                points.push({ t, x: Math.log10(T), i: intensity[i][j] });
+            }
+        }));
+
+        const solve = ([B, C]) => {
+            if (!(B >= 0) || !(C > 0)) return null;
+            // i = I6025 · f(t) · (G + H·x)，f(t) = ((60 + B) / (t + B))^C
+            let s11 = 0, s12 = 0, s22 = 0, r1 = 0, r2 = 0;
+            points.forEach(p => {
+                const u = I6025 * Math.pow((60 + B) / (p.t + B), C);
+                const v = u * p.x;
+                s11 += u * u; s12 += u * v; s22 += v * v;
+                r1 += u * p.i; r2 += v * p.i;
+            });
+            const det = s11 * s22 - s12 * s12;
+            if (Math.abs(det) < 1e-300) return null;
+            const G = (r1 * s22 - r2 * s12) / det;
+            const H = (r2 * s11 - r1 * s12) / det;
+            const coefficients = { A: Math.pow(60 + B, C), B, C, G, H, I6025 };
+            const sse = points.reduce((acc, p) =>
+                acc + Math.pow(p.i - this.intensity(this.FormulaType.WRA, coefficients, p.t, Math.pow(10, p.x)), 2), 0);
+            return { coefficients, sse };
+        };
+
+        const optimizer = new NelderMead({ initialStep: 0.5 });
+        const { x } = optimizer.minimize(params => {
+            const result = solve(params);
+            return result ? result.sse : Infinity;
+        }, [20, 0.7]);
+        const result = solve(x);
+        if (!result) {
+            throw new Error("水利署公式迴歸未收斂。");
+        }
+        return result.coefficients;
+    }
+
+    /**
+     * 簡單線性迴歸 y = slope · x + intercept。
+     * @private
+     */
+    _linearRegression(x, y) {
+        const n = x.length;
+        const mx = x.reduce((a, v) => a + v, 0) / n;
+        const my = y.reduce((a, v) => a + v, 0) / n;
+        let sxy = 0, sxx = 0;
+        for (let k = 0; k < n; k++) {
+            sxy += (x[k] - mx) * (y[k] - my);
+            sxx += (x[k] - mx) * (x[k] - mx);
+        }
+        const slope = sxy / sxx;
+        return { slope, intercept: my - slope * mx };
+    }
+
+    /**
+     * 計算決定係數 R²、均方根誤差 RMSE 及平均絕對百分比誤差 MAPE (%)。
+     * @private
+     */
+    _goodnessOfFit(obs, est) {
+        const n = obs.length;
+        if (n === 0) return { R2: NaN, RMSE: NaN, MAPE: NaN };
+        const mean = obs.reduce((a, v) => a + v, 0) / n;
+        let sse = 0, sst = 0, ape = 0;
+        obs.forEach((o, k) => {
+            sse += Math.pow(o - est[k], 2);
+            sst += Math.pow(o - mean, 2);
+            ape += Math.abs((o - est[k]) / o);
+        });
+        return {
+            R2: sst > 0 ? 1 - sse / sst : NaN,
+            RMSE: Math.sqrt(sse / n),
+            MAPE: 100 * ape / n
+        };
+    }
+}
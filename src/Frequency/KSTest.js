@@ -5,6 +5,7 @@
  */
 
 import { RainUtils } from "./RainUtils.js";
+import { ParameterEstimator } from "./ParameterEstimator.js";
 
 // --- Main KSTest Class ---
 
@@ -12,16 +13,31 @@ export class KSTest {
     /**
      * @param {number} confidenceLevelIndex - Index for confidence level (0-4).
      *   Corresponds to [85%, 90%, 95%, 97.5%, 99%].
+     * @param {object} [options] - Analysis options.
+     * @param {number} [options.fittingMethod] - Parameter estimation method from `this.FittingMethod`.
+     * @param {number} [options.ktMethod] - Pearson Type III frequency factor method from `this.KtMethod`.
+     * @param {number} [options.lowOutlierMethod] - Log-Pearson Type III low-outlier test from `this.LowOutlierMethod`.
+     * @param {{skew: number, mse: number}} [options.regionalSkew] - Regional skew and its mean square error used to weight the Log-Pearson Type III skew.
      */
-    constructor(confidenceLevelIndex = 2) { // Default to 95%
+    constructor(confidenceLevelIndex = 2, options = {}) { // Default to 95%
         this.utils = new RainUtils();
+        this.estimator = new ParameterEstimator(options);
+        this.LowOutlierMethod = this.estimator.LowOutlierMethod;
+
+        this.FittingMethod = this.estimator.FittingMethod;
+        this.fittingMethod = options.fittingMethod || this.FittingMethod.Moments;
+
+        this.KtMethod = this.utils.KtMethod;
+        this.ktMethod = options.ktMethod || this.KtMethod.Exact;
 
         this.DistributionType = Object.freeze({
             Normal: 1,
             LogNormal: 2,
             PearsonType3: 3,
             LogPearsonType3: 4,
-            ExtremeValueType1: 5
+            ExtremeValueType1: 5,
+            GEV: 6,
+            LogNormal3: 7
         });
 
         // Critical values for KS test
@@ -63,14 +79,20 @@ export class KSTest {
         const Ca = this.alpha / (Math.sqrt(N) - 0.01 + 0.85 / Math.sqrt(N));
 
         // Determine if log-transformation is needed
-        const requiresLog = distType === this.DistributionType.LogNormal || distType === this.DistributionType.LogPearsonType3;
+        const requiresLog = distType === this.DistributionType.LogNormal || distType === this.DistributionType.LogPearsonType3 ||
+            distType === this.DistributionType.LogNormal3;
+
+        // The 3-parameter log-normal is fitted to log10(x - tau)
+        const { tau, negativeSkew } = distType === this.DistributionType.LogNormal3
+            ? this.utils.findTau(data)
+            : { tau: 0, negativeSkew: false };
 
         const transformedData = requiresLog
-            ? sortedData.map(val => (val > 1e-6 ? Math.log10(val) : 0))
+            ? sortedData.map(val => (val - tau > 1e-6 ? Math.log10(val - tau) : 0))
             : sortedData;
 
-        // Calculate statistics on the (potentially transformed) data
-        const { M: mean, SD: std, Cs: skew } = this.utils.statistics(transformedData);
+        // Estimate distribution parameters on the (potentially transformed) data
+        const { M: mean, SD: std, Cs: skew, gev } = this.estimator.estimate(distType, transformedData, this.fittingMethod);
 
         // Initialize result arrays
         const results = {
@@ -81,13 +103,15 @@ export class KSTest {
             mark: [],
             prob: [],
             Ca: Ca,
+            tau: tau,
+            negativeSkew: negativeSkew,
             fitted: true
         };
 
         for (let i = 1; i <= N; i++) {
             // Use Weibull plotting position P = i / (n + 1)
             const rank = i;
-            const px = this._plottingPosition(3, rank, N);
+            const px = this._plottingPosition(this.utils.PlottingPosition.Weibull, rank, N);
             results.prob.push(px);
 
             // double Hib = i / (double)N - Ca;
@@ -101,7 +125,8 @@ export class KSTest {
 
             switch (distType) {
                 case this.DistributionType.Normal:
-                case this.DistributionType.LogNormal: {
+                case this.DistributionType.LogNormal:
+                case this.DistributionType.LogNormal3: {
                     const ktEst = this.utils.Look(1-px);
                     const ktLow = this.utils.Look(1-probLower);
                     const ktHigh = this.utils.Look(1-probUpper);
@@ -113,10 +138,10 @@ export class KSTest {
                 }
                 case this.DistributionType.PearsonType3:
                 case this.DistributionType.LogPearsonType3: {
-                    // Using Wilson-Hilferty approximation for Kt, as gamma2x is not available
-                    const ktEst = this._getPearson3Kt(this.utils.Look(1-px), skew);
-                    const ktLow = this._getPearson3Kt(this.utils.Look(1-probLower), skew);
-                    const ktHigh = this._getPearson3Kt(this.utils.Look(1-probUpper), skew);
+                    // Frequency factor Kt from the selected KtMethod (exact inverse incomplete gamma or Wilson-Hilferty)
+                    const ktEst = this._getPearson3Kt(1-px, skew);
+                    const ktLow = this._getPearson3Kt(1-probLower, skew);
+                    const ktHigh = this._getPearson3Kt(1-probUpper, skew);
 
                     zEst = mean + std * ktEst;
                     if (!isNaN(ktLow)) zLow = mean + std * ktLow;
@@ -137,15 +162,22 @@ export class KSTest {
                     if (!isNaN(ktHigh)) zHigh = mode + alpha * ktHigh;
                     break;
                 }
+                case this.DistributionType.GEV: {
+                    // gevQuantile expects non-exceedance probability and returns NaN outside (0, 1)
+                    zEst = this.utils.gevQuantile(gev, 1 - px);
+                    zLow = this.utils.gevQuantile(gev, 1 - probLower);
+                    zHigh = this.utils.gevQuantile(gev, 1 - probUpper);
+                    break;
+                }
                 default:
                     throw new Error(`Unsupported distribution type: ${distType}`);
             }
 
             // If log-transformed, convert values back to original scale
             if (requiresLog) {
-                zEst = Math.pow(10, zEst);
-                if (!isNaN(zLow)) zLow = Math.pow(10, zLow);
-                if (!isNaN(zHigh)) zHigh = Math.pow(10, zHigh);
+                zEst = tau + Math.pow(10, zEst);
+                if (!isNaN(zLow)) zLow = tau + Math.pow(10, zLow);
+                if (!isNaN(zHigh)) zHigh = tau + Math.pow(10, zHigh);
             }
 
             results.est.push(zEst);
@@ -170,33 +202,20 @@ export class KSTest {
     }
 
     /**
-     * Calculates the Pearson Type III frequency factor (Kt) using the Wilson-Hilferty approx.
+     * Calculates the Pearson Type III frequency factor (Kt) with the method selected by `this.ktMethod`.
      * @private
      */
-    _getPearson3Kt(z, skew) {
-        if (isNaN(z)) return NaN;
-        const k = skew / 6.0;
-        const z2 = z * z;
-        const k2 = k * k;
-        return z + (z2 - 1) * k + (1 / 3) * z * (z2 - 6) * k2 - (z2 - 1) * k2 * k + z * k2 * k2 + (1 / 3) * k2 * k2 * k;
+    _getPearson3Kt(cumulativeProb, skew) {
+        return this.utils.pearson3FrequencyFactor(cumulativeProb, skew, this.ktMethod);
     }
 
     /**
-     * Calculates plotting position probability.
+     * Calculates plotting position probability with the formula selected from `this.utils.PlottingPosition`.
      * @private
      * double Ca = al / (sqrt(N) - 0.01 + 0.85 / sqrt(N));
      */
     _plottingPosition(method, rank, n) {
-        let b = 0;
-        switch (method) {
-            case 1: b = 0.5; break;   // Hazen
-            case 2: b = 0.3; break;   // Chegodayev
-            case 3: b = 0.0; break;   // Weibull
-            case 4: b = 3.0 / 8.0; break; // Blom
-            case 5: b = 1.0 / 3.0; break; // Turkey
-            case 6: b = 0.44; break;  // Gringorten
-        }
-        return (rank - b) / (n + 1.0 - 2.0 * b);
+        return this.utils.plottingPosition(method, rank, n);
     }
 }
 
@@ -0,0 +1,206 @@
+// MaximumLikelihood.js
+// 2026-10-19
+// 以最大概似法 (MLE) 推估各機率分佈參數
+
+import { RainUtils } from "./RainUtils.js";
+import { NelderMead } from "./NelderMead.js";
+
+/**
+ * MaximumLikelihood 類別以最大概似法推估常態、Gumbel、GEV 及皮爾遜第三型分佈的參數。
+ * 除常態分佈有解析解外，其餘分佈以 Nelder-Mead 單純形法最小化負對數概似函數。
+ * 對數常態與對數皮爾遜第三型分佈請先將資料取對數，再分別以常態及皮爾遜第三型分佈推估。
+ *
+ * 每個 fit 方法回傳：
+ * {parameters: Object, logLikelihood: number, iterations: number, converged: boolean, message: string}
+ */
+export class MaximumLikelihood {
+    /**
+     * @param {Object} [options] - 傳給 NelderMead 的最佳化選項。
+     */
+    constructor(options = {}) {
+        /**
+         * @private
+         */
+        this.utils = new RainUtils();
+        /**
+         * @private
+         */
+        this.optimizer = new NelderMead(options);
+    }
+
+    /**
+     * 常態分佈的最大概似推估 (解析解，標準差分母為 n)。
+     * @param {number[]} x - 資料陣列。
+     * @returns {Object} 推估結果，parameters 為 {mean, std}。
+     */
+    fitNormal(x) {
+        const n = x.length;
+        const mean = x.reduce((acc, v) => acc + v, 0) / n;
+        const std = Math.sqrt(x.reduce((acc, v) => acc + Math.pow(v - mean, 2), 0) / n);
+        const ok = n > 1 && std > 0;
+        return {
+            parameters: { mean, std },
+            logLikelihood: ok ? this.normalLogLikelihood(x, mean, std) : NaN,
+            iterations: 0,
+            converged: ok,
+            message: ok ? "解析解" : "資料不足或標準差為 0"
+        };
+    }
+
+    /**
+     * Gumbel (極端值第一型) 分佈的最大概似推估。
+     * @param {number[]} x - 資料陣列。
+     * @param {{location: number, scale: number}} initial - 初始參數 (通常為動差法推估值)。
+     * @returns {Object} 推估結果，parameters 為 {location, scale}。
+     */
+    fitGumbel(x, initial) {
+        const negLogLik = ([location, logScale]) => -this.gumbelLogLikelihood(x, location, Math.exp(logScale));
+        const opt = this.optimizer.minimize(negLogLik, [initial.location, Math.log(initial.scale)]);
+        return this._result({ location: opt.x[0], scale: Math.exp(opt.x[1]) }, opt);
+    }
+
+    /**
+     * GEV 分佈的最大概似推估 (Hosking 參數化)。形狀參數限制於 |k| < 1。
+     * @param {number[]} x - 資料陣列。
+     * @param {{location: number, scale: number, shape: number}} initial - 初始參數 (通常為線性動差法推估值)。
+     * @returns {Object} 推估結果，parameters 為 {location, scale, shape}。
+     */
+    fitGEV(x, initial) {
+        const negLogLik = ([location, logScale, shape]) => {
+            if (Math.abs(shape) >= 1) return Infinity;
+            return -this.gevLogLikelihood(x, location, Math.exp(logScale), shape);
+        };
+        const opt = this.optimizer.minimize(negLogLik, [initial.location, Math.log(initial.scale), initial.shape]);
+        return this._result({ location: opt.x[0], scale: Math.exp(opt.x[1]), shape: opt.x[2] }, opt);
+    }
+
+    /**
+     * 皮爾遜第三型分佈的最大概似推估。X = location + scale · G，G ~ Gamma(shape)。
+     * 以 (平均值, ln 標準差, 偏態係數) 為最佳化變數，偏態係數趨近 0 時連續退化為常態分佈。
+     * |偏態係數| >= 2 (shape <= 1) 時概似函數在分佈下界無上限，故限制 |偏態係數| < 2。
+     * @param {number[]} x - 資料陣列。
+     * @param {{mean: number, std: number, cs: number}} initial - 初始值 (通常為動差法推估之平均值、標準差及偏態係數)。
+     * @returns {Object} 推估結果，parameters 為 {location, scale, shape}。
+     */
+    fitPearson3(x, initial) {
+        const negLogLik = ([mean, logStd, cs]) => {
+            if (Math.abs(cs) >= 2) return Infinity;
+            return -this.pearson3MomentLogLikelihood(x, mean, Math.exp(logStd), cs);
+        };
+
+        // 初始偏態係數若使部分資料落在分佈範圍外，則逐步縮小
+        let cs0 = Math.max(-1.9, Math.min(1.9, initial.cs));
+        while (Math.abs(cs0) > 1e-3 && !Number.isFinite(negLogLik([initial.mean, Math.log(initial.std), cs0]))) {
+            cs0 /= 2;
+        }
+        const opt = this.optimizer.minimize(negLogLik, [initial.mean, Math.log(initial.std), cs0]);
+        const [mean, logStd, cs] = opt.x;
+        // 概似函數在 |偏態係數| < 1e-3 時視為常態分佈，換算參數時亦以此為下限避免除以 0
+        const csBounded = Math.abs(cs) < 1e-3 ? (cs < 0 ? -1e-3 : 1e-3) : cs;
+        return this._result(this.pearson3Parameters(mean, Math.exp(logStd), csBounded), opt);
+    }
+
+    /**
+     * 將皮爾遜第三型分佈的平均值、標準差、偏態係數換算為位置、尺度、形狀參數。
+     * @param {number} mean - 平均值。
+     * @param {number} std - 標準差。
+     * @param {number} cs - 偏態係數 (不可為 0)。
+     * @returns {{location: number, scale: number, shape: number}}
+     */
+    pearson3Parameters(mean, std, cs) {
+        const shape = 4 / (cs * cs);
+        const scale = std * cs / 2;
+        return { location: mean - shape * scale, scale, shape };
+    }
+
+    /**
+     * 以平均值、標準差、偏態係數表示的皮爾遜第三型分佈對數概似函數值。
+     * |偏態係數| 極小時以常態分佈計算，避免形狀參數過大造成數值問題。
+     * @returns {number}
+     */
+    pearson3MomentLogLikelihood(x, mean, std, cs) {
+        if (Math.abs(cs) < 1e-3) {
+            return this.normalLogLikelihood(x, mean, std);
+        }
+        const { location, scale, shape } = this.pearson3Parameters(mean, std, cs);
+        return this.pearson3LogLikelihood(x, location, scale, shape);
+    }
+
+    /**
+     * 常態分佈的對數概似函數值。
+     * @returns {number}
+     */
+    normalLogLikelihood(x, mean, std) {
+        if (!(std > 0)) return -Infinity;
+        let sum = 0;
+        for (const v of x) {
+            const z = (v - mean) / std;
+            sum += -0.5 * z * z;
+        }
+        return sum - x.length * (Math.log(std) + 0.5 * Math.log(2 * Math.PI));
+    }
+
+    /**
+     * Gumbel 分佈的對數概似函數值。
+     * @returns {number}
+     */
+    gumbelLogLikelihood(x, location, scale) {
+        if (!(scale > 0)) return -Infinity;
+        let sum = 0;
+        for (const v of x) {
+            const z = (v - location) / scale;
+            sum += -z - Math.exp(-z);
+        }
+        return sum - x.length * Math.log(scale);
+    }
+
+    /**
+     * GEV 分佈 (Hosking 參數化) 的對數概似函數值，資料超出分佈範圍時回傳 -Infinity。
+     * @returns {number}
+     */
+    gevLogLikelihood(x, location, scale, shape) {
+        if (!(scale > 0)) return -Infinity;
+        if (Math.abs(shape) < 1e-6) {
+            return this.gumbelLogLikelihood(x, location, scale);
+        }
+        let sum = 0;
+        for (const v of x) {
+            const y = 1 - shape * (v - location) / scale;
+            if (y <= 0) return -Infinity;
+            const logY = Math.log(y);
+            sum += (1 / shape - 1) * logY - Math.exp(logY / shape);
+        }
+        return sum - x.length * Math.log(scale);
+    }
+
+    /**
+     * 皮爾遜第三型分佈的對數概似函數值，資料超出分佈範圍時回傳 -Infinity。
+     * @returns {number}
+     */
+    pearson3LogLikelihood(x, location, scale, shape) {
+        if (!(shape > 0) || scale === 0) return -Infinity;
+        const logGammaShape = this.utils.logGamma(shape);
+        const logAbsScale = Math.log(Math.abs(scale));
+        let sum = 0;
+        for (const v of x) {
+            const g = (v - location) / scale;
+            if (g <= 0) return -Infinity;
+            sum += (shape - 1) * Math.log(g) - g;
+        }
+        return sum - x.length * (logGammaShape + logAbsScale);
+    }
+
+    /**
+     * 整理最佳化結果。
+     * @private
+     */
+    _result(parameters, opt) {
+        return {
+            parameters,
+            logLikelihood: -opt.fx,
+            iterations: opt.iterations,
+            converged: opt.converged && Number.isFinite(opt.fx),
+            message: opt.message
+        };
+    }
+}
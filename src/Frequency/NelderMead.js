@@ -0,0 +1,133 @@
+// NelderMead.js
+// 2026-10-19
+// Nelder-Mead 單純形法 (Downhill Simplex) 無限制條件最佳化
+
+/**
+ * NelderMead 類別以單純形法求多變數函數的最小值，不需計算梯度。
+ * 目標函數在參數不合理時可回傳 Infinity，單純形會自動避開該區域。
+ */
+export class NelderMead {
+    /**
+     * @param {Object} [options] - 最佳化選項。
+     * @param {number} [options.maxIterations=5000] - 最大迭代次數。
+     * @param {number} [options.fTolerance=1e-10] - 單純形各頂點函數值差異的收斂門檻 (相對值)。
+     * @param {number} [options.xTolerance=1e-8] - 單純形各頂點座標差異的收斂門檻 (相對值)。
+     * @param {number} [options.initialStep=0.05] - 建立初始單純形時各座標的相對步長。
+     */
+    constructor(options = {}) {
+        this.maxIterations = options.maxIterations || 5000;
+        this.fTolerance = options.fTolerance || 1e-10;
+        this.xTolerance = options.xTolerance || 1e-8;
+        this.initialStep = options.initialStep || 0.05;
+    }
+
+    /**
+     * 求目標函數的最小值。
+     * @param {function(number[]): number} f - 目標函數。
+     * @param {number[]} x0 - 初始值。
+     * @returns {{x: number[], fx: number, iterations: number, evaluations: number, converged: boolean, message: string}}
+     *   最佳解、最小函數值、迭代次數、函數計算次數、是否收斂及說明訊息。
+     */
+    minimize(f, x0) {
+        const n = x0.length;
+        let evaluations = 0;
+        const evaluate = (x) => {
+            evaluations++;
+            const value = f(x);
+            return Number.isFinite(value) ? value : Infinity;
+        };
+
+        // 1. 建立初始單純形 (n + 1 個頂點)
+        const simplex = [x0.slice()];
+        for (let i = 0; i < n; i++) {
+            const point = x0.slice();
+            point[i] = point[i] !== 0 ? point[i] * (1 + this.initialStep) : 0.00025;
+            simplex.push(point);
+        }
+        let values = simplex.map(evaluate);
+        if (!Number.isFinite(values[0])) {
+            return { x: x0.slice(), fx: Infinity, iterations: 0, evaluations, converged: false, message: "初始值的目標函數無法計算" };
+        }
+
+        let iterations = 0;
+        let converged = false;
+        while (iterations < this.maxIterations) {
+            // 2. 依函數值排序頂點
+            const order = values.map((v, i) => i).sort((a, b) => values[a] - values[b]);
+            const sorted = order.map(i => simplex[i]);
+            const sortedValues = order.map(i => values[i]);
+            simplex.splice(0, simplex.length, ...sorted);
+            values = sortedValues;
+
+            // 3. 收斂判斷
+            const best = simplex[0];
+            const fSpread = Math.abs(values[n] - values[0]);
+            let xSpread = 0;
+            for (let i = 1; i <= n; i++) {
+                for (let j = 0; j < n; j++) {
+                    xSpread = Math.max(xSpread, Math.abs(simplex[i][j] - best[j]) / Math.max(1, Math.abs(best[j])));
+                }
+            }
+            if (fSpread <= this.fTolerance * Math.max(1, Math.abs(values[0])) && xSpread <= this.xTolerance) {
+                converged = true;
+                break;
+            }
+            iterations++;
+
+            // 4. 計算最差點以外各點的重心
+            const centroid = new Array(n).fill(0);
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j < n; j++) {
+                    centroid[j] += simplex[i][j] / n;
+                }
+            }
+            const worst = simplex[n];
+            const along = (t) => centroid.map((c, j) => c + t * (worst[j] - c));
+
+            // 5. 反射、擴張、收縮
+            const reflected = along(-1);
+            const fr = evaluate(reflected);
+            if (fr < values[0]) {
+                const expanded = along(-2);
+                const fe = evaluate(expanded);
+                if (fe < fr) {
+                    simplex[n] = expanded;
+                    values[n] = fe;
+                } else {
+                    simplex[n] = reflected;
+                    values[n] = fr;
+                }
+                continue;
+            }
+            if (fr < values[n - 1]) {
+                simplex[n] = reflected;
+                values[n] = fr;
+                continue;
+            }
+            const contracted = fr < values[n] ? along(-0.5) : along(0.5);
+            const fc = evaluate(contracted);
+            if (fc < Math.min(fr, values[n])) {
+                simplex[n] = contracted;
+                values[n] = fc;
+                continue;
+            }
+
+            // 6. 向最佳點收縮整個單純形
+            for (let i = 1; i <= n; i++) {
+                simplex[i] = simplex[i].map((v, j) => best[j] + 0.5 * (v - best[j]));
+                values[i] = evaluate(simplex[i]);
+            }
+        }
+
+        // 未收斂時單純形可能尚未排序，取函數值最小的頂點
+        const bestIndex = values.indexOf(Math.min(...values));
+        return {
+            x: simplex[bestIndex].slice(),
+            fx: values[bestIndex],
+            iterations,
+            evaluations,
+            converged,
+            message: converged ? "已收斂" : `超過最大迭代次數 (${this.maxIterations}) 仍未收斂`
+        };
+    }
+}
@@ -0,0 +1,227 @@
+// OutlierTest.js
+// 2026-10-19
+// 離群值檢定：Grubbs-Beck 檢定 (Bulletin 17B) 及多重 Grubbs-Beck 檢定 (MGBT, Bulletin 17C)
+
+import { RainUtils } from "./RainUtils.js";
+
+/**
+ * MGBT 虛無分佈的蒙地卡羅模擬結果，以樣本數為鍵值 (ω_k 與位置、尺度無關，僅與樣本數有關)。
+ * @type {Map<number, Float64Array[]>}
+ */
+const mgbtNullCache = new Map();
+
+/**
+ * OutlierTest 類別於對數空間檢定年最大值序列的離群值。
+ * - Grubbs-Beck 檢定 (Bulletin 17B)：單尾 10% 顯著水準，門檻 x̄ ± K_N·s，同時檢定低值及高值離群。
+ * - 多重 Grubbs-Beck 檢定 (Cohn et al., 2013；Bulletin 17C)：依序檢定第 k 小的值
+ *   ω_k = (x_(k) - 平均(x_(k+1..n))) / 標準差(x_(k+1..n))，p 值以可重現的蒙地卡羅模擬計算；
+ *   由中位數向外掃描 (顯著水準 0.005) 及由最小值向內掃描 (顯著水準 0.10)，取兩者較多的個數為潛在影響低值 (PILF)。
+ */
+export class OutlierTest {
+
+    /**
+     * @param {Object} [options] - 選項。
+     * @param {number} [options.replicates=5000] - MGBT 蒙地卡羅模擬次數。
+     * @param {number} [options.seed=20131017] - 亂數種子，使 p 值可重現。
+     * @param {number} [options.alphaOut=0.005] - MGBT 向外掃描的顯著水準。
+     * @param {number} [options.alphaIn=0.10] - MGBT 向內掃描的顯著水準。
+     */
+    constructor(options = {}) {
+        this.replicates = options.replicates || 5000;
+        this.seed = options.seed || 20131017;
+        this.alphaOut = options.alphaOut ?? 0.005;
+        this.alphaIn = options.alphaIn ?? 0.10;
+
+        /**
+         * 低值離群檢定方法的列舉
+         * @readonly
+         */
+        this.Method = Object.freeze({
+            None: 1,
+            GrubbsBeck: 2,
+            MultipleGrubbsBeck: 3
+        });
+
+        /**
+         * 低值離群檢定方法選單
+         * @type {string[]}
+         */
+        this.menuMethod = [
+            "不檢定",
+            "Grubbs-Beck 檢定 (Bulletin 17B)",
+            "多重 Grubbs-Beck 檢定 (MGBT, Bulletin 17C)"
+        ];
+
+        /**
+         * 可進行檢定的最小樣本數
+         * @readonly
+         */
+        this.MinSampleSize = 10;
+
+        /**
+         * @private
+         */
+        this.utils = new RainUtils();
+    }
+
+    /**
+     * Bulletin 17B 單尾 10% 顯著水準的 Grubbs-Beck 臨界值近似式 K_N = -0.9043 + 3.345·√log N - 0.4046·log N (10 <= N <= 149)。
+     * @param {number} n - 樣本數。
+     * @returns {number} 臨界值 K_N。
+     */
+    grubbsBeckK(n) {
+        const logN = Math.log10(n);
+        return -0.9043 + 3.345 * Math.sqrt(logN) - 0.4046 * logN;
+    }
+
+    /**
+     * Grubbs-Beck 檢定。
+     * @param {number[]} x - 對數值陣列 (log10)。
+     * @returns {{K: number, lowThreshold: number, highThreshold: number, low: number[], high: number[]}}
+     *   臨界值、低值及高值門檻 (對數值) 與低於、高於門檻的資料索引；樣本數不足時門檻為 -Infinity / Infinity。
+     */
+    grubbsBeck(x) {
+        const n = x.length;
+        if (n < this.MinSampleSize) {
+            return { K: NaN, lowThreshold: -Infinity, highThreshold: Infinity, low: [], high: [] };
+        }
+        const { M, SD } = this.utils.statistics(x);
+        const K = this.grubbsBeckK(n);
+        const lowThreshold = M - K * SD;
+        const highThreshold = M + K * SD;
+        return {
+            K,
+            lowThreshold,
+            highThreshold,
+            low: x.map((v, i) => i).filter(i => x[i] < lowThreshold),
+            high: x.map((v, i) => i).filter(i => x[i] > highThreshold)
+        };
+    }
+
+    /**
+     * 計算遞增排序後各 k (1 <= k <= n/2) 的 ω_k。
+     * @private
+     */
+    _omegas(sorted) {
+        const n = sorted.length;
+        const m = Math.floor(n / 2);
+        // 由大至小累加，取得 x_(k+1..n) 的和及平方和
+        const sum = new Float64Array(n + 1);
+        const sumSq = new Float64Array(n + 1);
+        for (let i = n - 1; i >= 0; i--) {
+            sum[i] = sum[i + 1] + sorted[i];
+            sumSq[i] = sumSq[i + 1] + sorted[i] * sorted[i];
+        }
+        const omegas = new Float64Array(m);
+        for (let k = 1; k <= m; k++) {
+            const count = n - k;
+            const mean = sum[k] / count;
+            const variance = Math.max(0, (sumSq[k] - count * mean * mean) / (count - 1));
+            omegas[k - 1] = variance > 0 ? (sorted[k - 1] - mean) / Math.sqrt(variance) : 0;
+        }
+        return omegas;
+    }
+
+    /**
+     * 以蒙地卡羅模擬建立樣本數 n 的 ω_k 虛無分佈 (標準常態樣本)，結果依樣本數快取。
+     * @private
+     */
+    _nullDistribution(n) {
+        const key = `${n}:${this.replicates}:${this.seed}`;
+        if (mgbtNullCache.has(key)) return mgbtNullCache.get(key);
+
+        const random = this.utils.createRandom(this.seed + n);
+        const m = Math.floor(n / 2);
+        const samples = Array.from({ length: m }, () => new Float64Array(this.replicates));
+        const z = new Float64Array(n);
+        for (let r = 0; r < this.replicates; r++) {
+            // Box-Muller 產生標準常態亂數
+            for (let i = 0; i < n; i += 2) {
+                const radius = Math.sqrt(-2 * Math.log(random()));
+                const angle = 2 * Math.PI * random();
+                z[i] = radius * Math.cos(angle);
+                if (i + 1 < n) z[i + 1] = radius * Math.sin(angle);
+            }
+            z.sort();
+            const omegas = this._omegas(z);
+            for (let k = 0; k < m; k++) samples[k][r] = omegas[k];
+        }
+        samples.forEach(s => s.sort());
+        mgbtNullCache.set(key, samples);
+        return samples;
+    }
+
+    /**
+     * 多重 Grubbs-Beck 檢定。
+     * @param {number[]} x - 對數值陣列 (log10)。
+     * @returns {{count: number, threshold: number, low: number[], pValues: Array<{k: number, value: number, omega: number, p: number}>}}
+     *   潛在影響低值 (PILF) 的個數、門檻 (對數值，為保留資料中的最小值；無 PILF 時為 -Infinity)、
+     *   PILF 的資料索引及各 k 的 ω_k 與 p 值 (p = P(Ω_k <= ω_k))。
+     */
+    multipleGrubbsBeck(x) {
+        const n = x.length;
+        if (n < this.MinSampleSize) {
+            return { count: 0, threshold: -Infinity, low: [], pValues: [] };
+        }
+        const order = x.map((v, i) => i).sort((a, b) => x[a] - x[b]);
+        const sorted = Float64Array.from(order, i => x[i]);
+        const omegas = this._omegas(sorted);
+        const nullDist = this._nullDistribution(n);
+
+        const pValues = Array.from(omegas, (omega, k) => {
+            // 二分搜尋模擬值中不大於 ω_k 的個數
+            const s = nullDist[k];
+            let lo = 0, hi = s.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (s[mid] <= omega) lo = mid + 1;
+                else hi = mid;
+            }
+            return { k: k + 1, value: sorted[k], omega, p: (lo + 1) / (s.length + 1) };
+        });
+
+        // 向外掃描：由中位數往最小值，第一個 p < alphaOut 的 k
+        let outward = 0;
+        for (let k = pValues.length; k >= 1; k--) {
+            if (pValues[k - 1].p < this.alphaOut) {
+                outward = k;
+                break;
+            }
+        }
+        // 向內掃描：由最小值往中位數，連續 p < alphaIn 的個數
+        let inward = 0;
+        while (inward < pValues.length && pValues[inward].p < this.alphaIn) inward++;
+
+        const count = Math.max(outward, inward);
+        return {
+            count,
+            threshold: count > 0 ? sorted[count] : -Infinity,
+            low: order.slice(0, count),
+            pValues
+        };
+    }
+
+    /**
+     * 以指定的方法檢定低值離群 (不檢定時回傳空結果)，並一律以 Grubbs-Beck 檢定高值離群。
+     * @param {number} method - 檢定方法 (this.Method)。
+     * @param {number[]} x - 對數值陣列 (log10)。
+     * @returns {{method: number, low: number[], high: number[], lowThreshold: number, highThreshold: number}}
+     *   低值、高值離群的資料索引及門檻 (對數值)。
+     */
+    detect(method, x) {
+        if (method === this.Method.None || x.length < this.MinSampleSize) {
+            return { method, low: [], high: [], lowThreshold: -Infinity, highThreshold: Infinity };
+        }
+        const gb = this.grubbsBeck(x);
+        switch (method) {
+            case this.Method.GrubbsBeck:
+                return { method, low: gb.low, high: gb.high, lowThreshold: gb.lowThreshold, highThreshold: gb.highThreshold };
+            case this.Method.MultipleGrubbsBeck: {
+                const mgbt = this.multipleGrubbsBeck(x);
+                return { method, low: mgbt.low, high: gb.high, lowThreshold: mgbt.threshold, highThreshold: gb.highThreshold };
+            }
+            default:
+                throw new Error(`不支援的離群值檢定方法: ${method}`);
+        }
+    }
+}
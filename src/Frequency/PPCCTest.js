@@ -0,0 +1,676 @@
+/**
+ * @fileoverview
+ * Probability Plot Correlation Coefficient (PPCC) goodness-of-fit test.
+ * The statistic is the correlation between the ordered sample and the fitted distribution's quantiles
+ * at the plotting positions; values close to 1 indicate a straight probability plot.
+ */
+import { FrequencyAnalysis } from "./FrequencyAnalysis.js";
+
+// --- Main PPCCTest Class ---
+
+export class PPCCTest {
+    /**
+     * @param {object} [options] - Analysis options, passed on to FrequencyAnalysis.
+     * @param {number} [options.fittingMethod] - Parameter estimation method from `this.FittingMethod`.
+     * @param {number} [options.ktMethod] - Pearson Type III frequency factor method from `this.KtMethod`.
+     * @param {number} [options.lowOutlierMethod] - Log-Pearson Type III low-outlier test from `this.LowOutlierMethod`.
+     * @param {{skew: number, mse: number}} [options.regionalSkew] - Regional skew and its mean square error used to weight the Log-Pearson Type III skew.
+     */
+    constructor(options = {}) {
+        this.fa = new FrequencyAnalysis(options);
+        this.utils = this.fa.utils;
+
+        this.FittingMethod = this.fa.FittingMethod;
+        this.KtMethod = this.fa.KtMethod;
+
+        this.DistributionType = Object.freeze({
+            Normal: 1,
+            LogNormal: 2,
+            PearsonType3: 3,
+            LogPearsonType3: 4,
+            ExtremeValueType1: 5,
+            GEV: 6,
+            LogNormal3: 7
+        });
+
+        this.ConfidenceLevelString = ["85%", "90%", "95%", "97.5%", "99%"];
+
+        // Plotting positions used for each family, as in the studies the critical values follow:
+        // Blom for the normal (Looney & Gulledge, 1985) and Pearson Type III (Vogel & McMartin, 1991),
+        // Gringorten for the Gumbel (Vogel, 1986) and GEV.
+        const PP = this.utils.PlottingPosition;
+        this.PlottingPositionOf = Object.freeze({
+            [this.DistributionType.Normal]: PP.Blom,
+            [this.DistributionType.LogNormal]: PP.Blom,
+            [this.DistributionType.LogNormal3]: PP.Blom,
+            [this.DistributionType.PearsonType3]: PP.Blom,
+            [this.DistributionType.LogPearsonType3]: PP.Blom,
+            [this.DistributionType.ExtremeValueType1]: PP.Gringorten,
+            [this.DistributionType.GEV]: PP.Gringorten
+        });
+
+        // Lower critical values of r. A sample fails when r is below the critical value.
+        // Generated by tools/CriticalValueTables.mjs (seeded Monte Carlo simulation, 20000 samples per entry,
+        // each confidence level made nondecreasing in n). Normal and Gumbel do not depend on the location and
+        // scale, so r is the same for every fitting method; for GEV and Pearson Type III the samples come from
+        // the tabulated shape and the parameters are re-estimated with each fitting method before computing r.
+        // Samples whose L-moment GEV fit has k <= -0.5 are skipped, as r is undefined for them (up to 14% of the
+        // samples at k = -0.3 and n = 10).
+        // Rows: sample size in SampleSizes, Cols: confidence level index (0-4).
+        this.SampleSizes = [10, 15, 20, 30, 40, 50, 70, 100];
+        this.NormalTable = [
+            [0.9443, 0.9348, 0.9189, 0.9030, 0.8799],
+            [0.9573, 0.9507, 0.9386, 0.9269, 0.9090],
+            [0.9656, 0.9603, 0.9506, 0.9401, 0.9268],
+            [0.9747, 0.9710, 0.9643, 0.9570, 0.9475],
+            [0.9798, 0.9769, 0.9718, 0.9669, 0.9591],
+            [0.9832, 0.9807, 0.9765, 0.9722, 0.9665],
+            [0.9874, 0.9856, 0.9824, 0.9793, 0.9748],
+            [0.9907, 0.9894, 0.9871, 0.9850, 0.9820]
+        ];
+        this.GumbelTable = [
+            [0.9377, 0.9267, 0.9077, 0.8897, 0.8678],
+            [0.9505, 0.9423, 0.9279, 0.9138, 0.8916],
+            [0.9590, 0.9519, 0.9390, 0.9254, 0.9055],
+            [0.9678, 0.9620, 0.9516, 0.9392, 0.9211],
+            [0.9731, 0.9688, 0.9601, 0.9501, 0.9357],
+            [0.9769, 0.9727, 0.9646, 0.9552, 0.9403],
+            [0.9817, 0.9782, 0.9716, 0.9641, 0.9518],
+            [0.9859, 0.9832, 0.9780, 0.9717, 0.9617]
+        ];
+
+        // GEV: for each fitting method (Moments, LMoments, MaximumLikelihood), one n x level table per shape parameter k in GEVShape.
+        this.GEVShape = [-0.3, -0.2, -0.1, 0, 0.1, 0.2, 0.3];
+        this.GEVTable = [
+            // Moments
+            [
+                // k = -0.3
+                [
+                    [0.9317, 0.9184, 0.8918, 0.8621, 0.8208],
+                    [0.9342, 0.9192, 0.8918, 0.8621, 0.8208],
+                    [0.9363, 0.9208, 0.8918, 0.8621, 0.8208],
+                    [0.9388, 0.9227, 0.8921, 0.8621, 0.8208],
+                    [0.9422, 0.9252, 0.8942, 0.8621, 0.8208],
+                    [0.9443, 0.9278, 0.8968, 0.8624, 0.8208],
+                    [0.9466, 0.9313, 0.8978, 0.8624, 0.8208],
+                    [0.9492, 0.9339, 0.9025, 0.8656, 0.8208]
+                ],
+                // k = -0.2
+                [
+                    [0.9435, 0.9334, 0.9137, 0.8940, 0.8687],
+                    [0.9487, 0.9379, 0.9175, 0.8954, 0.8687],
+                    [0.9537, 0.9436, 0.9217, 0.8979, 0.8690],
+                    [0.9592, 0.9492, 0.9274, 0.9010, 0.8693],
+                    [0.9624, 0.9530, 0.9334, 0.9097, 0.8744],
+                    [0.9656, 0.9573, 0.9365, 0.9144, 0.8783],
+                    [0.9697, 0.9615, 0.9417, 0.9189, 0.8852],
+                    [0.9737, 0.9663, 0.9499, 0.9277, 0.8925]
+                ],
+                // k = -0.1
+                [
+                    [0.9521, 0.9443, 0.9310, 0.9169, 0.8951],
+                    [0.9596, 0.9525, 0.9395, 0.9240, 0.9029],
+                    [0.9650, 0.9586, 0.9464, 0.9303, 0.9085],
+                    [0.9715, 0.9660, 0.9545, 0.9396, 0.9177],
+                    [0.9757, 0.9708, 0.9609, 0.9490, 0.9284],
+                    [0.9781, 0.9743, 0.9653, 0.9534, 0.9349],
+                    [0.9821, 0.9786, 0.9712, 0.9612, 0.9442],
+                    [0.9857, 0.9826, 0.9760, 0.9663, 0.9511]
+                ],
+                // k = 0
+                [
+                    [0.9583, 0.9521, 0.9416, 0.9307, 0.9157],
+                    [0.9667, 0.9614, 0.9524, 0.9430, 0.9287],
+                    [0.9720, 0.9677, 0.9600, 0.9513, 0.9386],
+                    [0.9783, 0.9751, 0.9695, 0.9627, 0.9513],
+                    [0.9824, 0.9796, 0.9745, 0.9684, 0.9585],
+                    [0.9848, 0.9826, 0.9782, 0.9734, 0.9635],
+                    [0.9881, 0.9863, 0.9829, 0.9787, 0.9722],
+                    [0.9907, 0.9892, 0.9866, 0.9828, 0.9766]
+                ],
+                // k = 0.1
+                [
+                    [0.9622, 0.9568, 0.9477, 0.9392, 0.9285],
+                    [0.9706, 0.9664, 0.9595, 0.9521, 0.9427],
+                    [0.9759, 0.9724, 0.9667, 0.9606, 0.9517],
+                    [0.9820, 0.9796, 0.9757, 0.9712, 0.9649],
+                    [0.9853, 0.9835, 0.9801, 0.9768, 0.9720],
+                    [0.9877, 0.9861, 0.9832, 0.9803, 0.9754],
+                    [0.9906, 0.9893, 0.9871, 0.9847, 0.9813],
+                    [0.9929, 0.9919, 0.9903, 0.9885, 0.9859]
+                ],
+                // k = 0.2
+                [
+                    [0.9637, 0.9588, 0.9504, 0.9428, 0.9330],
+                    [0.9723, 0.9685, 0.9620, 0.9556, 0.9478],
+                    [0.9775, 0.9745, 0.9694, 0.9642, 0.9577],
+                    [0.9834, 0.9812, 0.9776, 0.9740, 0.9685],
+                    [0.9867, 0.9851, 0.9822, 0.9790, 0.9752],
+                    [0.9889, 0.9874, 0.9852, 0.9829, 0.9793],
+                    [0.9916, 0.9906, 0.9888, 0.9871, 0.9848],
+                    [0.9938, 0.9930, 0.9918, 0.9905, 0.9888]
+                ],
+                // k = 0.3
+                [
+                    [0.9644, 0.9597, 0.9514, 0.9435, 0.9331],
+                    [0.9727, 0.9690, 0.9627, 0.9565, 0.9471],
+                    [0.9778, 0.9750, 0.9695, 0.9644, 0.9569],
+                    [0.9838, 0.9817, 0.9780, 0.9743, 0.9692],
+                    [0.9871, 0.9855, 0.9826, 0.9797, 0.9754],
+                    [0.9891, 0.9878, 0.9853, 0.9829, 0.9793],
+                    [0.9918, 0.9908, 0.9890, 0.9871, 0.9848],
+                    [0.9940, 0.9932, 0.9920, 0.9906, 0.9888]
+                ]
+            ],
+            // LMoments
+            [
+                // k = -0.3
+                [
+                    [0.9606, 0.9544, 0.9445, 0.9358, 0.9246],
+                    [0.9641, 0.9584, 0.9501, 0.9411, 0.9246],
+                    [0.9664, 0.9608, 0.9515, 0.9411, 0.9246],
+                    [0.9680, 0.9627, 0.9533, 0.9411, 0.9246],
+                    [0.9695, 0.9641, 0.9535, 0.9411, 0.9246],
+                    [0.9699, 0.9641, 0.9535, 0.9411, 0.9246],
+                    [0.9713, 0.9653, 0.9535, 0.9411, 0.9246],
+                    [0.9727, 0.9667, 0.9535, 0.9411, 0.9246]
+                ],
+                // k = -0.2
+                [
+                    [0.9624, 0.9566, 0.9473, 0.9384, 0.9274],
+                    [0.9660, 0.9609, 0.9517, 0.9436, 0.9285],
+                    [0.9684, 0.9633, 0.9542, 0.9446, 0.9285],
+                    [0.9711, 0.9657, 0.9567, 0.9459, 0.9285],
+                    [0.9731, 0.9680, 0.9580, 0.9459, 0.9285],
+                    [0.9747, 0.9689, 0.9586, 0.9459, 0.9285],
+                    [0.9770, 0.9718, 0.9611, 0.9459, 0.9285],
+                    [0.9785, 0.9734, 0.9614, 0.9459, 0.9285]
+                ],
+                // k = -0.1
+                [
+                    [0.9632, 0.9578, 0.9491, 0.9411, 0.9302],
+                    [0.9678, 0.9627, 0.9550, 0.9474, 0.9369],
+                    [0.9710, 0.9664, 0.9584, 0.9503, 0.9396],
+                    [0.9749, 0.9704, 0.9624, 0.9532, 0.9411],
+                    [0.9777, 0.9734, 0.9654, 0.9565, 0.9419],
+                    [0.9796, 0.9756, 0.9673, 0.9583, 0.9419],
+                    [0.9825, 0.9787, 0.9710, 0.9606, 0.9444],
+                    [0.9849, 0.9815, 0.9743, 0.9637, 0.9479]
+                ],
+                // k = 0
+                [
+                    [0.9640, 0.9587, 0.9497, 0.9415, 0.9316],
+                    [0.9696, 0.9652, 0.9579, 0.9509, 0.9407],
+                    [0.9735, 0.9693, 0.9622, 0.9546, 0.9448],
+                    [0.9788, 0.9754, 0.9689, 0.9618, 0.9510],
+                    [0.9819, 0.9787, 0.9727, 0.9658, 0.9541],
+                    [0.9839, 0.9809, 0.9756, 0.9698, 0.9604],
+                    [0.9866, 0.9843, 0.9798, 0.9744, 0.9644],
+                    [0.9896, 0.9877, 0.9840, 0.9795, 0.9721]
+                ],
+                // k = 0.1
+                [
+                    [0.9650, 0.9600, 0.9516, 0.9430, 0.9331],
+                    [0.9713, 0.9671, 0.9602, 0.9528, 0.9441],
+                    [0.9755, 0.9721, 0.9664, 0.9601, 0.9514],
+                    [0.9811, 0.9785, 0.9736, 0.9683, 0.9607],
+                    [0.9845, 0.9822, 0.9778, 0.9734, 0.9671],
+                    [0.9867, 0.9847, 0.9810, 0.9770, 0.9711],
+                    [0.9895, 0.9879, 0.9852, 0.9821, 0.9776],
+                    [0.9921, 0.9909, 0.9888, 0.9863, 0.9827]
+                ],
+                // k = 0.2
+                [
+                    [0.9658, 0.9609, 0.9527, 0.9448, 0.9348],
+                    [0.9722, 0.9683, 0.9618, 0.9552, 0.9468],
+                    [0.9769, 0.9738, 0.9682, 0.9624, 0.9558],
+                    [0.9828, 0.9804, 0.9763, 0.9726, 0.9663],
+                    [0.9861, 0.9841, 0.9807, 0.9773, 0.9728],
+                    [0.9882, 0.9866, 0.9840, 0.9813, 0.9777],
+                    [0.9911, 0.9899, 0.9881, 0.9858, 0.9830],
+                    [0.9934, 0.9926, 0.9912, 0.9897, 0.9878]
+                ],
+                // k = 0.3
+                [
+                    [0.9652, 0.9601, 0.9518, 0.9430, 0.9324],
+                    [0.9727, 0.9691, 0.9624, 0.9560, 0.9459],
+                    [0.9777, 0.9745, 0.9694, 0.9640, 0.9574],
+                    [0.9832, 0.9810, 0.9772, 0.9735, 0.9682],
+                    [0.9867, 0.9850, 0.9821, 0.9790, 0.9746],
+                    [0.9889, 0.9875, 0.9849, 0.9824, 0.9789],
+                    [0.9916, 0.9905, 0.9887, 0.9867, 0.9841],
+                    [0.9938, 0.9930, 0.9918, 0.9904, 0.9887]
+                ]
+            ],
+            // MaximumLikelihood
+            [
+                // k = -0.3
+                [
+                    [0.9298, 0.9151, 0.8910, 0.8675, 0.8326],
+                    [0.9368, 0.9228, 0.8977, 0.8686, 0.8326],
+                    [0.9408, 0.9274, 0.9008, 0.8726, 0.8326],
+                    [0.9447, 0.9317, 0.9076, 0.8781, 0.8372],
+                    [0.9481, 0.9357, 0.9107, 0.8824, 0.8429],
+                    [0.9520, 0.9401, 0.9153, 0.8878, 0.8429],
+                    [0.9560, 0.9447, 0.9223, 0.8938, 0.8429],
+                    [0.9590, 0.9485, 0.9252, 0.8954, 0.8492]
+                ],
+                // k = -0.2
+                [
+                    [0.9398, 0.9290, 0.9088, 0.8887, 0.8643],
+                    [0.9491, 0.9394, 0.9211, 0.9023, 0.8753],
+                    [0.9531, 0.9430, 0.9248, 0.9056, 0.8799],
+                    [0.9590, 0.9501, 0.9323, 0.9141, 0.8893],
+                    [0.9625, 0.9540, 0.9375, 0.9185, 0.8940],
+                    [0.9660, 0.9580, 0.9426, 0.9239, 0.8949],
+                    [0.9690, 0.9607, 0.9436, 0.9239, 0.8949],
+                    [0.9718, 0.9645, 0.9491, 0.9305, 0.8949]
+                ],
+                // k = -0.1
+                [
+                    [0.9466, 0.9372, 0.9204, 0.9023, 0.8810],
+                    [0.9577, 0.9498, 0.9341, 0.9180, 0.8987],
+                    [0.9635, 0.9563, 0.9423, 0.9278, 0.9061],
+                    [0.9686, 0.9619, 0.9496, 0.9362, 0.9169],
+                    [0.9726, 0.9666, 0.9548, 0.9421, 0.9200],
+                    [0.9753, 0.9695, 0.9577, 0.9456, 0.9262],
+                    [0.9791, 0.9742, 0.9645, 0.9530, 0.9346],
+                    [0.9824, 0.9781, 0.9695, 0.9591, 0.9415]
+                ],
+                // k = 0
+                [
+                    [0.9510, 0.9414, 0.9243, 0.9081, 0.8886],
+                    [0.9624, 0.9557, 0.9426, 0.9290, 0.9093],
+                    [0.9691, 0.9628, 0.9511, 0.9397, 0.9235],
+                    [0.9761, 0.9715, 0.9625, 0.9524, 0.9358],
+                    [0.9798, 0.9759, 0.9677, 0.9584, 0.9452],
+                    [0.9825, 0.9790, 0.9720, 0.9641, 0.9524],
+                    [0.9860, 0.9834, 0.9782, 0.9716, 0.9624],
+                    [0.9889, 0.9868, 0.9825, 0.9777, 0.9686]
+                ],
+                // k = 0.1
+                [
+                    [0.9527, 0.9438, 0.9264, 0.9100, 0.8892],
+                    [0.9656, 0.9594, 0.9467, 0.9318, 0.9115],
+                    [0.9725, 0.9678, 0.9583, 0.9470, 0.9304],
+                    [0.9801, 0.9768, 0.9706, 0.9625, 0.9502],
+                    [0.9837, 0.9811, 0.9762, 0.9707, 0.9620],
+                    [0.9867, 0.9846, 0.9808, 0.9764, 0.9695],
+                    [0.9897, 0.9882, 0.9853, 0.9821, 0.9774],
+                    [0.9924, 0.9913, 0.9891, 0.9869, 0.9836]
+                ],
+                // k = 0.2
+                [
+                    [0.9523, 0.9426, 0.9258, 0.9081, 0.8885],
+                    [0.9662, 0.9598, 0.9462, 0.9295, 0.9105],
+                    [0.9744, 0.9703, 0.9620, 0.9513, 0.9339],
+                    [0.9821, 0.9794, 0.9745, 0.9688, 0.9597],
+                    [0.9860, 0.9841, 0.9807, 0.9766, 0.9709],
+                    [0.9884, 0.9869, 0.9841, 0.9813, 0.9771],
+                    [0.9913, 0.9903, 0.9883, 0.9864, 0.9837],
+                    [0.9936, 0.9928, 0.9915, 0.9902, 0.9883]
+                ],
+                // k = 0.3
+                [
+                    [0.9519, 0.9414, 0.9235, 0.9069, 0.8854],
+                    [0.9662, 0.9595, 0.9462, 0.9308, 0.9110],
+                    [0.9741, 0.9699, 0.9614, 0.9516, 0.9340],
+                    [0.9823, 0.9799, 0.9753, 0.9700, 0.9618],
+                    [0.9862, 0.9843, 0.9809, 0.9771, 0.9721],
+                    [0.9886, 0.9871, 0.9845, 0.9817, 0.9782],
+                    [0.9915, 0.9905, 0.9887, 0.9868, 0.9842],
+                    [0.9939, 0.9931, 0.9919, 0.9907, 0.9888]
+                ]
+            ]
+        ];
+
+        // Pearson Type III: for each fitting method (Moments, LMoments, MaximumLikelihood), one n x level table per |Cs| in Pearson3Skew.
+        this.Pearson3Skew = [0, 0.5, 1, 1.5, 2, 2.5, 3];
+        this.Pearson3Table = [
+            // Moments
+            [
+                // |Cs| = 0
+                [
+                    [0.9640, 0.9591, 0.9510, 0.9428, 0.9323],
+                    [0.9718, 0.9680, 0.9615, 0.9546, 0.9456],
+                    [0.9767, 0.9736, 0.9679, 0.9619, 0.9529],
+                    [0.9826, 0.9801, 0.9758, 0.9714, 0.9648],
+                    [0.9861, 0.9842, 0.9806, 0.9768, 0.9709],
+                    [0.9879, 0.9863, 0.9832, 0.9800, 0.9755],
+                    [0.9909, 0.9897, 0.9875, 0.9850, 0.9816],
+                    [0.9931, 0.9922, 0.9907, 0.9891, 0.9868]
+                ],
+                // |Cs| = 0.5
+                [
+                    [0.9634, 0.9588, 0.9504, 0.9420, 0.9311],
+                    [0.9711, 0.9672, 0.9604, 0.9534, 0.9431],
+                    [0.9759, 0.9726, 0.9667, 0.9602, 0.9504],
+                    [0.9819, 0.9795, 0.9748, 0.9700, 0.9622],
+                    [0.9853, 0.9832, 0.9793, 0.9748, 0.9678],
+                    [0.9875, 0.9856, 0.9821, 0.9780, 0.9710],
+                    [0.9903, 0.9889, 0.9862, 0.9831, 0.9783],
+                    [0.9927, 0.9916, 0.9895, 0.9870, 0.9826]
+                ],
+                // |Cs| = 1
+                [
+                    [0.9607, 0.9555, 0.9470, 0.9390, 0.9288],
+                    [0.9687, 0.9647, 0.9578, 0.9507, 0.9412],
+                    [0.9739, 0.9703, 0.9635, 0.9569, 0.9477],
+                    [0.9796, 0.9767, 0.9716, 0.9646, 0.9553],
+                    [0.9831, 0.9806, 0.9755, 0.9694, 0.9578],
+                    [0.9856, 0.9834, 0.9786, 0.9728, 0.9618],
+                    [0.9884, 0.9864, 0.9826, 0.9771, 0.9668],
+                    [0.9912, 0.9897, 0.9865, 0.9821, 0.9747]
+                ],
+                // |Cs| = 1.5
+                [
+                    [0.9564, 0.9510, 0.9429, 0.9340, 0.9233],
+                    [0.9644, 0.9597, 0.9525, 0.9446, 0.9346],
+                    [0.9696, 0.9654, 0.9586, 0.9512, 0.9401],
+                    [0.9759, 0.9724, 0.9660, 0.9593, 0.9492],
+                    [0.9794, 0.9765, 0.9708, 0.9640, 0.9529],
+                    [0.9823, 0.9797, 0.9748, 0.9684, 0.9567],
+                    [0.9857, 0.9835, 0.9785, 0.9719, 0.9603],
+                    [0.9885, 0.9867, 0.9824, 0.9763, 0.9642]
+                ],
+                // |Cs| = 2
+                [
+                    [0.9501, 0.9443, 0.9346, 0.9262, 0.9162],
+                    [0.9578, 0.9525, 0.9441, 0.9356, 0.9241],
+                    [0.9635, 0.9589, 0.9512, 0.9438, 0.9338],
+                    [0.9706, 0.9668, 0.9602, 0.9535, 0.9427],
+                    [0.9751, 0.9716, 0.9655, 0.9588, 0.9470],
+                    [0.9782, 0.9751, 0.9692, 0.9622, 0.9504],
+                    [0.9819, 0.9793, 0.9739, 0.9665, 0.9538],
+                    [0.9855, 0.9831, 0.9783, 0.9711, 0.9595]
+                ],
+                // |Cs| = 2.5
+                [
+                    [0.9416, 0.9351, 0.9241, 0.9144, 0.9033],
+                    [0.9510, 0.9452, 0.9365, 0.9282, 0.9178],
+                    [0.9570, 0.9520, 0.9431, 0.9354, 0.9249],
+                    [0.9646, 0.9606, 0.9535, 0.9462, 0.9367],
+                    [0.9698, 0.9660, 0.9594, 0.9530, 0.9432],
+                    [0.9732, 0.9698, 0.9636, 0.9561, 0.9450],
+                    [0.9778, 0.9748, 0.9695, 0.9627, 0.9504],
+                    [0.9822, 0.9796, 0.9745, 0.9667, 0.9525]
+                ],
+                // |Cs| = 3
+                [
+                    [0.9331, 0.9253, 0.9135, 0.9025, 0.8914],
+                    [0.9423, 0.9362, 0.9261, 0.9165, 0.9053],
+                    [0.9490, 0.9434, 0.9344, 0.9256, 0.9151],
+                    [0.9584, 0.9535, 0.9457, 0.9380, 0.9279],
+                    [0.9639, 0.9597, 0.9524, 0.9455, 0.9362],
+                    [0.9679, 0.9642, 0.9576, 0.9511, 0.9417],
+                    [0.9737, 0.9704, 0.9643, 0.9568, 0.9467],
+                    [0.9784, 0.9755, 0.9703, 0.9630, 0.9507]
+                ]
+            ],
+            // LMoments
+            [
+                // |Cs| = 0
+                [
+                    [0.9660, 0.9609, 0.9530, 0.9452, 0.9342],
+                    [0.9726, 0.9687, 0.9618, 0.9543, 0.9443],
+                    [0.9769, 0.9735, 0.9674, 0.9610, 0.9528],
+                    [0.9823, 0.9797, 0.9752, 0.9705, 0.9636],
+                    [0.9857, 0.9837, 0.9804, 0.9764, 0.9711],
+                    [0.9878, 0.9862, 0.9831, 0.9799, 0.9753],
+                    [0.9906, 0.9894, 0.9871, 0.9848, 0.9810],
+                    [0.9930, 0.9920, 0.9903, 0.9885, 0.9861]
+                ],
+                // |Cs| = 0.5
+                [
+                    [0.9652, 0.9603, 0.9518, 0.9437, 0.9330],
+                    [0.9719, 0.9675, 0.9601, 0.9523, 0.9413],
+                    [0.9761, 0.9725, 0.9664, 0.9597, 0.9490],
+                    [0.9817, 0.9791, 0.9742, 0.9688, 0.9591],
+                    [0.9850, 0.9827, 0.9784, 0.9735, 0.9654],
+                    [0.9871, 0.9853, 0.9817, 0.9779, 0.9709],
+                    [0.9901, 0.9885, 0.9858, 0.9824, 0.9775],
+                    [0.9925, 0.9913, 0.9891, 0.9865, 0.9827]
+                ],
+                // |Cs| = 1
+                [
+                    [0.9649, 0.9598, 0.9512, 0.9438, 0.9340],
+                    [0.9702, 0.9657, 0.9581, 0.9505, 0.9376],
+                    [0.9744, 0.9705, 0.9629, 0.9552, 0.9420],
+                    [0.9800, 0.9766, 0.9701, 0.9626, 0.9519],
+                    [0.9831, 0.9802, 0.9745, 0.9667, 0.9555],
+                    [0.9855, 0.9829, 0.9782, 0.9722, 0.9623],
+                    [0.9883, 0.9863, 0.9819, 0.9764, 0.9676],
+                    [0.9909, 0.9892, 0.9858, 0.9813, 0.9749]
+                ],
+                // |Cs| = 1.5
+                [
+                    [0.9631, 0.9581, 0.9494, 0.9416, 0.9315],
+                    [0.9681, 0.9633, 0.9549, 0.9460, 0.9343],
+                    [0.9721, 0.9676, 0.9592, 0.9501, 0.9367],
+                    [0.9772, 0.9732, 0.9654, 0.9563, 0.9426],
+                    [0.9805, 0.9768, 0.9695, 0.9597, 0.9455],
+                    [0.9824, 0.9791, 0.9725, 0.9637, 0.9497],
+                    [0.9858, 0.9830, 0.9768, 0.9693, 0.9547],
+                    [0.9886, 0.9863, 0.9815, 0.9745, 0.9637]
+                ],
+                // |Cs| = 2
+                [
+                    [0.9611, 0.9556, 0.9464, 0.9384, 0.9279],
+                    [0.9655, 0.9604, 0.9518, 0.9433, 0.9321],
+                    [0.9690, 0.9641, 0.9558, 0.9461, 0.9321],
+                    [0.9737, 0.9693, 0.9600, 0.9493, 0.9321],
+                    [0.9774, 0.9731, 0.9650, 0.9543, 0.9378],
+                    [0.9794, 0.9755, 0.9679, 0.9577, 0.9414],
+                    [0.9828, 0.9791, 0.9715, 0.9616, 0.9451],
+                    [0.9859, 0.9830, 0.9765, 0.9679, 0.9532]
+                ],
+                // |Cs| = 2.5
+                [
+                    [0.9596, 0.9534, 0.9436, 0.9345, 0.9235],
+                    [0.9626, 0.9570, 0.9477, 0.9392, 0.9298],
+                    [0.9658, 0.9605, 0.9511, 0.9422, 0.9298],
+                    [0.9705, 0.9653, 0.9562, 0.9453, 0.9298],
+                    [0.9736, 0.9689, 0.9594, 0.9482, 0.9306],
+                    [0.9765, 0.9719, 0.9627, 0.9509, 0.9322],
+                    [0.9796, 0.9754, 0.9675, 0.9559, 0.9398],
+                    [0.9832, 0.9795, 0.9720, 0.9616, 0.9454]
+                ],
+                // |Cs| = 3
+                [
+                    [0.9572, 0.9495, 0.9380, 0.9277, 0.9134],
+                    [0.9601, 0.9542, 0.9449, 0.9363, 0.9260],
+                    [0.9630, 0.9574, 0.9484, 0.9399, 0.9268],
+                    [0.9672, 0.9618, 0.9520, 0.9418, 0.9268],
+                    [0.9703, 0.9651, 0.9550, 0.9439, 0.9268],
+                    [0.9728, 0.9675, 0.9574, 0.9445, 0.9268],
+                    [0.9765, 0.9719, 0.9616, 0.9490, 0.9275],
+                    [0.9800, 0.9759, 0.9670, 0.9557, 0.9372]
+                ]
+            ],
+            // MaximumLikelihood
+            [
+                // |Cs| = 0
+                [
+                    [0.9468, 0.9387, 0.9257, 0.9150, 0.9023],
+                    [0.9594, 0.9511, 0.9372, 0.9245, 0.9129],
+                    [0.9701, 0.9637, 0.9509, 0.9378, 0.9229],
+                    [0.9800, 0.9765, 0.9701, 0.9622, 0.9496],
+                    [0.9845, 0.9820, 0.9775, 0.9723, 0.9653],
+                    [0.9873, 0.9855, 0.9822, 0.9786, 0.9730],
+                    [0.9905, 0.9892, 0.9867, 0.9840, 0.9804],
+                    [0.9930, 0.9920, 0.9903, 0.9884, 0.9861]
+                ],
+                // |Cs| = 0.5
+                [
+                    [0.9465, 0.9380, 0.9250, 0.9144, 0.9015],
+                    [0.9585, 0.9504, 0.9377, 0.9249, 0.9110],
+                    [0.9685, 0.9620, 0.9495, 0.9382, 0.9239],
+                    [0.9784, 0.9744, 0.9665, 0.9577, 0.9448],
+                    [0.9833, 0.9803, 0.9748, 0.9685, 0.9582],
+                    [0.9858, 0.9836, 0.9792, 0.9744, 0.9666],
+                    [0.9893, 0.9875, 0.9844, 0.9804, 0.9745],
+                    [0.9920, 0.9908, 0.9882, 0.9856, 0.9814]
+                ],
+                // |Cs| = 1
+                [
+                    [0.9453, 0.9362, 0.9240, 0.9138, 0.9008],
+                    [0.9562, 0.9480, 0.9345, 0.9227, 0.9092],
+                    [0.9640, 0.9572, 0.9448, 0.9317, 0.9170],
+                    [0.9740, 0.9689, 0.9600, 0.9501, 0.9372],
+                    [0.9786, 0.9745, 0.9667, 0.9581, 0.9453],
+                    [0.9822, 0.9790, 0.9728, 0.9650, 0.9534],
+                    [0.9860, 0.9834, 0.9781, 0.9727, 0.9638],
+                    [0.9893, 0.9874, 0.9836, 0.9792, 0.9723]
+                ],
+                // |Cs| = 1.5
+                [
+                    [0.9436, 0.9343, 0.9208, 0.9074, 0.8911],
+                    [0.9525, 0.9443, 0.9295, 0.9165, 0.9019],
+                    [0.9588, 0.9514, 0.9381, 0.9253, 0.9090],
+                    [0.9677, 0.9616, 0.9508, 0.9402, 0.9239],
+                    [0.9732, 0.9682, 0.9592, 0.9493, 0.9350],
+                    [0.9767, 0.9721, 0.9635, 0.9545, 0.9391],
+                    [0.9815, 0.9781, 0.9715, 0.9636, 0.9510],
+                    [0.9856, 0.9828, 0.9773, 0.9710, 0.9601]
+                ],
+                // |Cs| = 2
+                [
+                    [0.9385, 0.9288, 0.9137, 0.8989, 0.8821],
+                    [0.9486, 0.9398, 0.9246, 0.9086, 0.8879],
+                    [0.9553, 0.9474, 0.9318, 0.9154, 0.8945],
+                    [0.9629, 0.9557, 0.9427, 0.9294, 0.9066],
+                    [0.9686, 0.9625, 0.9504, 0.9373, 0.9146],
+                    [0.9725, 0.9670, 0.9564, 0.9428, 0.9234],
+                    [0.9777, 0.9731, 0.9632, 0.9518, 0.9339],
+                    [0.9817, 0.9779, 0.9702, 0.9602, 0.9444]
+                ],
+                // |Cs| = 2.5
+                [
+                    [0.9311, 0.9196, 0.9003, 0.8812, 0.8588],
+                    [0.9393, 0.9283, 0.9073, 0.8867, 0.8588],
+                    [0.9456, 0.9343, 0.9141, 0.8933, 0.8633],
+                    [0.9526, 0.9420, 0.9219, 0.9013, 0.8732],
+                    [0.9570, 0.9474, 0.9289, 0.9081, 0.8797],
+                    [0.9620, 0.9529, 0.9353, 0.9170, 0.8863],
+                    [0.9669, 0.9585, 0.9427, 0.9255, 0.9009],
+                    [0.9716, 0.9646, 0.9513, 0.9375, 0.9169]
+                ],
+                // |Cs| = 3
+                [
+                    [0.9196, 0.9066, 0.8818, 0.8574, 0.8283],
+                    [0.9237, 0.9083, 0.8818, 0.8574, 0.8283],
+                    [0.9286, 0.9128, 0.8864, 0.8614, 0.8283],
+                    [0.9327, 0.9180, 0.8922, 0.8666, 0.8366],
+                    [0.9380, 0.9246, 0.9005, 0.8788, 0.8485],
+                    [0.9406, 0.9279, 0.9034, 0.8795, 0.8517],
+                    [0.9458, 0.9343, 0.9147, 0.8957, 0.8668],
+                    [0.9501, 0.9413, 0.9251, 0.9063, 0.8817]
+                ]
+            ]
+        ];
+    }
+
+    /**
+     * Runs the PPCC goodness-of-fit test.
+     * @param {number} distType - The distribution type from `this.DistributionType`.
+     * @param {number[]} data - The array of raw sample data.
+     * @param {number} [confidenceIndex=2] - The index for the confidence level (0-4).
+     * @returns {object} An object containing r, CriticalValue, ConfidenceLevel, fitted and Conclusion.
+     */
+    runTest(distType, data, confidenceIndex = 2) {
+        if (confidenceIndex < 0 || confidenceIndex >= this.ConfidenceLevelString.length) {
+            throw new Error("Invalid confidenceIndex.");
+        }
+        const { r, fit } = this.correlation(distType, data);
+        const criticalValue = this.criticalValue(distType, data.length, fit, confidenceIndex);
+
+        const ConfidenceLevel = this.ConfidenceLevelString[confidenceIndex];
+        const fitted = r >= criticalValue;
+        return {
+            r,
+            CriticalValue: criticalValue,
+            ConfidenceLevel,
+            fitted,
+            Conclusion: `Critical PPCC value at ${ConfidenceLevel} confidence = ${criticalValue.toFixed(4)}\nFitted? ${fitted}`
+        };
+    }
+
+    /**
+     * Computes the probability plot correlation coefficient.
+     * Log distributions are tested on the transformed data, so r is the correlation between the ordered
+     * (transformed) sample and the frequency factors Kt of the fitted distribution.
+     * @param {number} distType - The distribution type from `this.DistributionType`.
+     * @param {number[]} data - The array of raw sample data.
+     * @returns {{r: number, fit: object}} The coefficient and the fitted distribution from FrequencyAnalysis.fit().
+     * @throws {Error} If r is undefined, e.g. for a GEV fit with shape k <= -0.5, which has no finite variance.
+     */
+    correlation(distType, data) {
+        const n = data.length;
+        if (n < 3) {
+            throw new Error("At least 3 data points are required.");
+        }
+        const fit = this.fa.fit(distType, data);
+
+        const types = this.DistributionType;
+        const requiresLog = distType === types.LogNormal || distType === types.LogPearsonType3 || distType === types.LogNormal3;
+        const tau = fit.tau || 0;
+        const x = this.utils.sort(data).map(val => requiresLog ? Math.log10(Math.max(val - tau, 1e-6)) : val);
+
+        const method = this.PlottingPositionOf[distType];
+        const k = [];
+        for (let i = 1; i <= n; i++) {
+            const F = this.utils.plottingPosition(method, i, n);
+            k.push(this.fa.quantile(fit, 1 / (1 - F)).Kt);
+        }
+        const r = this._pearson(x, k);
+        if (!Number.isFinite(r)) {
+            throw new Error("The correlation coefficient is undefined for the fitted distribution.");
+        }
+        return { r, fit };
+    }
+
+    /**
+     * Looks up the critical value of r for the distribution family and the current fitting method,
+     * interpolating linearly in the sample size and the shape parameter. Values outside the tables are clamped to the nearest entry.
+     * @param {number} distType - The distribution type from `this.DistributionType`.
+     * @param {number} n - Sample size.
+     * @param {object} fit - The fitted distribution from FrequencyAnalysis.fit().
+     * @param {number} confidenceIndex - The index for the confidence level (0-4).
+     * @returns {number} The critical value.
+     */
+    criticalValue(distType, n, fit, confidenceIndex) {
+        const byN = table => this.utils.interpolate(this.SampleSizes, table.map(row => row[confidenceIndex]), n);
+        switch (distType) {
+            case this.DistributionType.Normal:
+            case this.DistributionType.LogNormal:
+            case this.DistributionType.LogNormal3:
+                return byN(this.NormalTable);
+            case this.DistributionType.ExtremeValueType1:
+                return byN(this.GumbelTable);
+            case this.DistributionType.GEV:
+                return this.utils.interpolate(this.GEVShape, this.GEVTable[this.fa.fittingMethod - 1].map(byN), fit.gev.shape);
+            case this.DistributionType.PearsonType3:
+            case this.DistributionType.LogPearsonType3:
+                return this.utils.interpolate(this.Pearson3Skew, this.Pearson3Table[this.fa.fittingMethod - 1].map(byN), Math.abs(fit.Cs));
+            default:
+                throw new Error(`Unsupported distribution type: ${distType}`);
+        }
+    }
+
+    /**
+     * Pearson correlation coefficient of two equally long arrays.
+     * @private
+     */
+    _pearson(x, y) {
+        const n = x.length;
+        const mx = x.reduce((a, b) => a + b, 0) / n;
+        const my = y.reduce((a, b) => a + b, 0) / n;
+        let sxy = 0, sxx = 0, syy = 0;
+        for (let i = 0; i < n; i++) {
+            sxy += (x[i] - mx) * (y[i] - my);
+            sxx += (x[i] - mx) * (x[i] - mx);
+            syy += (y[i] - my) * (y[i] - my);
+        }
+        return sxy / Math.sqrt(sxx * syy);
+    }
+}
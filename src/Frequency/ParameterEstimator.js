@@ -0,0 +1,320 @@
+// ParameterEstimator.js
+// 2026-10-19
+// 各機率分佈的參數推估 (動差法、線性動差法、最大概似法)
+
+import { RainUtils } from "./RainUtils.js";
+import { LMoments } from "./LMoments.js";
+import { MaximumLikelihood } from "./MaximumLikelihood.js";
+import { OutlierTest } from "./OutlierTest.js";
+
+/**
+ * ParameterEstimator 類別依指定的參數推估法，計算各機率分佈頻率因子公式所需的統計量。
+ * FrequencyAnalysis、KSTest 與 ChiSquareTest 共用此類別，確保三者使用相同的參數。
+ */
+export class ParameterEstimator {
+
+    /**
+     * @param {Object} [options] - 選項。
+     * @param {number} [options.lowOutlierMethod] - 對數皮爾遜第三型分佈的低值離群檢定方法 (OutlierTest.Method)，預設為不檢定。
+     * @param {number} [options.ktMethod] - 低值離群調整計算頻率因子的方法 (RainUtils.KtMethod)，預設為精確解。
+     * @param {{skew: number, mse: number}} [options.regionalSkew] - 區域偏態係數及其均方誤差，
+     *   指定時對數皮爾遜第三型分佈改用測站偏態與區域偏態的加權偏態。
+     */
+    constructor(options = {}) {
+        /**
+         * 機率分佈型態 (與 FrequencyAnalysis.DistributionType 一致)
+         * @readonly
+         */
+        this.DistributionType = Object.freeze({
+            Normal: 1,
+            LogNormal: 2,
+            PearsonType3: 3,
+            LogPearsonType3: 4,
+            ExtremeValueType1: 5,
+            GEV: 6,
+            LogNormal3: 7
+        });
+
+        /**
+         * 參數推估法的列舉
+         * @readonly
+         */
+        this.FittingMethod = Object.freeze({
+            Moments: 1,
+            LMoments: 2,
+            MaximumLikelihood: 3
+        });
+
+        /**
+         * 參數推估法選單
+         * @type {string[]}
+         */
+        this.menuMethod = [
+            "動差法 (Method of Moments)",
+            "線性動差法 (L-moments)",
+            "最大概似法 (Maximum Likelihood)"
+        ];
+
+        /**
+         * @private
+         */
+        this.utils = new RainUtils();
+        /**
+         * @private
+         */
+        this.lmoments = new LMoments();
+        /**
+         * @private
+         */
+        this.mle = new MaximumLikelihood();
+        /**
+         * @private
+         */
+        this.outlierTest = new OutlierTest();
+
+        /**
+         * 低值離群檢定方法的列舉
+         * @readonly
+         */
+        this.LowOutlierMethod = this.outlierTest.Method;
+
+        /**
+         * 目前使用的低值離群檢定方法
+         * @type {number}
+         */
+        this.lowOutlierMethod = options.lowOutlierMethod || this.LowOutlierMethod.None;
+
+        /**
+         * @private
+         */
+        this.ktMethod = options.ktMethod || this.utils.KtMethod.Exact;
+
+        /**
+         * 區域偏態係數及其均方誤差，null 表示僅使用測站偏態
+         * @type {{skew: number, mse: number}|null}
+         */
+        this.regionalSkew = options.regionalSkew || null;
+    }
+
+    /**
+     * 推估分佈參數。
+     * 回傳物件與 RainUtils.statistics() 相同的欄位，其中 M、SD、Cs 為套用頻率因子公式時
+     * 「等效」的平均值、標準差及偏態係數；GEV 分佈另附 gev 參數。
+     * 最大概似法另附 mle 欄位：{parameters, logLikelihood, iterations, converged, message, fallback}，
+     * 其中對數概似值已換算回原始資料尺度，fallback 為 true 表示最佳化失敗而改用動差法。
+     * 對數皮爾遜第三型分佈在指定低值離群檢定方法時，以條件機率調整推估參數，另附 lowOutliers 欄位
+     * (見 _adjustLowOutliers())；指定區域偏態時，偏態係數 Cs 改為加權偏態，另附 skewWeighting 欄位
+     * (RainUtils.weightedSkew() 的回傳值，測站偏態為低值離群調整後的值)。
+     * @param {number} distType - 頻率分佈型態 (this.DistributionType 中的值)。
+     * @param {number[]} x - 資料陣列 (對數分佈請先自行取對數，三參數對數常態分佈為 log10(x - tau))。
+     * @param {number} [method=this.FittingMethod.Moments] - 參數推估法。
+     * @returns {{Xmin: number, Xmax: number, M: number, SD: number, Cv: number, Cs: number,
+     *   gev: ({location: number, scale: number, shape: number}|null), mle: (Object|null)}} 參數推估結果。
+     */
+    estimate(distType, x, method = this.FittingMethod.Moments) {
+        let result = this._estimate(distType, x, method);
+        if (distType !== this.DistributionType.LogPearsonType3) {
+            return result;
+        }
+        if (this.lowOutlierMethod !== this.LowOutlierMethod.None) {
+            result = this._adjustLowOutliers(result, x, method);
+        }
+        return this.applyRegionalSkew(result, x.length);
+    }
+
+    /**
+     * 以區域偏態加權對數皮爾遜第三型分佈的偏態係數，未指定區域偏態時原樣回傳。
+     * @param {Object} result - 推估結果 (需含 Cs)。
+     * @param {number} n - 樣本數 (年)。
+     * @returns {Object} Cs 改為加權偏態並附 skewWeighting 欄位的推估結果。
+     */
+    applyRegionalSkew(result, n) {
+        if (!this.regionalSkew || !Number.isFinite(result.Cs)) {
+            return result;
+        }
+        const skewWeighting = this.utils.weightedSkew(result.Cs, n, this.regionalSkew.skew, this.regionalSkew.mse);
+        return { ...result, Cs: skewWeighting.weighted, skewWeighting };
+    }
+
+    /**
+     * 不考慮離群值的參數推估。
+     * @private
+     */
+    _estimate(distType, x, method) {
+        const stats = this.utils.statistics(x);
+        let result;
+        switch (method) {
+            case this.FittingMethod.Moments:
+                result = { ...stats, gev: null, mle: null };
+                if (distType === this.DistributionType.GEV) {
+                    result.gev = this.utils.gevParameters(stats.M, stats.SD, stats.Cs);
+                }
+                break;
+            case this.FittingMethod.LMoments:
+                result = { ...stats, ...this._estimateByLMoments(distType, x), mle: null };
+                break;
+            case this.FittingMethod.MaximumLikelihood:
+                result = this._estimateByMaximumLikelihood(distType, x, stats);
+                break;
+            default:
+                throw new Error(`不支援的參數推估法: ${method}`);
+        }
+        result.Cv = result.M !== 0 ? result.SD / result.M : 0;
+        return result;
+    }
+
+    /**
+     * 以線性動差推估參數。
+     * @private
+     */
+    _estimateByLMoments(distType, x) {
+        const lmom = this.lmoments.compute(x);
+        switch (distType) {
+            case this.DistributionType.Normal:
+            case this.DistributionType.LogNormal:
+            case this.DistributionType.LogNormal3:
+                return { M: lmom.l1, SD: Math.sqrt(Math.PI) * lmom.l2, Cs: 0, gev: null };
+            case this.DistributionType.PearsonType3:
+            case this.DistributionType.LogPearsonType3:
+                return { ...this.lmoments.pearson3(lmom), gev: null };
+            case this.DistributionType.ExtremeValueType1: {
+                // Gumbel 尺度參數 α = l2 / ln2，換算為頻率因子公式使用的標準差 (α = 0.7797·SD)
+                const alpha = lmom.l2 / Math.LN2;
+                return { M: lmom.l1, SD: alpha / 0.7797, Cs: 1.1396, gev: null };
+            }
+            case this.DistributionType.GEV: {
+                const gev = this.lmoments.gev(lmom);
+                return { M: lmom.l1, ...this._gevMoments(gev), gev };
+            }
+            default:
+                throw new Error(`不支援的分佈型態: ${distType}`);
+        }
+    }
+
+    /**
+     * 以最大概似法推估參數，最佳化未收斂時改用動差法。
+     * @private
+     */
+    _estimateByMaximumLikelihood(distType, x, stats) {
+        let fit;
+        let equivalent;
+        switch (distType) {
+            case this.DistributionType.Normal:
+            case this.DistributionType.LogNormal:
+            case this.DistributionType.LogNormal3: {
+                fit = this.mle.fitNormal(x);
+                const { mean, std } = fit.parameters;
+                equivalent = { M: mean, SD: std, Cs: 0, gev: null };
+                break;
+            }
+            case this.DistributionType.PearsonType3:
+            case this.DistributionType.LogPearsonType3: {
+                fit = this.mle.fitPearson3(x, { mean: stats.M, std: stats.SD, cs: stats.Cs });
+                const { location, scale, shape } = fit.parameters;
+                equivalent = {
+                    M: location + shape * scale,
+                    SD: Math.sqrt(shape) * Math.abs(scale),
+                    Cs: Math.sign(scale) * 2 / Math.sqrt(shape),
+                    gev: null
+                };
+                break;
+            }
+            case this.DistributionType.ExtremeValueType1: {
+                const scale0 = 0.7797 * stats.SD;
+                fit = this.mle.fitGumbel(x, { location: stats.M - 0.5772 * scale0, scale: scale0 });
+                const { location, scale } = fit.parameters;
+                equivalent = { M: location + 0.5772 * scale, SD: scale / 0.7797, Cs: 1.1396, gev: null };
+                break;
+            }
+            case this.DistributionType.GEV: {
+                fit = this.mle.fitGEV(x, this.lmoments.gev(this.lmoments.compute(x)));
+                const gev = fit.parameters;
+                const mean = gev.shape === 0
+                    ? gev.location + 0.5772 * gev.scale
+                    : gev.location + gev.scale * (1 - this.utils.gamma(1 + gev.shape)) / gev.shape;
+                equivalent = { M: mean, ...this._gevMoments(gev), gev };
+                break;
+            }
+            default:
+                throw new Error(`不支援的分佈型態: ${distType}`);
+        }
+
+        // 對數分佈的概似值加上變數轉換的 Jacobian 項 (x = 10^y，三參數為 x = tau + 10^y)，換算回原始資料尺度
+        if (distType === this.DistributionType.LogNormal || distType === this.DistributionType.LogPearsonType3 ||
+            distType === this.DistributionType.LogNormal3) {
+            const sumY = x.reduce((acc, y) => acc + y, 0);
+            fit.logLikelihood -= sumY * Math.LN10 + x.length * Math.log(Math.LN10);
+        }
+
+        const valid = fit.converged && Number.isFinite(equivalent.M) && Number.isFinite(equivalent.SD);
+        if (!valid) {
+            const fallback = this._estimate(distType, x, this.FittingMethod.Moments);
+            return { ...fallback, mle: { ...fit, fallback: true } };
+        }
+        return { ...stats, ...equivalent, mle: { ...fit, fallback: false } };
+    }
+
+    /**
+     * 對數皮爾遜第三型分佈的低值離群條件機率調整 (Bulletin 17B 附錄 5)。
+     * 去除低值離群後以其餘 N_r 筆資料推估參數，超越機率乘以 p̂ = N_r / N 得到全體資料的條件分佈，
+     * 再由條件分佈的 1%、10%、50% 超越機率分位數 (對數值 L01、L10、L50) 求合成統計量：
+     * Cs = -2.50 + 3.12·(L01 - L10) / (L10 - L50)，SD = (L01 - L50) / (K01 - K50)，M = L50 - K50·SD。
+     * 回傳物件另附 lowOutliers 欄位：{method, count, threshold, pHat, adjusted}，threshold 為對數值，
+     * adjusted 為 false 表示未偵測到低值離群或合成統計量無效而沿用未調整的參數。
+     * @private
+     */
+    _adjustLowOutliers(result, x, method) {
+        const detection = this.outlierTest.detect(this.lowOutlierMethod, x);
+        const low = new Set(detection.low);
+        const lowOutliers = {
+            method: this.lowOutlierMethod,
+            count: low.size,
+            threshold: detection.lowThreshold,
+            pHat: 1,
+            adjusted: false
+        };
+        const retained = x.filter((v, i) => !low.has(i));
+        if (low.size === 0 || retained.length < 3) {
+            return { ...result, lowOutliers };
+        }
+
+        const fit = this._estimate(this.DistributionType.LogPearsonType3, retained, method);
+        const pHat = retained.length / x.length;
+        const kt = (F, cs) => this.utils.pearson3FrequencyFactor(F, cs, this.ktMethod);
+        // 條件分佈：全體資料的超越機率 P 對應保留資料的超越機率 P / p̂
+        const conditional = P => fit.M + kt(Math.max(1e-6, 1 - P / pHat), fit.Cs) * fit.SD;
+        const L01 = conditional(0.01);
+        const L10 = conditional(0.10);
+        const L50 = conditional(0.50);
+
+        const Cs = Math.min(2.5, Math.max(-2.0, -2.50 + 3.12 * (L01 - L10) / (L10 - L50)));
+        const SD = (L01 - L50) / (kt(0.99, Cs) - kt(0.5, Cs));
+        const M = L50 - kt(0.5, Cs) * SD;
+        lowOutliers.pHat = pHat;
+        if (![M, SD, Cs].every(Number.isFinite) || !(SD > 0)) {
+            return { ...result, lowOutliers };
+        }
+        lowOutliers.adjusted = true;
+        return { ...result, M, SD, Cs, Cv: M !== 0 ? SD / M : 0, mle: fit.mle, lowOutliers };
+    }
+
+    /**
+     * 由 GEV 參數計算其標準差及偏態係數 (k <= -1/2 時變異數不存在，回傳 NaN)。
+     * @private
+     */
+    _gevMoments(gev) {
+        const { scale, shape } = gev;
+        if (shape === 0) {
+            return { SD: scale / 0.7797, Cs: 1.1396 };
+        }
+        if (shape <= -0.5) {
+            return { SD: NaN, Cs: NaN };
+        }
+        const g1 = this.utils.gamma(1 + shape);
+        const g2 = this.utils.gamma(1 + 2 * shape);
+        return {
+            SD: scale / Math.abs(shape) * Math.sqrt(g2 - g1 * g1),
+            Cs: shape > -1 / 3 ? this.utils.gevSkewness(shape) : NaN
+        };
+    }
+}
@@ -0,0 +1,221 @@
+// PartialDuration.js
+// 2026-10-19
+// 部分延時序列 (超過門檻值序列, POT) 分析：事件分離、廣義 Pareto 及指數分佈、Langbein 重現期換算
+
+import { toRegularSeries, movingWindowSums, yearOfStep } from "../ReadRainSeries.js";
+
+/**
+ * PartialDuration 類別由原始雨量紀錄選取獨立降雨事件的峰值 (部分延時序列)，
+ * 以廣義 Pareto 分佈 (GPD) 或指數分佈配合超過門檻值的超量，並換算為年最大值序列的重現期。
+ *
+ * 設每年平均事件數為 λ、超量的超越機率為 G(y)，則部分延時序列重現期 T_E = 1 / (λ·G(y))。
+ * 年最大值序列重現期 T 與 T_E 以 Langbein (1949) 公式換算：T = 1 / (1 - exp(-1 / T_E))。
+ */
+export class PartialDuration {
+    constructor() {
+        /**
+         * 峰值選取方式的列舉
+         * @readonly
+         */
+        this.SelectionMethod = Object.freeze({
+            Threshold: 1,
+            TopNPerYear: 2
+        });
+
+        /**
+         * 超量分佈的列舉
+         * @readonly
+         */
+        this.DistributionType = Object.freeze({
+            GeneralizedPareto: 1,
+            Exponential: 2
+        });
+
+        /**
+         * 超量分佈選單
+         * @type {string[]}
+         */
+        this.menuDr = [
+            "廣義 Pareto 分佈 (GPD)",
+            "指數分佈 (Exponential)"
+        ];
+    }
+
+    /**
+     * 選取獨立降雨事件的峰值。以移動視窗雨量的局部極大值為候選，由大至小依序接受，
+     * 與已接受事件的視窗重疊或間隔小於最小事件間隔時間者視為同一事件而捨棄。
+     * @param {{interval: number, times: number[], depths: Array<number|null>}} series - parseRainSeries() 的回傳值。
+     * @param {number} duration - 延時 (分鐘)，須為紀錄時距的整數倍。
+     * @param {Object} [options] - 選項。
+     * @param {number} [options.method=this.SelectionMethod.Threshold] - 峰值選取方式 (this.SelectionMethod)。
+     * @param {number} [options.threshold=0] - 門檻值 (mm)，門檻值法使用。
+     * @param {number} [options.topN=3] - 每年選取的事件數，每年前 N 大法使用。
+     * @param {number} [options.minInterEventHours=6] - 最小事件間隔時間 (小時)。
+     * @param {string} [options.yearType='calendar'] - 'calendar' 為曆年，'water' 為水文年。
+     * @param {number} [options.waterYearStartMonth=10] - 水文年起始月份。
+     * @returns {{peaks: Array<{time: number, year: number, depth: number}>, threshold: number, years: number, rate: number}}
+     *   峰值 (依雨量由大至小排列，time 為視窗結束時間的 UTC 毫秒數)、門檻值、紀錄年數及每年平均事件數 λ。
+     *   每年前 N 大法的門檻值為選取峰值中的最小值。
+     */
+    extractPeaks(series, duration, options = {}) {
+        const method = options.method || this.SelectionMethod.Threshold;
+        const topN = options.topN || 3;
+        const iet = (options.minInterEventHours ?? 6) * 60;
+        const w = Math.round(duration / series.interval);
+        if (w < 1 || Math.abs(w * series.interval - duration) > 1e-6) {
+            throw new Error(`延時 ${duration} 分鐘不是紀錄時距 ${series.interval} 分鐘的整數倍。`);
+        }
+
+        const { start, step, values } = toRegularSeries(series);
+        const sums = movingWindowSums(values, w);
+        const n = sums.length;
+        const yearOf = yearOfStep(start, step, options.yearType, options.waterYearStartMonth);
+        const years = (n * step) / (365.25 * 86400000);
+        if (n < w) {
+            throw new Error("雨量紀錄長度小於延時。");
+        }
+
+        // 候選峰值：移動視窗雨量的局部極大值
+        const floor = method === this.SelectionMethod.Threshold ? (options.threshold || 0) : 0;
+        const candidates = [];
+        for (let k = w - 1; k < n; k++) {
+            const v = sums[k];
+            if (!(v > floor)) continue;
+            const prev = k > w - 1 ? sums[k - 1] : -Infinity;
+            const next = k < n - 1 ? sums[k + 1] : -Infinity;
+            if (v >= prev && v > next) candidates.push(k);
+        }
+        candidates.sort((a, b) => sums[b] - sums[a]);
+
+        // 事件分離：兩事件視窗結束時間的間隔須不小於延時加最小事件間隔時間
+        const separation = Math.ceil((duration + iet) / series.interval);
+        const blocked = new Uint8Array(n);
+        let peaks = [];
+        candidates.forEach(k => {
+            if (blocked[k]) return;
+            peaks.push({ time: start + (k + 1) * step, year: yearOf(k), depth: sums[k] });
+            for (let j = Math.max(0, k - separation + 1); j < Math.min(n, k + separation); j++) blocked[j] = 1;
+        });
+
+        if (method === this.SelectionMethod.TopNPerYear) {
+            const count = new Map();
+            peaks = peaks.filter(p => {
+                const c = count.get(p.year) || 0;
+                count.set(p.year, c + 1);
+                return c < topN;
+            });
+        }
+        if (peaks.length < 3) {
+            throw new Error("選取的事件數少於 3 個，請降低門檻值。");
+        }
+
+        const threshold = method === this.SelectionMethod.Threshold
+            ? floor
+            : peaks[peaks.length - 1].depth;
+        return { peaks, threshold, years, rate: peaks.length / years };
+    }
+
+    /**
+     * 以機率加權動差法 (Hosking & Wallis, 1987) 推估超量分佈的參數，門檻值視為已知。
+     * 廣義 Pareto 分佈的超越機率 G(y) = (1 - k·y/α)^(1/k)，指數分佈 G(y) = exp(-y/β)。
+     * @param {number} distType - 超量分佈 (this.DistributionType)。
+     * @param {number[]} peaks - 峰值 (mm)。
+     * @param {number} threshold - 門檻值 (mm)。
+     * @returns {{distType: number, threshold: number, alpha: number, k: number}}
+     *   指數分佈的尺度參數 β 以 alpha 表示，k = 0。
+     */
+    fit(distType, peaks, threshold) {
+        const y = peaks.map(p => p - threshold).sort((a, b) => a - b);
+        const n = y.length;
+        const b0 = y.reduce((acc, v) => acc + v, 0) / n;
+        switch (distType) {
+            case this.DistributionType.Exponential:
+                return { distType, threshold, alpha: b0, k: 0 };
+            case this.DistributionType.GeneralizedPareto: {
+                const b1 = y.reduce((acc, v, i) => acc + v * i / (n - 1), 0) / n;
+                const l2 = 2 * b1 - b0;
+                const k = b0 / l2 - 2;
+                return { distType, threshold, alpha: (1 + k) * b0, k };
+            }
+            default:
+                throw new Error(`不支援的分佈型態: ${distType}`);
+        }
+    }
+
+    /**
+     * 推估年最大值序列重現期 T 的雨量。
+     * @param {Object} fit - fit() 的回傳值。
+     * @param {number} rate - 每年平均事件數 λ。
+     * @param {number} T - 年最大值序列重現期 (年)。
+     * @returns {{T: number, TE: number, Qest: number}} 重現期、Langbein 換算的部分延時序列重現期及推估雨量；
+     *   λ·T_E < 1 (推估值低於門檻值) 時 Qest 為 NaN。
+     */
+    quantile(fit, rate, T) {
+        const TE = this.langbein(T);
+        const m = rate * TE;
+        if (!(m >= 1)) {
+            return { T, TE, Qest: NaN };
+        }
+        const { threshold, alpha, k } = fit;
+        const y = Math.abs(k) < 1e-9 ? alpha * Math.log(m) : alpha / k * (1 - Math.pow(m, -k));
+        return { T, TE, Qest: threshold + y };
+    }
+
+    /**
+     * Langbein 公式：由年最大值序列重現期 T 求部分延時序列重現期 T_E = -1 / ln(1 - 1/T)。
+     * @param {number} T - 年最大值序列重現期 (年)，須大於 1。
+     * @returns {number} 部分延時序列重現期 (年)。
+     */
+    langbein(T) {
+        return -1 / Math.log(1 - 1 / T);
+    }
+
+    /**
+     * Langbein 公式的反函數：由部分延時序列重現期 T_E 求年最大值序列重現期 T = 1 / (1 - exp(-1/T_E))。
+     * @param {number} TE - 部分延時序列重現期 (年)。
+     * @returns {number} 年最大值序列重現期 (年)。
+     */
+    annualReturnPeriod(TE) {
+        return 1 / (1 - Math.exp(-1 / TE));
+    }
+
+    /**
+     * 執行部分延時序列分析。
+     * @param {Object} series - parseRainSeries() 的回傳值。
+     * @param {number} duration - 延時 (分鐘)。
+     * @param {Object} options - extractPeaks() 的選項。
+     * @param {number[]} returnPeriods - 年最大值序列重現期陣列 (年)。
+     * @returns {{peaks: Array<Object>, threshold: number, years: number, rate: number, fits: Object.<number, Object>,
+     *   table: Array<{T: number, TE: number, estimates: Object.<number, number>}>,
+     *   empirical: Array<{depth: number, TE: number, T: number}>}}
+     *   fits 及 estimates 以 this.DistributionType 為鍵值；empirical 為峰值的經驗重現期
+     *   (T_E = (年數 + 1) / 排序，再以 Langbein 公式換算 T)。
+     */
+    analyze(series, duration, options, returnPeriods) {
+        const { peaks, threshold, years, rate } = this.extractPeaks(series, duration, options);
+        const depths = peaks.map(p => p.depth);
+
+        const fits = {};
+        Object.values(this.DistributionType).forEach(distType => {
+            fits[distType] = this.fit(distType, depths, threshold);
+        });
+
+        const table = returnPeriods.map(T => {
+            const estimates = {};
+            let TE;
+            Object.values(this.DistributionType).forEach(distType => {
+                const result = this.quantile(fits[distType], rate, T);
+                TE = result.TE;
+                estimates[distType] = result.Qest;
+            });
+            return { T, TE, estimates };
+        });
+
+        const empirical = depths.map((depth, i) => {
+            const TE = (years + 1) / (i + 1);
+            return { depth, TE, T: this.annualReturnPeriod(TE) };
+        });
+
+        return { peaks, threshold, years, rate, fits, table, empirical };
+    }
+}
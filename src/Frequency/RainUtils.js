@@ -9,6 +9,32 @@
  * RainUtils 類別提供了頻率分析所需的統計輔助函式。
  */
 export class RainUtils {
+    constructor() {
+        /**
+         * 皮爾遜第三型分佈頻率因子的計算方法
+         * - Exact: 以不完全 Gamma 函數的反函數求精確值
+         * - WilsonHilferty: Wilson-Hilferty 轉換 (Kite 級數) 近似，|Cs| > 2 時誤差明顯
+         * @readonly
+         */
+        this.KtMethod = Object.freeze({
+            Exact: 1,
+            WilsonHilferty: 2
+        });
+
+        /**
+         * 點繪位置公式 P = (i - b) / (n + 1 - 2b) 的列舉
+         * @readonly
+         */
+        this.PlottingPosition = Object.freeze({
+            Hazen: 1,      // b = 0.5
+            Chegodayev: 2, // b = 0.3
+            Weibull: 3,    // b = 0
+            Blom: 4,       // b = 3/8
+            Tukey: 5,      // b = 1/3
+            Gringorten: 6  // b = 0.44
+        });
+    }
+
     /**
      * 對數字陣列進行升序排序。
      * @param {number[]} arr - 輸入陣列。
@@ -65,6 +91,40 @@ export class RainUtils {
         };
     }
 
+    /**
+     * 測站偏態係數的均方誤差 (Bulletin 17B 式 6)：MSE = 10^[A - B·log10(N/10)]，
+     * |G| <= 0.90 時 A = -0.33 + 0.08|G|，否則 A = -0.52 + 0.30|G|；|G| <= 1.50 時 B = 0.94 - 0.26|G|，否則 B = 0.55。
+     * @param {number} cs - 測站偏態係數 (對數值)。
+     * @param {number} n - 樣本數 (年)。
+     * @returns {number} 偏態係數的均方誤差。
+     */
+    skewMSE(cs, n) {
+        const g = Math.abs(cs);
+        const A = g <= 0.90 ? -0.33 + 0.08 * g : -0.52 + 0.30 * g;
+        const B = g <= 1.50 ? 0.94 - 0.26 * g : 0.55;
+        return Math.pow(10, A - B * Math.log10(n / 10));
+    }
+
+    /**
+     * 以均方誤差的倒數加權測站偏態與區域偏態 (Bulletin 17B/17C)：
+     * G_w = (MSE_R·G_S + MSE_S·G_R) / (MSE_S + MSE_R)。
+     * @param {number} stationSkew - 測站偏態係數 G_S。
+     * @param {number} n - 樣本數 (年)，用於計算 MSE_S。
+     * @param {number} regionalSkew - 區域偏態係數 G_R。
+     * @param {number} regionalMSE - 區域偏態的均方誤差 MSE_R。
+     * @returns {{station: number, stationMSE: number, regional: number, regionalMSE: number, weighted: number}} 加權結果。
+     */
+    weightedSkew(stationSkew, n, regionalSkew, regionalMSE) {
+        const stationMSE = this.skewMSE(stationSkew, n);
+        return {
+            station: stationSkew,
+            stationMSE,
+            regional: regionalSkew,
+            regionalMSE,
+            weighted: (regionalMSE * stationSkew + stationMSE * regionalSkew) / (stationMSE + regionalMSE)
+        };
+    }
+
     /**
      * 標準常態分佈的累積機率反函數（Inverse CDF）近似值。
      * 使用 Abramowitz and Stegun 公式 26.2.23。
@@ -93,6 +153,77 @@ export class RainUtils {
         return t - numerator / denominator;
     }
 
+    /**
+     * 計算點繪位置機率 P = (rank - b) / (n + 1 - 2b)。
+     * @param {number} method - 點繪位置公式 (this.PlottingPosition 中的值)。
+     * @param {number} rank - 排序序號 (1 ~ n)。
+     * @param {number} n - 資料筆數。
+     * @returns {number} 點繪位置機率；依大到小排序時為超過機率，依小到大排序時為非超過機率。
+     */
+    plottingPosition(method, rank, n) {
+        let b = 0;
+        switch (method) {
+            case this.PlottingPosition.Hazen: b = 0.5; break;
+            case this.PlottingPosition.Chegodayev: b = 0.3; break;
+            case this.PlottingPosition.Weibull: b = 0.0; break;
+            case this.PlottingPosition.Blom: b = 3.0 / 8.0; break;
+            case this.PlottingPosition.Tukey: b = 1.0 / 3.0; break;
+            case this.PlottingPosition.Gringorten: b = 0.44; break;
+        }
+        return (rank - b) / (n + 1.0 - 2.0 * b);
+    }
+
+    /**
+     * 計算秩次 (由小至大，由 1 起算，同值取平均秩次)，供無母數檢定使用。
+     * @param {number[]} values - 資料。
+     * @returns {number[]} 與 values 對應的秩次。
+     */
+    averageRanks(values) {
+        const order = values.map((v, i) => i).sort((a, b) => values[a] - values[b]);
+        const ranks = new Array(values.length);
+        for (let i = 0; i < order.length;) {
+            let j = i;
+            while (j + 1 < order.length && values[order[j + 1]] === values[order[i]]) j++;
+            const rank = (i + j) / 2 + 1;
+            for (let k = i; k <= j; k++) ranks[order[k]] = rank;
+            i = j + 1;
+        }
+        return ranks;
+    }
+
+    /**
+     * 標準常態分佈的累積機率 Φ(z)。
+     * 以互補誤差函數的 Chebyshev 近似計算 (Numerical Recipes erfcc，相對誤差 < 1.2e-7)。
+     * @param {number} z - 標準常態變數。
+     * @returns {number} 累積機率 Φ(z)。
+     */
+    normalCdf(z) {
+        if (isNaN(z)) return NaN;
+        const x = Math.abs(z) / Math.SQRT2;
+        const t = 1 / (1 + 0.5 * x);
+        const erfc = t * Math.exp(-x * x - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+            t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+            t * (-0.82215223 + t * 0.17087277)))))))));
+        return z >= 0 ? 1 - 0.5 * erfc : 0.5 * erfc;
+    }
+
+    /**
+     * 以遞增的鍵值分段線性內插查表，超出範圍時取最近的端點值。
+     * @param {number[]} keys - 遞增排列的鍵值。
+     * @param {number[]} values - 與 keys 對應的值。
+     * @param {number} key - 查詢的鍵值；非有限值時取第一個值。
+     * @returns {number} 內插值。
+     */
+    interpolate(keys, values, key) {
+        if (!Number.isFinite(key) || key <= keys[0]) return values[0];
+        const last = keys.length - 1;
+        if (key >= keys[last]) return values[last];
+        let i = 1;
+        while (keys[i] < key) i++;
+        const w = (key - keys[i - 1]) / (keys[i] - keys[i - 1]);
+        return values[i - 1] + w * (values[i] - values[i - 1]);
+    }
+
     /**
      * 計算 Gumbel (極端值第一型) 分佈的簡化變數 (reduced variate)。
      * @param {number} px - 超過機率 (Exceedance Probability, 1/T)。
@@ -103,6 +234,295 @@ export class RainUtils {
         const Fx = 1 - px;
         return -Math.log(-Math.log(Fx));
     }
+
+    /**
+     * 以 Wilson-Hilferty 轉換 (Kite 級數) 近似皮爾遜第三型分佈的頻率因子。
+     * @param {number} z - 標準常態變數。
+     * @param {number} cs - 偏態係數。
+     * @returns {number} 頻率因子 Kt。
+     */
+    pearson3Kt(z, cs) {
+        if (isNaN(z)) return NaN;
+        const k = cs / 6.0;
+        const z2 = z * z;
+        const k2 = k * k;
+        return z + (z2 - 1.0) * k + (z * (z2 - 6.0)) * k2 / 3.0 - (z2 - 1.0) * k2 * k + z * k2 * k2 + k2 * k2 * k / 3.0;
+    }
+
+    /**
+     * 計算皮爾遜第三型分佈的頻率因子 Kt = (x_F - 平均值) / 標準差。
+     * 精確解：X = 位置 + 尺度 · G，G ~ Gamma(α = 4 / Cs²)，故 Kt = (Cs / 2) · (G_F - α)，
+     * 負偏態時以 1 - F 求 G 的分位數。|Cs| < 1e-3 時視為常態分佈。
+     * @param {number} F - 累積機率 (非超過機率，0 < F < 1)。
+     * @param {number} cs - 偏態係數。
+     * @param {number} [method=this.KtMethod.Exact] - 計算方法 (this.KtMethod 中的值)。
+     * @returns {number} 頻率因子 Kt，F 超出範圍時回傳 NaN。
+     */
+    pearson3FrequencyFactor(F, cs, method = this.KtMethod.Exact) {
+        if (!(F > 0 && F < 1)) return NaN;
+        if (method === this.KtMethod.WilsonHilferty) {
+            return this.pearson3Kt(this.Look(F), cs);
+        }
+        if (Math.abs(cs) < 1e-3) {
+            return this.Look(F);
+        }
+        const alpha = 4 / (cs * cs);
+        const g = this.gammaPInv(cs > 0 ? F : 1 - F, alpha);
+        return cs / 2 * (g - alpha);
+    }
+
+    /**
+     * 正規化下不完全 Gamma 函數 P(a, x) = γ(a, x) / Γ(a)，即 Gamma(a) 分佈的累積機率。
+     * x < a + 1 時使用級數展開，否則使用連分數 (Numerical Recipes gser / gcf)。
+     * @param {number} a - 形狀參數 (a > 0)。
+     * @param {number} x - 輸入值 (x >= 0)。
+     * @returns {number} P(a, x)。
+     */
+    gammaP(a, x) {
+        if (!(a > 0) || x < 0) return NaN;
+        if (x === 0) return 0;
+        const logPrefix = a * Math.log(x) - x - this.logGamma(a);
+        if (x < a + 1) {
+            let term = 1 / a;
+            let sum = term;
+            for (let n = 1; n < 100000; n++) {
+                term *= x / (a + n);
+                sum += term;
+                if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+            }
+            return Math.min(1, sum * Math.exp(logPrefix));
+        }
+        // 以修正 Lentz 法計算 Q(a, x) 的連分數
+        const tiny = 1e-300;
+        let b = x + 1 - a;
+        let c = 1 / tiny;
+        let d = 1 / b;
+        let h = d;
+        for (let i = 1; i < 100000; i++) {
+            const an = -i * (i - a);
+            b += 2;
+            d = an * d + b;
+            if (Math.abs(d) < tiny) d = tiny;
+            c = b + an / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            const delta = d * c;
+            h *= delta;
+            if (Math.abs(delta - 1) < 1e-15) break;
+        }
+        return Math.max(0, 1 - Math.exp(logPrefix) * h);
+    }
+
+    /**
+     * 正規化下不完全 Gamma 函數的反函數，即 Gamma(a) 分佈的分位數。
+     * 以 Wilson-Hilferty 近似值為初始值，再以 Halley 法迭代 (Numerical Recipes invgammp)。
+     * @param {number} p - 累積機率 (0 < p < 1)。
+     * @param {number} a - 形狀參數 (a > 0)。
+     * @returns {number} 滿足 P(a, x) = p 的 x。
+     */
+    gammaPInv(p, a) {
+        if (!(p > 0 && p < 1) || !(a > 0)) return NaN;
+        const gln = this.logGamma(a);
+        const a1 = a - 1;
+        const lna1 = a1 > 0 ? Math.log(a1) : 0;
+        const afac = a1 > 0 ? Math.exp(a1 * (lna1 - 1) - gln) : 0;
+
+        // 初始值
+        let x;
+        if (a > 1) {
+            const z = this.Look(p);
+            x = Math.max(1e-3, a * Math.pow(1 - 1 / (9 * a) + z / (3 * Math.sqrt(a)), 3));
+        } else {
+            const t = 1 - a * (0.253 + a * 0.12);
+            x = p < t ? Math.pow(p / t, 1 / a) : 1 - Math.log(1 - (p - t) / (1 - t));
+        }
+
+        for (let j = 0; j < 100; j++) {
+            if (x <= 0) return 0;
+            const err = this.gammaP(a, x) - p;
+            const density = a1 > 0
+                ? afac * Math.exp(-(x - a1) + a1 * (Math.log(x) - lna1))
+                : Math.exp(-x + a1 * Math.log(x) - gln);
+            if (density === 0) break;
+            const u = err / density;
+            const step = u / (1 - 0.5 * Math.min(1, u * (a1 / x - 1)));
+            x -= step;
+            if (x <= 0) x = 0.5 * (x + step);
+            if (Math.abs(step) < 1e-12 * x) break;
+        }
+        return x;
+    }
+
+    /**
+     * 建立可設定種子的均勻亂數產生器 (Mulberry32)，使 Bootstrap 等模擬結果可重現。
+     * @param {number} seed - 亂數種子 (整數)。
+     * @returns {function(): number} 每次呼叫回傳 (0, 1) 之間的亂數。
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            let u;
+            do {
+                state = (state + 0x6D2B79F5) >>> 0;
+                let t = state;
+                t = Math.imul(t ^ (t >>> 15), t | 1);
+                t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+                u = ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+            } while (u === 0);
+            return u;
+        };
+    }
+
+    /**
+     * 計算 Gamma 函數的自然對數 ln Γ(x)。
+     * 使用 Lanczos 近似 (g = 7, n = 9)，x < 0.5 時以反射公式處理。
+     * @param {number} x - 輸入值 (不可為 0 或負整數)。
+     * @returns {number} ln|Γ(x)|。
+     */
+    logGamma(x) {
+        if (x < 0.5) {
+            return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - this.logGamma(1 - x);
+        }
+        const g = 7;
+        const c = [
+            0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+            771.32342877765313, -176.61502916214059, 12.507343278686905,
+            -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+        ];
+        const z = x - 1;
+        let a = c[0];
+        for (let i = 1; i < g + 2; i++) {
+            a += c[i] / (z + i);
+        }
+        const t = z + g + 0.5;
+        return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(a);
+    }
+
+    /**
+     * 計算 Gamma 函數 Γ(x)。
+     * @param {number} x - 輸入值 (不可為 0 或負整數)。
+     * @returns {number} Γ(x)。
+     */
+    gamma(x) {
+        if (x < 0.5) {
+            return Math.PI / (Math.sin(Math.PI * x) * this.gamma(1 - x));
+        }
+        return Math.exp(this.logGamma(x));
+    }
+
+    /**
+     * 計算廣義極端值 (GEV) 分佈在形狀參數 k 下的偏態係數。
+     * 採用 Hosking 參數化：x = ξ + α/k · [1 - (-ln F)^k]，k → 0 時退化為 Gumbel 分佈。
+     * @param {number} k - 形狀參數 (k > -1/3，偏態係數才存在)。
+     * @returns {number} 偏態係數。
+     */
+    gevSkewness(k) {
+        // k 接近 0 時 Γ 函數相減會嚴重抵銷，直接採用 Gumbel 分佈的偏態係數
+        if (Math.abs(k) < 1e-5) return 1.1395547;
+        const g1 = this.gamma(1 + k);
+        const g2 = this.gamma(1 + 2 * k);
+        const g3 = this.gamma(1 + 3 * k);
+        return Math.sign(k) * (-g3 + 3 * g1 * g2 - 2 * Math.pow(g1, 3)) / Math.pow(g2 - g1 * g1, 1.5);
+    }
+
+    /**
+     * 以動差法推估 GEV 分佈的位置、尺度及形狀參數。
+     * 偏態係數為形狀參數的單調遞減函數，故以二分法求解形狀參數 k。
+     * @param {number} mean - 平均值。
+     * @param {number} std - 標準差。
+     * @param {number} cs - 偏態係數 (限制在 -2 ~ 偏態上限之間)。
+     * @returns {{location: number, scale: number, shape: number}} GEV 參數 (ξ, α, k)。
+     */
+    gevParameters(mean, std, cs) {
+        // k = 1 時偏態係數為 -2，k → -1/3 時偏態係數趨近無限大
+        let lo = -1 / 3 + 1e-4;
+        let hi = 1.0;
+        if (cs >= this.gevSkewness(lo)) {
+            hi = lo;
+        } else if (cs <= this.gevSkewness(hi)) {
+            lo = hi;
+        } else {
+            for (let iter = 0; iter < 100 && hi - lo > 1e-10; iter++) {
+                const mid = (lo + hi) / 2;
+                if (this.gevSkewness(mid) > cs) {
+                    lo = mid;
+                } else {
+                    hi = mid;
+                }
+            }
+        }
+        const shape = (lo + hi) / 2;
+
+        if (Math.abs(shape) < 1e-5) {
+            // Gumbel 分佈
+            const scale = 0.7797 * std;
+            return { location: mean - 0.5772 * scale, scale, shape: 0 };
+        }
+        const g1 = this.gamma(1 + shape);
+        const g2 = this.gamma(1 + 2 * shape);
+        const scale = std * Math.abs(shape) / Math.sqrt(g2 - g1 * g1);
+        const location = mean - scale * (1 - g1) / shape;
+        return { location, scale, shape };
+    }
+
+    /**
+     * 計算 GEV 分佈在累積機率 F 下的分位數。
+     * @param {{location: number, scale: number, shape: number}} params - GEV 參數。
+     * @param {number} F - 累積機率 (0 < F < 1)。
+     * @returns {number} 分位數 x(F)。
+     */
+    gevQuantile(params, F) {
+        if (F <= 0 || F >= 1) return NaN;
+        const { location, scale, shape } = params;
+        const y = -Math.log(F);
+        if (Math.abs(shape) < 1e-5) {
+            return location - scale * Math.log(y);
+        }
+        return location + scale / shape * (1 - Math.pow(y, shape));
+    }
+
+    /**
+     * 計算 GEV 分佈在 x 的累積機率 (gevQuantile 的反函數)。
+     * @param {{location: number, scale: number, shape: number}} params - GEV 參數。
+     * @param {number} x - 輸入值。
+     * @returns {number} 累積機率 F(x)，超出分佈上下限時為 1 或 0。
+     */
+    gevCdf(params, x) {
+        const { location, scale, shape } = params;
+        if (Math.abs(shape) < 1e-5) {
+            return Math.exp(-Math.exp(-(x - location) / scale));
+        }
+        const y = 1 - shape * (x - location) / scale;
+        if (y <= 0) return shape > 0 ? 1 : 0;
+        return Math.exp(-Math.pow(y, 1 / shape));
+    }
+
+    /**
+     * 以最大值、最小值及中位數估計三參數對數常態分佈的下限 tau。
+     * tau = (Xmax · Xmin - Xmedian²) / (Xmax + Xmin - 2 · Xmedian)
+     * 分母 <= 0 表示樣本可能為負偏態，不適合三參數對數常態分佈，此時 tau 設為 0 (退化為二參數)。
+     * @param {number[]} X - 輸入資料陣列。
+     * @returns {{tau: number, negativeSkew: boolean}} 下限 tau 及樣本是否為負偏態。
+     */
+    findTau(X) {
+        const NoOfData = X.length;
+        if (NoOfData < 3) return { tau: 0, negativeSkew: false };
+
+        const { Xmin, Xmax } = this.statistics(X);
+        const y = this.sort(X);
+        const k = Math.floor(NoOfData / 2);
+
+        // 計算中位數
+        const Xmedian = (NoOfData % 2 !== 0)
+            ? y[k] // 奇數個數
+            : (y[k - 1] + y[k]) / 2; // 偶數個數
+
+        const div = (Xmax + Xmin - 2 * Xmedian);
+        if (div <= 0) {
+            return { tau: 0, negativeSkew: true };
+        }
+        return { tau: (Xmax * Xmin - Math.pow(Xmedian, 2)) / div, negativeSkew: false };
+    }
 }
 
 
@@ -0,0 +1,180 @@
+// TrendAnalysis.js
+// 2026-10-19
+// 趨勢檢定：Mann-Kendall 檢定 (含 Hamed-Rao 自相關修正) 及 Sen 斜率推估
+
+import { RainUtils } from "./RainUtils.js";
+
+/**
+ * TrendAnalysis 類別以無母數方法檢定年最大降雨量序列的單調趨勢。
+ * - Mann-Kendall 檢定：S = Σ sign(x_j - x_i)，考慮同值修正的變異數 Var(S)，以常態近似 (連續性修正) 計算雙尾 p 值。
+ * - Hamed-Rao (1998) 修正：以 Sen 斜率去除趨勢後，計算序列秩次的顯著自相關係數 ρ_k，
+ *   變異數乘以 n/n* = 1 + 2 / [n(n-1)(n-2)] · Σ (n-k)(n-k-1)(n-k-2)·ρ_k，避免序列相關造成趨勢的誤判。
+ * - Sen 斜率：所有資料對斜率 (x_j - x_i) / (t_j - t_i) 的中位數，信賴區間依 Gilbert (1987) 由 Var(S) 求得。
+ */
+export class TrendAnalysis {
+
+    /**
+     * @param {Object} [options] - 選項。
+     * @param {number} [options.alpha=0.05] - 顯著水準 (雙尾)。
+     * @param {boolean} [options.hamedRao=true] - 是否套用 Hamed-Rao 自相關修正。
+     */
+    constructor(options = {}) {
+        this.alpha = options.alpha ?? 0.05;
+        this.hamedRao = options.hamedRao ?? true;
+
+        /**
+         * 趨勢判定的列舉
+         * @readonly
+         */
+        this.Trend = Object.freeze({
+            Increasing: 1,
+            Decreasing: 2,
+            None: 3
+        });
+
+        /**
+         * 趨勢判定選單
+         * @type {string[]}
+         */
+        this.menuTrend = ["顯著上升", "顯著下降", "無顯著趨勢"];
+
+        /**
+         * 可進行檢定的最小樣本數
+         * @readonly
+         */
+        this.MinSampleSize = 4;
+
+        /**
+         * @private
+         */
+        this.utils = new RainUtils();
+    }
+
+    /**
+     * 計算 Mann-Kendall 統計量 S 及考慮同值修正的變異數 Var(S)。
+     * @param {number[]} x - 依時間排列的資料。
+     * @returns {{S: number, varS: number}} 統計量及變異數。
+     */
+    mannKendallS(x) {
+        const n = x.length;
+        let S = 0;
+        for (let i = 0; i < n - 1; i++) {
+            for (let j = i + 1; j < n; j++) {
+                S += Math.sign(x[j] - x[i]);
+            }
+        }
+        const ties = new Map();
+        x.forEach(v => ties.set(v, (ties.get(v) || 0) + 1));
+        let tieTerm = 0;
+        ties.forEach(t => tieTerm += t * (t - 1) * (2 * t + 5));
+        return { S, varS: (n * (n - 1) * (2 * n + 5) - tieTerm) / 18 };
+    }
+
+    /**
+     * Sen 斜率：所有資料對斜率的中位數，截距為 median(x) - 斜率 × median(t)。
+     * @param {number[]} t - 時間 (年)。
+     * @param {number[]} x - 資料。
+     * @returns {{slope: number, intercept: number, slopes: number[]}} 斜率、截距及遞增排序的資料對斜率。
+     */
+    senSlope(t, x) {
+        const slopes = [];
+        for (let i = 0; i < x.length - 1; i++) {
+            for (let j = i + 1; j < x.length; j++) {
+                if (t[j] !== t[i]) slopes.push((x[j] - x[i]) / (t[j] - t[i]));
+            }
+        }
+        slopes.sort((a, b) => a - b);
+        const slope = this._median(slopes);
+        return { slope, intercept: this._median(x) - slope * this._median(t), slopes };
+    }
+
+    /**
+     * Hamed-Rao 變異數修正因子 n/n*。以 Sen 斜率去除趨勢後取秩次，
+     * 僅計入在顯著水準 alpha 下顯著的自相關係數 (|ρ_k| > z_(1-alpha/2) / √n)；修正因子不為正值時取 1。
+     * @param {number[]} t - 時間 (年)。
+     * @param {number[]} x - 資料。
+     * @param {number} slope - Sen 斜率。
+     * @returns {{factor: number, lags: number[]}} 修正因子及計入的落後期數。
+     */
+    hamedRaoCorrection(t, x, slope) {
+        const n = x.length;
+        const residual = x.map((v, i) => v - slope * t[i]);
+        const ranks = this.utils.averageRanks(residual);
+        const mean = ranks.reduce((acc, r) => acc + r, 0) / n;
+        const denom = ranks.reduce((acc, r) => acc + (r - mean) * (r - mean), 0);
+        const bound = this.utils.Look(1 - this.alpha / 2) / Math.sqrt(n);
+        let sum = 0;
+        const lags = [];
+        for (let k = 1; k < n - 2; k++) {
+            let num = 0;
+            for (let i = 0; i < n - k; i++) {
+                num += (ranks[i] - mean) * (ranks[i + k] - mean);
+            }
+            const rho = denom > 0 ? num / denom : 0;
+            if (Math.abs(rho) > bound) {
+                sum += (n - k) * (n - k - 1) * (n - k - 2) * rho;
+                lags.push(k);
+            }
+        }
+        const factor = 1 + 2 * sum / (n * (n - 1) * (n - 2));
+        return { factor: factor > 0 ? factor : 1, lags };
+    }
+
+    /**
+     * 執行趨勢檢定。
+     * @param {Array<{year: number, value: number}>} records - 依年份排列的資料 (getDurationRecords() 的回傳值)。
+     * @returns {{n: number, S: number, varS: number, correction: number, lags: number[], Z: number, pValue: number, tau: number,
+     *   slope: number, intercept: number, lower: number, upper: number, trend: number}}
+     *   Mann-Kendall 統計量、原始及修正後的變異數 (varS 已乘以修正因子 correction)、顯著的自相關落後期數、
+     *   標準化統計量 Z、雙尾 p 值、Kendall τ、Sen 斜率 (單位/年) 與截距、斜率的 (1 - alpha) 信賴區間及趨勢判定 (this.Trend)。
+     * @throws {Error} 樣本數小於 MinSampleSize 時拋出。
+     */
+    analyze(records) {
+        const sorted = [...records].sort((a, b) => a.year - b.year);
+        const n = sorted.length;
+        if (n < this.MinSampleSize) {
+            throw new Error(`趨勢檢定至少需要 ${this.MinSampleSize} 年資料。`);
+        }
+        const t = sorted.map(r => r.year);
+        const x = sorted.map(r => r.value);
+
+        const { S, varS: rawVar } = this.mannKendallS(x);
+        const { slope, intercept, slopes } = this.senSlope(t, x);
+        const { factor, lags } = this.hamedRao
+            ? this.hamedRaoCorrection(t, x, slope)
+            : { factor: 1, lags: [] };
+        const varS = rawVar * factor;
+
+        const Z = varS > 0 && S !== 0 ? (S - Math.sign(S)) / Math.sqrt(varS) : 0;
+        const pValue = 2 * (1 - this.utils.normalCdf(Math.abs(Z)));
+
+        // Sen 斜率信賴區間 (Gilbert, 1987)：排序後第 M1 及第 M2 + 1 個資料對斜率
+        const N = slopes.length;
+        const C = this.utils.Look(1 - this.alpha / 2) * Math.sqrt(varS);
+        const M1 = Math.round((N - C) / 2);
+        const M2 = Math.round((N + C) / 2);
+        const lower = M1 >= 1 ? slopes[M1 - 1] : NaN;
+        const upper = M2 + 1 <= N ? slopes[M2] : NaN;
+
+        let trend = this.Trend.None;
+        if (pValue < this.alpha) {
+            trend = S > 0 ? this.Trend.Increasing : this.Trend.Decreasing;
+        }
+        return {
+            n, S, varS, correction: factor, lags, Z, pValue,
+            tau: S / (n * (n - 1) / 2),
+            slope, intercept, lower, upper, trend
+        };
+    }
+
+    /**
+     * 中位數。
+     * @private
+     */
+    _median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const m = sorted.length;
+        if (m === 0) return NaN;
+        return m % 2 === 1 ? sorted[(m - 1) / 2] : (sorted[m / 2 - 1] + sorted[m / 2]) / 2;
+    }
+}
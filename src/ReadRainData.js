@@ -2,77 +2,428 @@
 // 2025-08-28
 // 讀取歷年各延時降雨資料csv
 
+/** @const {string[]} - 視為缺漏值的欄位內容 (不分大小寫)；空白欄位亦視為缺漏。 */
+export const MISSING_VALUE_MARKERS = ['NA', 'N/A', 'NaN', '-', '-999', '-9999'];
+
 /**
- * 異步函數，用於獲取並解析 CSV 字串。
- * @param {string} csvText - CSV 文字。
- * @returns {Array<Object>|null} - 解析後會得到一個物件陣列，或在出錯時為 null。
+ * 判斷欄位內容是否為缺漏值：空白、MISSING_VALUE_MARKERS 中的標記，或數值等於 -999、-9999。
+ * @param {string} value - 欄位內容。
+ * @returns {boolean} 是否為缺漏值。
+ */
+export function isMissingValue(value) {
+    const text = value === undefined || value === null ? '' : String(value).trim();
+    if (text === '') return true;
+    if (MISSING_VALUE_MARKERS.some(marker => marker.toUpperCase() === text.toUpperCase())) return true;
+    const number = Number(text);
+    return number === -999 || number === -9999;
+}
+
+/** @const {string[]} - 自動偵測的欄位分隔符號，依優先順序排列。 */
+export const CSV_DELIMITERS = [',', '\t', ';', '|'];
+
+/**
+ * 標題欄位的別名，對應至內部使用的欄位名稱 (不分大小寫)。
+ * @const {Object.<string, string>}
+ */
+const HEADER_ALIASES = {
+    'year': 'year',
+    '年': 'year',
+    '年份': 'year',
+    '年度': 'year',
+    'stano': 'staNo',
+    'stno': 'staNo',
+    'station': 'staNo',
+    '站號': 'staNo',
+    '測站': 'staNo',
+    '測站編號': 'staNo'
+};
+
+/**
+ * CSV 解析錯誤。errors 陣列列出所有錯誤的行號及欄號 (皆由 1 起算，欄號為 null 表示整行的錯誤)，
+ * message 為第一個錯誤的說明。
+ */
+export class CSVParseError extends Error {
+    /**
+     * @param {Array<{line: number, column: number|null, message: string}>} errors - 錯誤列表。
+     */
+    constructor(errors) {
+        super(errors.length > 0 ? formatCSVError(errors[0]) : "CSV 解析失敗。");
+        this.name = "CSVParseError";
+        this.errors = errors;
+        this.line = errors.length > 0 ? errors[0].line : null;
+        this.column = errors.length > 0 ? errors[0].column : null;
+    }
+}
+
+/**
+ * 將單一解析錯誤格式化為「第 x 行第 y 欄：說明」。
+ * @param {{line: number, column: number|null, message: string}} error - 解析錯誤。
+ * @returns {string} 錯誤說明文字。
+ */
+export function formatCSVError(error) {
+    const position = error.column === null || error.column === undefined
+        ? `第 ${error.line} 行`
+        : `第 ${error.line} 行第 ${error.column} 欄`;
+    return `${position}：${error.message}`;
+}
+
+/**
+ * 將檔案內容解碼為字串。有 BOM 者依 BOM 判定 UTF-8 / UTF-16LE / UTF-16BE；
+ * 無 BOM 時以零位元組的分布判斷 UTF-16，否則先以 UTF-8 嚴格解碼，失敗時改以 Big5 (政府機關系統常用的繁體中文編碼) 解碼。
+ * @param {ArrayBuffer|Uint8Array} buffer - 檔案內容。
+ * @returns {{text: string, encoding: string}} 解碼後的字串 (已移除 BOM) 及判定的編碼。
  */
-export function parseCSV(csvText) {
+export function decodeText(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const decode = (encoding, offset = 0, fatal = false) =>
+        new TextDecoder(encoding, { fatal }).decode(bytes.subarray(offset));
+
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+        return { text: decode('utf-8', 3), encoding: 'UTF-8' };
+    }
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+        return { text: decode('utf-16le', 2), encoding: 'UTF-16LE' };
+    }
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+        return { text: decode('utf-16be', 2), encoding: 'UTF-16BE' };
+    }
+
+    // 無 BOM 的 UTF-16：ASCII 字元的高位元組為 0，集中出現在奇數 (LE) 或偶數 (BE) 位置
+    const sample = Math.min(bytes.length, 4096);
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < sample; i++) {
+        if (bytes[i] === 0) {
+            if (i % 2 === 0) evenZeros++;
+            else oddZeros++;
+        }
+    }
+    if (sample >= 4 && oddZeros > sample / 4 && evenZeros < oddZeros / 10) {
+        return { text: decode('utf-16le'), encoding: 'UTF-16LE' };
+    }
+    if (sample >= 4 && evenZeros > sample / 4 && oddZeros < evenZeros / 10) {
+        return { text: decode('utf-16be'), encoding: 'UTF-16BE' };
+    }
+
     try {
+        return { text: decode('utf-8', 0, true), encoding: 'UTF-8' };
+    } catch (error) {
+        return { text: decode('big5'), encoding: 'Big5' };
+    }
+}
+
+/**
+ * 計算一行文字中 (引號外) 各分隔符號的出現次數。
+ * @private
+ */
+function countDelimiter(line, delimiter) {
+    let count = 0;
+    let quoted = false;
+    for (const ch of line) {
+        if (ch === '"') quoted = !quoted;
+        else if (ch === delimiter && !quoted) count++;
+    }
+    return count;
+}
 
-        // 2. 將文本按行分割，並過濾掉空行
-        const lines = csvText.trim().split('\n');
+/**
+ * 偵測欄位分隔符號。取前 20 行非空白行，選擇在各行出現次數一致且大於 0 的分隔符號；
+ * 皆不一致時選擇標題列中出現次數最多者。
+ * @param {string} text - CSV 文字。
+ * @returns {string} 分隔符號 (CSV_DELIMITERS 之一)，無法判斷時為逗號。
+ */
+export function detectDelimiter(text) {
+    const lines = text.split(/\r\n|\r|\n/).filter(line => line.trim() !== '').slice(0, 20);
+    if (lines.length === 0) return ',';
+    let best = null;
+    let bestCount = 0;
+    CSV_DELIMITERS.forEach(delimiter => {
+        const counts = lines.map(line => countDelimiter(line, delimiter));
+        if (counts[0] > bestCount && counts.every(c => c === counts[0])) {
+            best = delimiter;
+            bestCount = counts[0];
+        }
+    });
+    if (best !== null) return best;
+    CSV_DELIMITERS.forEach(delimiter => {
+        const count = countDelimiter(lines[0], delimiter);
+        if (count > bestCount) {
+            best = delimiter;
+            bestCount = count;
+        }
+    });
+    return best || ',';
+}
+
+/**
+ * 將欄位內容轉為數值。接受千分位逗號 (如 "1,234.5")；分隔符號不是逗號時，亦接受小數逗號 (如 "12,5")。
+ * @private
+ */
+function toNumber(value, delimiter) {
+    if (/^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(value)) {
+        return Number(value.replace(/,/g, ''));
+    }
+    if (delimiter !== ',' && /^-?\d+,\d+$/.test(value)) {
+        return Number(value.replace(',', '.'));
+    }
+    return Number(value);
+}
+
+/**
+ * 依 RFC 4180 將 CSV 文字切分為欄位：以雙引號包覆的欄位可包含分隔符號及換行，欄位內的雙引號以兩個雙引號表示；
+ * 換行可為 CRLF、LF 或 CR。空白行略過。
+ * @param {string} text - CSV 文字 (不含 BOM)。
+ * @param {string} delimiter - 分隔符號。
+ * @returns {{rows: Array<{line: number, cells: string[]}>, errors: Array<{line: number, column: number, message: string}>}}
+ *   各列的起始行號及欄位內容，以及引號錯誤。
+ */
+export function tokenizeCSV(text, delimiter) {
+    const rows = [];
+    const errors = [];
+    let cells = [];
+    let cell = '';
+    let line = 1;
+    let rowLine = 1;
+    let quoted = false;
+    let quoteLine = 0;
+    let quoteColumn = 0;
+    let afterQuote = false;
+
+    const endRow = () => {
+        cells.push(cell);
+        if (cells.length > 1 || cells[0].trim() !== '') {
+            rows.push({ line: rowLine, cells });
+        }
+        cells = [];
+        cell = '';
+        afterQuote = false;
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"') {
+                if (text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else {
+                    quoted = false;
+                    afterQuote = true;
+                }
+            } else {
+                if (ch === '\n' || (ch === '\r' && text[i + 1] !== '\n')) line++;
+                cell += ch;
+            }
+            continue;
+        }
+        if (ch === '"' && cell.trim() === '' && !afterQuote) {
+            quoted = true;
+            quoteLine = line;
+            quoteColumn = cells.length + 1;
+            cell = '';
+        } else if (ch === delimiter) {
+            cells.push(cell);
+            cell = '';
+            afterQuote = false;
+        } else if (ch === '\r' || ch === '\n') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            endRow();
+            line++;
+            rowLine = line;
+        } else if (afterQuote) {
+            if (ch.trim() !== '') {
+                errors.push({ line, column: cells.length + 1, message: `引號欄位結束後出現多餘的字元 "${ch}"。` });
+                afterQuote = false;
+                cell += ch;
+            }
+        } else {
+            cell += ch;
+        }
+    }
+    if (quoted) {
+        errors.push({ line: quoteLine, column: quoteColumn, message: "引號未結束。" });
+    }
+    endRow();
+    return { rows, errors };
+}
 
-        // 3. 獲取標頭 (CSV 的第一行)
-        const headers = lines[0].split(',');
+/**
+ * 解析歷年各延時降雨資料 CSV 字串。
+ * 自動偵測分隔符號 (逗號、Tab、分號或直線)、支援雙引號欄位、CRLF / LF 換行及 UTF-8 BOM；
+ * 標題欄位可使用「年份」、「站號」等中文名稱；數值可含千分位逗號。
+ * 延時欄位的缺漏值 (見 isMissingValue()) 以 null 表示。
+ * @param {string} csvText - CSV 文字。
+ * @param {Object} [options] - 選項。
+ * @param {string} [options.delimiter] - 分隔符號，未指定時自動偵測。
+ * @returns {Array<Object>} - 解析後的物件陣列，每個物件為一年的資料 ({year, staNo, 60, 120, ...})。
+ * @throws {CSVParseError} 標題或資料有誤時拋出，errors 列出所有錯誤的行號及欄號。
+ */
+export function parseCSV(csvText, options = {}) {
+    const text = String(csvText).replace(/^\uFEFF/, '');
+    const delimiter = options.delimiter || detectDelimiter(text);
+    const { rows, errors } = tokenizeCSV(text, delimiter);
+    if (rows.length === 0) {
+        throw new CSVParseError([{ line: 1, column: null, message: "沒有任何資料。" }]);
+    }
 
-        // 4. 處理資料行 (從第二行開始)
-        const data = lines.slice(1).map(line => {
-            const values = line.split(',');
-            const rowObject = {};
+    // 1. 標題列：移除空白並對應別名；延時欄位正規化為數值字串 (如 "60.0" 轉為 "60")，與 getDurations() 的延時一致
+    const headerRow = rows[0];
+    const headers = headerRow.cells.map(cell => {
+        const name = cell.trim();
+        if (HEADER_ALIASES[name.toLowerCase()]) return HEADER_ALIASES[name.toLowerCase()];
+        return name !== '' && Number(name) > 0 ? String(Number(name)) : name;
+    });
+    while (headers.length > 1 && headers[headers.length - 1] === '') headers.pop();
+    const seen = new Set();
+    headers.forEach((header, index) => {
+        if (header === '') {
+            errors.push({ line: headerRow.line, column: index + 1, message: "標題欄位不可空白。" });
+        } else if (seen.has(header)) {
+            errors.push({ line: headerRow.line, column: index + 1, message: `標題欄位 "${header}" 重複。` });
+        } else if (header !== 'year' && header !== 'staNo' && !(Number(header) > 0)) {
+            errors.push({ line: headerRow.line, column: index + 1, message: `無法辨識的標題欄位 "${header}"，延時欄位須為分鐘數。` });
+        }
+        seen.add(header);
+    });
+    if (!seen.has('year')) {
+        errors.push({ line: headerRow.line, column: null, message: "缺少年份 (year) 欄位。" });
+    }
+    if (rows.length === 1) {
+        errors.push({ line: headerRow.line, column: null, message: "只有標題列，沒有資料。" });
+    }
 
-            // 將每一行的值與標頭對應起來，建立一個物件
-            headers.forEach((header, index) => {
-                const value = values[index];
-                // 嘗試將值轉換為數字，如果轉換失敗則保留為原始字串
-                // .trim() 用於移除可能的空格
-                rowObject[header.trim()] = isNaN(Number(value)) ? value : Number(value);
+    // 2. 資料列
+    const data = rows.slice(1).map(({ line, cells }) => {
+        while (cells.length > headers.length && cells[cells.length - 1].trim() === '') cells.pop();
+        if (cells.length !== headers.length) {
+            errors.push({
+                line,
+                column: Math.min(cells.length, headers.length) + 1,
+                message: `欄位數為 ${cells.length}，與標題的 ${headers.length} 欄不符。`
             });
-            return rowObject;
+        }
+        const rowObject = {};
+        headers.forEach((header, index) => {
+            const value = (cells[index] ?? '').trim();
+            if (header === 'staNo') {
+                rowObject[header] = value === '' || isNaN(Number(value)) ? value : Number(value);
+            } else if (header === 'year') {
+                const year = Number(value);
+                if (!Number.isInteger(year) || value === '') {
+                    errors.push({ line, column: index + 1, message: `年份 "${value}" 不是整數。` });
+                }
+                rowObject[header] = year;
+            } else if (isMissingValue(value)) {
+                // 延時欄位：缺漏值以 null 表示，避免空白被 Number('') 轉為 0
+                rowObject[header] = null;
+            } else if (Number.isFinite(toNumber(value, delimiter))) {
+                rowObject[header] = toNumber(value, delimiter);
+            } else {
+                errors.push({ line, column: index + 1, message: `延時 ${header} 的值 "${value}" 不是數值。` });
+                rowObject[header] = null;
+            }
         });
+        return rowObject;
+    });
 
-        return data;
-    } catch (error) {
-        console.error("解析 CSV 檔案時發生錯誤:", error);
-        return null;
+    if (errors.length > 0) {
+        errors.sort((a, b) => a.line - b.line || (a.column || 0) - (b.column || 0));
+        throw new CSVParseError(errors);
     }
+    return data;
+}
+
+/**
+ * 解析歷史資料及設限資料，每行一年，格式為「年份,雨量」：
+ * 雨量可為確定值 (如 "1911,620")、下限 (">X"，僅知大於 X)、上限 ("<X"，僅知小於 X)
+ * 或區間 ("lo-hi" 或 "lo~hi")。分隔符號可為逗號、Tab、分號或空白；空白行及 # 開頭的註解略過，
+ * 第一行的年份不是數值時視為標題列。
+ * @param {string} text - 歷史資料文字。
+ * @returns {Array<{year: number, lower: number, upper: number}>} 依年份排序的區間資料 (mm)，確定值的 lower 等於 upper，
+ *   下限資料的 upper 為 Infinity，上限資料的 lower 為 0。
+ * @throws {CSVParseError} 格式有誤或年份重複時拋出，errors 列出所有錯誤的行號及欄號。
+ */
+export function parseHistoricalData(text) {
+    const errors = [];
+    const observations = [];
+    const years = new Set();
+    const number = value => (/^\d+(\.\d+)?$/.test(value) ? Number(value) : NaN);
+    String(text).replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).forEach((raw, index) => {
+        const line = index + 1;
+        const content = raw.replace(/#.*$/, '').trim();
+        if (content === '') return;
+        // 第一個分隔符號前為年份，其餘為雨量 (雨量中的空白略過，如 "> 500")
+        const cells = content.match(/^([^,\t;\s]+)\s*[,\t;\s]\s*(.*)$/)?.slice(1) || [content];
+        const year = Number(cells[0]);
+        if (observations.length === 0 && errors.length === 0 && !Number.isFinite(year)) return; // 標題列
+        if (!Number.isInteger(year)) {
+            errors.push({ line, column: 1, message: `年份 "${cells[0]}" 不是整數。` });
+            return;
+        }
+        if (cells.length !== 2 || cells[1] === '' || /[,\t;]/.test(cells[1])) {
+            errors.push({ line, column: null, message: "每行須為「年份,雨量」兩個欄位。" });
+            return;
+        }
+        const value = cells[1].replace(/\s+/g, '');
+        let lower, upper;
+        let match;
+        if ((match = value.match(/^>=?(.+)$/))) {
+            lower = number(match[1]);
+            upper = Infinity;
+        } else if ((match = value.match(/^<=?(.+)$/))) {
+            lower = 0;
+            upper = number(match[1]);
+        } else if ((match = value.match(/^([\d.]+)[-~]([\d.]+)$/))) {
+            lower = number(match[1]);
+            upper = number(match[2]);
+        } else {
+            lower = upper = number(value);
+        }
+        if (!Number.isFinite(lower) || Number.isNaN(upper)) {
+            errors.push({ line, column: 2, message: `雨量 "${cells[1]}" 無法辨識，應為數值、>X、<X 或 lo-hi。` });
+        } else if (lower > upper) {
+            errors.push({ line, column: 2, message: `區間下限 ${lower} 大於上限 ${upper}。` });
+        } else if (years.has(year)) {
+            errors.push({ line, column: 1, message: `${year} 年重複。` });
+        } else {
+            years.add(year);
+            observations.push({ year, lower, upper });
+        }
+    });
+    if (errors.length > 0) {
+        throw new CSVParseError(errors);
+    }
+    return observations.sort((a, b) => a.year - b.year);
 }
 
 // --- 使用範例 ---
 /**
  * 讀取歷年各延時降雨資料csv
  * @param {string} csvFilePath - csv檔案名稱, ex. "data/466990.csv"
- * @returns 
+ * @returns {Promise<Array<Object>>} 解析後的資料。
+ * @throws {CSVParseError} CSV 內容有誤時拋出。
  */
 export async function ReadRainData(csvFilePath) {
     // 假設您的 CSV 檔案位於與 HTML 檔案同層級的 'data' 資料夾中
     // 1. 使用 fetch 獲取檔案內容
-    const response = await fetch(filePath);
+    const response = await fetch(csvFilePath);
     if (!response.ok) {
         throw new Error(`無法獲取檔案，狀態碼: ${response.status}`);
     }
-    const csvText = await response.text();
-    // 使用 await 等待 parseCSV 異步函數完成，並直接獲取解析後的資料。
-    // 這種寫法比 .then() 更簡潔，且能正確從 async 函數返回值。
+    // 2. 依 BOM 或內容判定編碼 (UTF-8、UTF-16 或 Big5) 後解碼
+    const { text: csvText } = decodeText(await response.arrayBuffer());
+    // parseCSV 於內容有誤時拋出 CSVParseError (含行號及欄號)，由呼叫端處理；成功時一定回傳資料
     const data = parseCSV(csvText);
 
-    // 檢查資料是否成功解析 (data 不為 null)
-    if (data) {
-        // 在控制台輸出成功訊息和部分資料，方便開發時調試
-        console.log("CSV 檔案解析成功:");
-        console.log("總行數:", data.length);
-        console.log("前三行資料:", data.slice(0, 3));
-
-        // 範例：存取第一行的特定資料
-        const firstRow = data[0];
-        console.log(`年份: ${firstRow.year}, 站號: ${firstRow.staNo}, '60' 欄位的值: ${firstRow['60']}`);
-
-        // 從 async 函數返回解析後的資料
-        return data;
-    } else {
-        // 如果資料為 null，表示解析過程中發生錯誤
-        console.log("解析 CSV 檔案時發生錯誤。");
-        // 返回 null，讓調用此函數的地方可以進行錯誤處理
-        return null;
-    }
+    // 在控制台輸出成功訊息和部分資料，方便開發時調試
+    console.log("CSV 檔案解析成功:");
+    console.log("總行數:", data.length);
+    console.log("前三行資料:", data.slice(0, 3));
+
+    // 範例：存取第一行的特定資料
+    const firstRow = data[0];
+    console.log(`年份: ${firstRow.year}, 站號: ${firstRow.staNo}, '60' 欄位的值: ${firstRow['60']}`);
+
+    // 從 async 函數返回解析後的資料
+    return data;
 }
\ No newline at end of file
@@ -0,0 +1,226 @@
+// ReadRainSeries.js
+// 2026-10-19
+// 讀取逐時或 10 分鐘雨量紀錄，以移動視窗計算各延時的年最大降雨量
+
+/** @const {number[]} - 預設計算的延時 (分鐘)。 */
+export const DEFAULT_SERIES_DURATIONS = [60, 120, 180, 240, 300, 360, 420, 480, 540, 600, 720, 960, 1080, 1440, 2880, 4320];
+
+/**
+ * 解析時間字串為 UTC 毫秒數 (不考慮時區，僅用於計算時間差及年份)。
+ * 支援 "2024-07-24 13:00"、"2024/07/24 13:00:00"、"2024-07-24T13:00" 及 "2024072413"、"202407241310" 等格式；
+ * 小時可為 24 (氣象署逐時資料以 01 ~ 24 時表示)。
+ * @param {string} text - 時間字串。
+ * @returns {number} UTC 毫秒數，無法解析時為 NaN。
+ */
+export function parseTimestamp(text) {
+    const s = String(text).trim();
+    let m = s.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[ T](\d{1,2})(?::(\d{1,2}))?(?::(\d{1,2}))?)?$/);
+    if (!m) {
+        m = s.match(/^(\d{4})(\d{2})(\d{2})(\d{2})?(\d{2})?$/);
+    }
+    if (!m) return NaN;
+    const [, y, mo, d, h = 0, mi = 0, sec = 0] = m;
+    return Date.UTC(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(sec));
+}
+
+/**
+ * 解析時間序列雨量紀錄。每行為「時間,雨量」或「站號,時間,雨量」，可用逗號、Tab 或分號分隔；
+ * 無法解析時間的第一行視為標題列。雨量空白、非數值或負值 (如 -999、-9999) 視為缺漏。
+ * 時間重複的紀錄僅保留第一筆 (避免重複的資料列使該時距雨量加倍)，重複的時間另列於 duplicates。
+ * @param {string} text - 雨量紀錄文字。
+ * @param {string} [staNo='N/A'] - 紀錄中沒有站號欄位時使用的雨量站編號。
+ * @returns {{staNo: string, interval: number, times: number[], depths: Array<number|null>, duplicates: number[]}}
+ *   雨量站編號、紀錄時距 (分鐘，取相鄰時間差的中位數)、依時間排序的時間 (UTC 毫秒數，代表時距結束時間)、
+ *   雨量 (mm，缺漏為 null) 及重複出現的時間 (UTC 毫秒數，每個時間列一次)。
+ */
+export function parseRainSeries(text, staNo = 'N/A') {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim() !== '');
+    let records = [];
+    lines.forEach((line, i) => {
+        const cells = line.split(/[,\t;]/).map(cell => cell.trim());
+        const timeIndex = cells.length >= 3 ? cells.length - 2 : 0;
+        const time = parseTimestamp(cells[timeIndex]);
+        if (Number.isNaN(time)) {
+            if (i === 0) return; // 標題列
+            throw new Error(`第 ${i + 1} 行的時間無法解析: "${cells[timeIndex]}"`);
+        }
+        if (cells.length >= 3 && cells[0] !== '') {
+            staNo = cells[0];
+        }
+        const raw = cells[cells.length - 1];
+        const value = Number(raw);
+        records.push({ time, depth: raw !== '' && Number.isFinite(value) && value >= 0 ? value : null });
+    });
+    if (records.length < 2) {
+        throw new Error("雨量紀錄至少需要 2 筆資料。");
+    }
+
+    // 排序為穩定排序，時間相同者依原順序排列，保留第一筆
+    records.sort((a, b) => a.time - b.time);
+    const duplicates = [];
+    records = records.filter((r, i, sorted) => {
+        if (i === 0 || r.time !== sorted[i - 1].time) return true;
+        if (duplicates[duplicates.length - 1] !== r.time) duplicates.push(r.time);
+        return false;
+    });
+    const diffs = records.slice(1).map((r, i) => r.time - records[i].time).filter(d => d > 0).sort((a, b) => a - b);
+    if (diffs.length === 0) {
+        throw new Error("雨量紀錄的時間不可全部相同。");
+    }
+    const interval = diffs[Math.floor(diffs.length / 2)] / 60000;
+
+    return {
+        staNo,
+        interval,
+        times: records.map(r => r.time),
+        depths: records.map(r => r.depth),
+        duplicates
+    };
+}
+
+/**
+ * 將雨量紀錄排列於連續的等時距時間軸上。未出現在紀錄中的時距及缺漏值以 0 計算。
+ * @param {{interval: number, times: number[], depths: Array<number|null>}} series - parseRainSeries() 的回傳值。
+ * @returns {{start: number, step: number, values: Float64Array, present: Uint8Array}}
+ *   時間軸起點 (UTC 毫秒數)、時距 (毫秒)、各時距雨量及是否有有效紀錄；
+ *   第 k 個時距 (由 0 起算) 代表 (start + k·step, start + (k + 1)·step]。
+ */
+export function toRegularSeries(series) {
+    const { interval, times, depths } = series;
+    const step = interval * 60000;
+    const start = times[0] - step;
+    const n = Math.round((times[times.length - 1] - start) / step);
+    const values = new Float64Array(n);
+    const present = new Uint8Array(n);
+    times.forEach((t, i) => {
+        const k = Math.round((t - start) / step) - 1;
+        if (depths[i] !== null) {
+            values[k] += depths[i];
+            present[k] = 1;
+        }
+    });
+    return { start, step, values, present };
+}
+
+/**
+ * 計算移動視窗累積雨量。
+ * @param {Float64Array} values - toRegularSeries() 回傳的各時距雨量。
+ * @param {number} w - 視窗包含的時距數。
+ * @returns {Float64Array} 第 k 個元素為結束於第 k 個時距的視窗雨量，k < w - 1 者為 NaN。
+ */
+export function movingWindowSums(values, w) {
+    const n = values.length;
+    const sums = new Float64Array(n).fill(NaN);
+    let sum = 0;
+    for (let k = 0; k < n; k++) {
+        sum += values[k];
+        if (k >= w) sum -= values[k - w];
+        if (k >= w - 1) sums[k] = sum;
+    }
+    return sums;
+}
+
+/**
+ * 建立時距所屬年份的判定函數。
+ * @param {number} start - 時間軸起點 (UTC 毫秒數)。
+ * @param {number} step - 時距 (毫秒)。
+ * @param {string} [yearType='calendar'] - 'calendar' 為曆年，'water' 為水文年。
+ * @param {number} [startMonth=10] - 水文年起始月份 (1 ~ 12)；水文年以結束的年份命名。
+ * @returns {function(number): number} 輸入時距索引，回傳該時距起始時間所屬的年份。
+ */
+export function yearOfStep(start, step, yearType = 'calendar', startMonth = 10) {
+    return k => {
+        const date = new Date(start + k * step);
+        const year = date.getUTCFullYear();
+        if (yearType !== 'water') return year;
+        return date.getUTCMonth() + 1 >= startMonth && startMonth > 1 ? year + 1 : year;
+    };
+}
+
+/**
+ * 以移動視窗計算各延時、各年的最大降雨量，產生與 parseCSV() 相同格式的年最大降雨量資料。
+ * 紀錄依時距排列於連續時間軸上，未出現在紀錄中的時距視為無降雨，缺漏值亦以 0 計算但計入缺漏比例。
+ * 每個視窗的年份以視窗最後一個時距的起始時間判定。
+ * @param {{staNo: string, interval: number, times: number[], depths: Array<number|null>}} series - parseRainSeries() 的回傳值。
+ * @param {Object} [options] - 選項。
+ * @param {number[]} [options.durations=DEFAULT_SERIES_DURATIONS] - 延時 (分鐘)，須為紀錄時距的整數倍，否則略過。
+ * @param {string} [options.yearType='calendar'] - 'calendar' 為曆年，'water' 為水文年。
+ * @param {number} [options.waterYearStartMonth=10] - 水文年起始月份 (1 ~ 12)；水文年以結束的年份命名。
+ * @param {number} [options.minCoverage=0] - 年資料完整度 (有效紀錄時距數 / 該年應有時距數) 的下限 (0 ~ 1)，不足者不列入結果。
+ * @returns {{rows: Array<Object>, durations: number[], skippedDurations: number[],
+ *   report: Array<{year: number, records: number, missing: number, coverage: number, included: boolean}>}}
+ *   rows 為 {year, staNo, 60, 120, ...} 物件陣列；report 為各年的紀錄筆數、缺漏筆數、完整度及是否列入。
+ */
+export function extractAnnualMaxima(series, options = {}) {
+    const { staNo, interval, times, depths } = series;
+    const yearType = options.yearType || 'calendar';
+    const startMonth = options.waterYearStartMonth || 10;
+    const minCoverage = options.minCoverage || 0;
+    const requested = options.durations || DEFAULT_SERIES_DURATIONS;
+    const durations = requested.filter(d => Number.isInteger(Math.round(d / interval * 1e6) / 1e6) && d >= interval);
+    const skippedDurations = requested.filter(d => !durations.includes(d));
+
+    const { start, step, values, present } = toRegularSeries(series);
+    const n = values.length;
+    const yearOf = yearOfStep(start, step, yearType, startMonth);
+    const yearStart = year => (yearType === 'water' && startMonth > 1
+        ? Date.UTC(year - 1, startMonth - 1, 1)
+        : Date.UTC(year, 0, 1));
+
+    const years = new Int32Array(n);
+    const stats = new Map();
+    for (let k = 0; k < n; k++) {
+        years[k] = yearOf(k);
+        if (!stats.has(years[k])) stats.set(years[k], { records: 0, missing: 0 });
+        if (present[k]) stats.get(years[k]).records++;
+    }
+    times.forEach((t, i) => {
+        if (depths[i] === null) {
+            stats.get(years[Math.round((t - start) / step) - 1]).missing++;
+        }
+    });
+
+    const maxima = new Map();
+    stats.forEach((value, year) => maxima.set(year, {}));
+    durations.forEach(duration => {
+        const sums = movingWindowSums(values, Math.round(duration / interval));
+        for (let k = 0; k < n; k++) {
+            const sum = sums[k];
+            if (Number.isNaN(sum)) continue;
+            const row = maxima.get(years[k]);
+            if (row[duration] === undefined || sum > row[duration]) row[duration] = sum;
+        }
+    });
+
+    const report = [];
+    const rows = [];
+    [...stats.keys()].sort((a, b) => a - b).forEach(year => {
+        const { records, missing } = stats.get(year);
+        const expected = Math.round((yearStart(year + 1) - yearStart(year)) / step);
+        const coverage = expected > 0 ? records / expected : 0;
+        const included = coverage >= minCoverage;
+        report.push({ year, records, missing, coverage, included });
+        if (!included) return;
+
+        const row = { year, staNo };
+        durations.forEach(duration => {
+            const value = maxima.get(year)[duration];
+            row[duration] = value === undefined ? null : Math.round(value * 10) / 10;
+        });
+        rows.push(row);
+    });
+
+    return { rows, durations, skippedDurations, report };
+}
+
+/**
+ * 將年最大降雨量資料轉為 parseCSV() 可讀取的 CSV 字串。
+ * @param {Array<Object>} rows - extractAnnualMaxima() 回傳的 rows。
+ * @param {number[]} durations - 延時 (分鐘)。
+ * @returns {string} CSV 字串 (第一行為標題)。
+ */
+export function annualMaximaToCSV(rows, durations) {
+    const header = ['year', 'staNo', ...durations].join(',');
+    const lines = rows.map(row => [row.year, row.staNo, ...durations.map(d => (row[d] === null ? '' : row[d].toFixed(1)))].join(','));
+    return [header, ...lines].join('\n');
+}
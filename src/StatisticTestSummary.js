@@ -6,30 +6,46 @@
 export class StatisticTestSummary
 {
 
-    constructor(json,DOM, stCname){
+    /**
+     * @param {Array<Object>} json - BestFitRanking.rank() 回傳的 ranking 陣列 (已依總分排序)。
+     * @param {string} DOM - 要放置總覽表的元素 id。
+     * @param {string} stCName - 雨量站名稱。
+     * @param {number|string} duration - 延時 (分鐘)。
+     */
+    constructor(json, DOM, stCName, duration){
         // console.log({json : json})
         this.json = json;
         this.DOM = DOM;
+        this.stCName = stCName;
+        this.duration = duration;
     }
 
-     //  統計檢定總覽
-     genFittedTb = () => {
+    //  統計檢定總覽
+    genFittedTb = () => {
+        const passCell = fitted => fitted
+            ? "<td class='w3-text-green'>通過</td>"
+            : "<td class='w3-text-red'>未通過</td>";
+        const num = (value, digits) => Number.isFinite(value) ? value.toFixed(digits) : "-";
+
         let td = "", tr = "";
         for (let i = 0; i < this.json.length; i++) {
             let dist = this.json[i];
-            td = "<td>" + dist.probDist + "</td>";
-            let ks = this.json[i].KSTest_Results;
-            if (ks.fitted)
-                td += "<td class='w3-text-green'>通過</td>";
-            else
-                td += "<td class='w3-text-red'>未通過</td>";
-            let c2 = this.json[i].ChiTest_Results;
-            if (c2.fitted)
-                td += "<td class='w3-text-green'>通過</td>";
-            else
-                td += "<td class='w3-text-red'>未通過</td>";
-            td += "<td>" + dist.SEE.toFixed(2) + "</td>";
-            tr += "<tr>" + td + "</tr>";
+            let score = dist.scoreBreakdown;
+            td = "<td>" + (i + 1) + "</td>";
+            td += "<td>" + dist.name + "</td>";
+            td += passCell(dist.tests.ks);
+            td += passCell(dist.tests.chi2);
+            td += passCell(dist.tests.ad);
+            td += passCell(dist.tests.ppcc);
+            td += "<td>" + num(dist.r, 4) + "</td>";
+            td += "<td>" + num(dist.SEE, 2) + "</td>";
+            td += "<td>" + num(dist.RMSE, 2) + "</td>";
+            td += "<td>" + num(dist.AIC, 1) + "</td>";
+            td += "<td>" + num(dist.BIC, 1) + "</td>";
+            td += "<td>" + (score.ks + score.chi2 + score.ad + score.ppcc) + "</td>";
+            td += "<td>" + num(score.SEE, 2) + " / " + num(score.AIC, 2) + " / " + num(score.BIC, 2) + " / " + num(score.r, 2) + "</td>";
+            td += "<td><strong>" + num(dist.score, 2) + "</strong></td>";
+            tr += (i === 0 ? "<tr class='table-success'>" : "<tr>") + td + "</tr>";
         }
         return tr;
     }
@@ -49,17 +65,26 @@ export class StatisticTestSummary
                     <table class="table table-bordered table-striped table-condensed">
                         <thead>
                             <tr class="w3-blue-gray">
-                                <tb>
-                                    <td>機率分布</td>
-                                    <td>KS檢定</td>
-                                    <td>卡方檢定</td>
-                                    <td>SSE值</td>
-                                </tb>
+                                <th>排名</th>
+                                <th>機率分布</th>
+                                <th>KS檢定</th>
+                                <th>卡方檢定</th>
+                                <th>AD檢定</th>
+                                <th>PPCC檢定</th>
+                                <th>PPCC r</th>
+                                <th>SEE值</th>
+                                <th>RMSE</th>
+                                <th>AIC</th>
+                                <th>BIC</th>
+                                <th>檢定得分</th>
+                                <th>指標得分 (SEE / AIC / BIC / r)</th>
+                                <th>總分</th>
                             </tr>
                         </thead>
                         <tbody>${tr}</tbody>
                     </table>
-                    註 : (1)KS檢定及卡方檢定均以95%信賴度(confidence level)。(2)SSE值越低表示估計值與觀測值越接近。
+                    註 : (1)各項檢定均以95%信賴度(confidence level)。(2)SEE值、RMSE、AIC、BIC越低表示越適合，PPCC r 越接近 1 越適合。
+                    (3)每通過一項檢定得 1 分；各指標依排名給 0 ~ 1 分，總分最高者 (綠色列) 為建議機率分布。
                 </div>
             </div>
         </div>
@@ -68,10 +93,8 @@ export class StatisticTestSummary
     }
 
     render(){
-        this.stCName = $("#stid-select :selected").text();
-        this.duration = $("#duration-select :selected").text();
         let tr = this.genFittedTb();
         let html = this.genHTML(tr);
         document.getElementById(this.DOM).innerHTML = html;
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,155 @@
+// StormEvent.js
+// 2026-10-19
+// 單場降雨事件重現期分析：由降雨組體圖求各延時最大降雨量，並以各延時的頻率分析結果估計重現期
+
+import { FrequencyAnalysis } from "./Frequency/FrequencyAnalysis.js";
+import { FindReturnPeriod } from "./FindReturnPeriod.js";
+import { getDurations, getDurationRain } from "./statistics.js";
+
+/**
+ * @class StormEvent
+ * @description 解析單場降雨事件的組體圖 (hyetograph)，以移動視窗求各延時的最大累積雨量，
+ * 再與歷年年最大降雨量的頻率分析結果比對，得到各延時、各機率分佈的重現期。
+ */
+export class StormEvent {
+
+    /**
+     * @param {Object} [options] - 選項。
+     * @param {number} [options.interval=60] - 組體圖無時間欄位時使用的雨量時距 (分鐘)。
+     * @param {number} [options.fittingMethod] - 參數推估法 (FrequencyAnalysis.FittingMethod)。
+     * @param {number} [options.ktMethod] - 皮爾遜第三型頻率因子計算方法 (FrequencyAnalysis.KtMethod)。
+     * @param {number} [options.lowOutlierMethod] - 對數皮爾遜第三型分佈的低值離群檢定方法 (FrequencyAnalysis.LowOutlierMethod)。
+     * @param {{skew: number, mse: number}} [options.regionalSkew] - 區域偏態係數及其均方誤差 (FrequencyAnalysis.regionalSkew)。
+     */
+    constructor(options = {}) {
+        const { fittingMethod, ktMethod, lowOutlierMethod, regionalSkew } = options;
+        this.interval = options.interval ?? 60;
+        /**
+         * @private
+         */
+        this.fa = new FrequencyAnalysis({ fittingMethod, ktMethod, lowOutlierMethod, regionalSkew });
+    }
+
+    /**
+     * 解析降雨組體圖文字。每行一筆時距雨量，可為「雨量」或「時間,雨量」兩種格式；
+     * 時間可為日期時間 (如 2024-07-24 13:00) 或累計分鐘數，此時雨量時距由相鄰時間差推得。
+     * 無法解析為數值的第一行視為標題列。
+     * @param {string} text - 組體圖文字 (CSV 或逐行數值)。
+     * @returns {{depths: number[], interval: number, times: (Array<string>|null)}}
+     *   各時距雨量 (mm)、雨量時距 (分鐘) 及原始時間標籤 (無時間欄位時為 null)。
+     */
+    parse(text) {
+        const lines = text.trim().split(/\r?\n/).map(line => line.trim()).filter(line => line !== "");
+        const rows = lines.map(line => line.split(/[,\t;]/).map(cell => cell.trim()));
+        if (rows.length > 0 && isNaN(Number(rows[0][rows[0].length - 1]))) {
+            rows.shift(); // 標題列
+        }
+        if (rows.length === 0) {
+            throw new Error("組體圖沒有任何雨量資料。");
+        }
+
+        const depths = rows.map((cells, i) => {
+            const value = Number(cells[cells.length - 1]);
+            if (cells[cells.length - 1] === "" || !Number.isFinite(value) || value < 0) {
+                throw new Error(`第 ${i + 1} 筆雨量無效: "${cells[cells.length - 1]}"`);
+            }
+            return value;
+        });
+
+        if (rows[0].length < 2) {
+            return { depths, interval: this.interval, times: null };
+        }
+
+        const times = rows.map(cells => cells[0]);
+        return { depths, interval: this._inferInterval(times), times };
+    }
+
+    /**
+     * 以移動視窗計算各延時的最大累積雨量。
+     * 延時須為雨量時距的整數倍，否則該延時結果為 NaN；延時超過事件總長時，最大雨量即為事件總雨量。
+     * @param {number[]} depths - 各時距雨量 (mm)。
+     * @param {number} interval - 雨量時距 (分鐘)。
+     * @param {number[]} durations - 延時陣列 (分鐘)。
+     * @returns {Array<{duration: number, depth: number, startIndex: number, exceedsRecord: boolean}>}
+     *   各延時的最大雨量、最大視窗起始位置 (時距索引) 及延時是否超過事件總長。
+     */
+    maxDepths(depths, interval, durations) {
+        const prefix = [0];
+        depths.forEach(d => prefix.push(prefix[prefix.length - 1] + d));
+        const n = depths.length;
+
+        return durations.map(duration => {
+            const steps = duration / interval;
+            if (!Number.isInteger(steps) || steps < 1) {
+                return { duration, depth: NaN, startIndex: -1, exceedsRecord: false };
+            }
+            if (steps >= n) {
+                return { duration, depth: prefix[n], startIndex: 0, exceedsRecord: steps > n };
+            }
+            let depth = -Infinity, startIndex = 0;
+            for (let i = 0; i + steps <= n; i++) {
+                const sum = prefix[i + steps] - prefix[i];
+                if (sum > depth) {
+                    depth = sum;
+                    startIndex = i;
+                }
+            }
+            return { duration, depth, startIndex, exceedsRecord: false };
+        });
+    }
+
+    /**
+     * 分析單場降雨事件：對年最大降雨量資料的每個延時 (getDurations()) 求事件最大雨量，
+     * 並以各機率分佈計算其重現期。
+     * @param {Array<Object>} data - 歷年各延時年最大降雨量資料。
+     * @param {string} text - 降雨組體圖文字，格式見 parse()。
+     * @returns {{interval: number, depths: number[], times: (Array<string>|null), durations: Array<Object>}}
+     *   durations 為各延時的 maxDepths() 結果，另附 results (各機率分佈的 FindReturnPeriod.findRPDetail() 結果，
+     *   依 DistributionType 排序；無法計算時為 null)。
+     */
+    analyze(data, text) {
+        const { depths, interval, times } = this.parse(text);
+        const durations = this.maxDepths(depths, interval, getDurations(data));
+
+        durations.forEach(item => {
+            item.results = null;
+            const rainData = getDurationRain(data, item.duration);
+            if (!Number.isFinite(item.depth) || !rainData || rainData.length === 0) return;
+
+            const freqResults = [];
+            for (let distType = 1; distType <= this.fa.menuDr.length; distType++) {
+                let fit = null;
+                try {
+                    fit = this.fa.fit(distType, rainData);
+                } catch (e) {
+                    console.error(`參數推估錯誤: ${this.fa.menuDr[distType - 1]}, ${item.duration}分鐘: ${e.message}`);
+                }
+                freqResults.push({ fit });
+            }
+            item.results = new FindReturnPeriod(freqResults, this.fa).findRPDetail(item.depth);
+        });
+
+        return { interval, depths, times, durations };
+    }
+
+    /**
+     * 由時間欄位推求雨量時距 (分鐘)，取相鄰時間差的中位數。
+     * @private
+     */
+    _inferInterval(times) {
+        const numeric = times.every(t => t !== "" && Number.isFinite(Number(t)));
+        const minutes = times.map(t => (numeric ? Number(t) : Date.parse(t.replace(/\//g, "-").replace(" ", "T")) / 60000));
+        if (minutes.some(m => !Number.isFinite(m))) {
+            throw new Error("無法解析組體圖的時間欄位，請使用日期時間 (如 2024-07-24 13:00) 或累計分鐘數。");
+        }
+        if (minutes.length < 2) {
+            return this.interval;
+        }
+        const diffs = minutes.slice(1).map((m, i) => m - minutes[i]).sort((a, b) => a - b);
+        const interval = diffs[Math.floor(diffs.length / 2)];
+        if (!(interval > 0)) {
+            throw new Error("組體圖時間須依時間先後排列且不可重複。");
+        }
+        return Math.round(interval * 1000) / 1000;
+    }
+}
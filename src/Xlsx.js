@@ -0,0 +1,458 @@
+// Xlsx.js
+// 2026-10-19
+// 不依賴外部套件讀寫 Excel 活頁簿 (.xlsx)：以 DecompressionStream 解壓縮 ZIP、DOMParser 解析 XML，
+// 寫出時以不壓縮 (STORE) 的 ZIP 打包
+
+/** @const {Uint32Array} - CRC-32 (IEEE 802.3) 查表。 */
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * 計算 CRC-32 檢查碼。
+ * @param {Uint8Array} bytes - 資料。
+ * @returns {number} 無號 32 位元整數。
+ */
+export function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * 以瀏覽器內建的 DecompressionStream 解壓縮 raw deflate 資料。
+ * @private
+ */
+async function inflateRaw(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * 讀取 ZIP 檔案的所有項目。支援不壓縮 (STORE) 及 deflate 壓縮，不支援 ZIP64 及加密。
+ * @param {ArrayBuffer|Uint8Array} buffer - ZIP 檔案內容。
+ * @returns {Promise<Map<string, Uint8Array>>} 以項目路徑為鍵值的解壓縮內容。
+ */
+export async function readZip(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // 1. 由檔尾往前尋找中央目錄結尾 (End of Central Directory)
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+        if (view.getUint32(i, true) === 0x06054B50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) {
+        throw new Error("不是有效的 ZIP (xlsx) 檔案。");
+    }
+    const count = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    if (offset === 0xFFFFFFFF) {
+        throw new Error("不支援 ZIP64 格式的檔案。");
+    }
+
+    // 2. 逐一讀取中央目錄項目及對應的本地檔頭
+    const decoder = new TextDecoder('utf-8');
+    const entries = new Map();
+    for (let k = 0; k < count; k++) {
+        if (view.getUint32(offset, true) !== 0x02014B50) {
+            throw new Error("ZIP 中央目錄格式錯誤。");
+        }
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (flags & 0x1) {
+            throw new Error(`ZIP 項目 ${name} 已加密，無法讀取。`);
+        }
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = bytes.subarray(dataStart, dataStart + compressedSize);
+        switch (method) {
+            case 0:
+                entries.set(name, data);
+                break;
+            case 8:
+                entries.set(name, await inflateRaw(data));
+                break;
+            default:
+                throw new Error(`不支援的 ZIP 壓縮方式: ${method}`);
+        }
+    }
+    return entries;
+}
+
+/**
+ * 將檔案打包為不壓縮 (STORE) 的 ZIP。
+ * @param {Array<{name: string, data: (string|Uint8Array)}>} files - 項目路徑及內容 (字串以 UTF-8 編碼)。
+ * @returns {Uint8Array} ZIP 檔案內容。
+ */
+export function writeZip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        const crc = crc32(data);
+
+        const local = new Uint8Array(30 + name.length);
+        const lv = new DataView(local.buffer);
+        lv.setUint32(0, 0x04034B50, true);
+        lv.setUint16(4, 20, true);          // 解壓縮所需版本
+        lv.setUint16(6, 0x0800, true);      // 檔名為 UTF-8
+        lv.setUint16(8, 0, true);           // STORE
+        lv.setUint16(10, dosTime, true);
+        lv.setUint16(12, dosDate, true);
+        lv.setUint32(14, crc, true);
+        lv.setUint32(18, data.length, true);
+        lv.setUint32(22, data.length, true);
+        lv.setUint16(26, name.length, true);
+        local.set(name, 30);
+
+        const central = new Uint8Array(46 + name.length);
+        const cv = new DataView(central.buffer);
+        cv.setUint32(0, 0x02014B50, true);
+        cv.setUint16(4, 20, true);
+        cv.setUint16(6, 20, true);
+        cv.setUint16(8, 0x0800, true);
+        cv.setUint16(10, 0, true);
+        cv.setUint16(12, dosTime, true);
+        cv.setUint16(14, dosDate, true);
+        cv.setUint32(16, crc, true);
+        cv.setUint32(20, data.length, true);
+        cv.setUint32(24, data.length, true);
+        cv.setUint16(28, name.length, true);
+        cv.setUint32(42, offset, true);
+        central.set(name, 46);
+
+        locals.push(local, data);
+        centrals.push(central);
+        offset += local.length + data.length;
+    });
+
+    const centralSize = centrals.reduce((acc, c) => acc + c.length, 0);
+    const end = new Uint8Array(22);
+    const ev = new DataView(end.buffer);
+    ev.setUint32(0, 0x06054B50, true);
+    ev.setUint16(8, files.length, true);
+    ev.setUint16(10, files.length, true);
+    ev.setUint32(12, centralSize, true);
+    ev.setUint32(16, offset, true);
+
+    const parts = [...locals, ...centrals, end];
+    const zip = new Uint8Array(parts.reduce((acc, p) => acc + p.length, 0));
+    let position = 0;
+    parts.forEach(p => {
+        zip.set(p, position);
+        position += p.length;
+    });
+    return zip;
+}
+
+/**
+ * 儲存格參照的欄位字母轉為索引 (A → 0、AA → 26)。
+ * @private
+ */
+function columnIndex(ref) {
+    const letters = ref.replace(/[^A-Z]/gi, '').toUpperCase();
+    let index = 0;
+    for (const ch of letters) {
+        index = index * 26 + (ch.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
+
+/**
+ * 欄位索引轉為儲存格參照的欄位字母 (0 → A、26 → AA)。
+ * @private
+ */
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+/**
+ * 取得元素下所有 <t> 的文字 (略過注音標示 <rPh>)。
+ * @private
+ */
+function textOf(element) {
+    return elementsByName(element, 't')
+        .filter(t => !t.parentNode || t.parentNode.localName !== 'rPh')
+        .map(t => t.textContent)
+        .join('');
+}
+
+/**
+ * 依區域名稱 (不含命名空間前綴) 取得元素下的所有子孫元素，使 x:row 等帶前綴的標籤亦可讀取。
+ * @private
+ */
+function elementsByName(node, localName) {
+    return Array.from(node.getElementsByTagNameNS('*', localName));
+}
+
+/**
+ * 解析 XML 字串。
+ * @private
+ */
+function parseXml(bytes) {
+    return new DOMParser().parseFromString(new TextDecoder('utf-8').decode(bytes), 'application/xml');
+}
+
+/**
+ * 將 relationship 的 Target 轉為 ZIP 中的路徑。
+ * @private
+ */
+function resolveTarget(base, target) {
+    if (target.startsWith('/')) return target.slice(1);
+    const parts = base.split('/').slice(0, -1);
+    target.split('/').forEach(part => {
+        if (part === '..') parts.pop();
+        else if (part !== '.') parts.push(part);
+    });
+    return parts.join('/');
+}
+
+/**
+ * 讀取 Excel 活頁簿 (.xlsx) 中所有工作表的儲存格文字。
+ * 共用字串、內嵌字串及數值皆轉為字串 (數值以 JavaScript 的最短表示法，如 24.2)；布林值為 "TRUE" / "FALSE"，
+ * 錯誤值 (如 #N/A) 保留原文字。日期以 Excel 序列值表示。
+ * @param {ArrayBuffer|Uint8Array} buffer - xlsx 檔案內容。
+ * @returns {Promise<Array<{name: string, rows: string[][]}>>} 依活頁簿順序排列的工作表名稱及各列儲存格文字 (空白儲存格為空字串)。
+ */
+export async function readWorkbook(buffer) {
+    const entries = await readZip(buffer);
+    const workbookPath = 'xl/workbook.xml';
+    if (!entries.has(workbookPath)) {
+        throw new Error("找不到 xl/workbook.xml，不是有效的 xlsx 檔案。");
+    }
+
+    // 1. 共用字串表
+    const sharedStrings = [];
+    if (entries.has('xl/sharedStrings.xml')) {
+        const doc = parseXml(entries.get('xl/sharedStrings.xml'));
+        elementsByName(doc, 'si').forEach(si => sharedStrings.push(textOf(si)));
+    }
+
+    // 2. 工作表名稱及 relationship
+    const relsPath = 'xl/_rels/workbook.xml.rels';
+    const targets = new Map();
+    if (entries.has(relsPath)) {
+        elementsByName(parseXml(entries.get(relsPath)), 'Relationship').forEach(rel => {
+            targets.set(rel.getAttribute('Id'), resolveTarget(workbookPath, rel.getAttribute('Target')));
+        });
+    }
+    const sheetElements = elementsByName(parseXml(entries.get(workbookPath)), 'sheet');
+
+    // 3. 逐一讀取工作表的儲存格
+    return sheetElements.map((sheet, k) => {
+        const name = sheet.getAttribute('name');
+        const relId = sheet.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id');
+        const path = targets.get(relId) || `xl/worksheets/sheet${k + 1}.xml`;
+        const rows = [];
+        if (!entries.has(path)) return { name, rows };
+
+        const doc = parseXml(entries.get(path));
+        let rowIndex = -1;
+        elementsByName(doc, 'row').forEach(rowElement => {
+            const r = Number(rowElement.getAttribute('r'));
+            rowIndex = r > 0 ? r - 1 : rowIndex + 1;
+            const cells = [];
+            let colIndex = -1;
+            elementsByName(rowElement, 'c').forEach(c => {
+                const ref = c.getAttribute('r');
+                colIndex = ref ? columnIndex(ref) : colIndex + 1;
+                const type = c.getAttribute('t');
+                const v = elementsByName(c, 'v')[0];
+                const raw = v ? v.textContent : '';
+                let text;
+                switch (type) {
+                    case 's':
+                        text = sharedStrings[Number(raw)] ?? '';
+                        break;
+                    case 'inlineStr':
+                        text = textOf(c);
+                        break;
+                    case 'b':
+                        text = raw === '1' ? 'TRUE' : 'FALSE';
+                        break;
+                    case 'str':
+                    case 'e':
+                        text = raw;
+                        break;
+                    default:
+                        text = raw === '' || !Number.isFinite(Number(raw)) ? raw : String(Number(raw));
+                }
+                while (cells.length < colIndex) cells.push('');
+                cells[colIndex] = text;
+            });
+            while (rows.length < rowIndex) rows.push([]);
+            rows[rowIndex] = cells;
+        });
+        return { name, rows };
+    });
+}
+
+/**
+ * 將工作表的儲存格轉為 CSV 字串，供 parseCSV() 解析。
+ * 由標題列開始，各列補齊至標題列的欄數，略過全部空白的列；含逗號、引號或換行的欄位以雙引號包覆。
+ * @param {string[][]} rows - readWorkbook() 回傳的工作表各列。
+ * @param {number} [headerRow=1] - 標題列的列號 (由 1 起算)。
+ * @returns {string} CSV 字串。
+ */
+export function sheetToCSV(rows, headerRow = 1) {
+    const body = rows.slice(headerRow - 1).filter(row => row && row.some(cell => String(cell).trim() !== ''));
+    if (body.length === 0) return '';
+    let width = body[0].length;
+    while (width > 0 && String(body[0][width - 1]).trim() === '') width--;
+    const quote = cell => (/[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell);
+    return body.map(row => {
+        const cells = [];
+        for (let i = 0; i < width; i++) cells.push(quote(String(row[i] ?? '')));
+        return cells.join(',');
+    }).join('\n');
+}
+
+/**
+ * 跳脫 XML 特殊字元，並移除 XML 不允許的控制字元。
+ * @private
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * 產生合法且不重複的工作表名稱 (最多 31 字元，不含 \ / ? * [ ] :)。
+ * @private
+ */
+function sheetNames(sheets) {
+    const used = new Set();
+    return sheets.map((sheet, k) => {
+        const base = (String(sheet.name || `Sheet${k + 1}`).replace(/[\\/?*[\]:]/g, '_').trim() || `Sheet${k + 1}`).slice(0, 31);
+        let name = base;
+        for (let n = 2; used.has(name.toLowerCase()); n++) {
+            const suffix = ` (${n})`;
+            name = base.slice(0, 31 - suffix.length) + suffix;
+        }
+        used.add(name.toLowerCase());
+        return name;
+    });
+}
+
+/**
+ * 產生 Excel 活頁簿 (.xlsx)。數值寫為數值儲存格，其餘寫為內嵌字串；null、undefined 及非有限數值為空白儲存格。
+ * 各工作表的第一列以粗體顯示並凍結。
+ * @param {Array<{name: string, rows: Array<Array<(string|number|null)>>}>} sheets - 工作表名稱及各列儲存格。
+ * @returns {Uint8Array} xlsx 檔案內容。
+ */
+export function writeWorkbook(sheets) {
+    const names = sheetNames(sheets);
+    const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+    const ns = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+    const relNs = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    const pkgRelNs = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+    const files = [];
+    files.push({
+        name: '[Content_Types].xml',
+        data: xmlHeader +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            names.map((name, k) => `<Override PartName="/xl/worksheets/sheet${k + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+            '</Types>'
+    });
+    files.push({
+        name: '_rels/.rels',
+        data: xmlHeader +
+            `<Relationships xmlns="${pkgRelNs}">` +
+            `<Relationship Id="rId1" Type="${relNs}/officeDocument" Target="xl/workbook.xml"/>` +
+            '</Relationships>'
+    });
+    files.push({
+        name: 'xl/workbook.xml',
+        data: xmlHeader +
+            `<workbook xmlns="${ns}" xmlns:r="${relNs}"><sheets>` +
+            names.map((name, k) => `<sheet name="${escapeXml(name)}" sheetId="${k + 1}" r:id="rId${k + 1}"/>`).join('') +
+            '</sheets></workbook>'
+    });
+    files.push({
+        name: 'xl/_rels/workbook.xml.rels',
+        data: xmlHeader +
+            `<Relationships xmlns="${pkgRelNs}">` +
+            names.map((name, k) => `<Relationship Id="rId${k + 1}" Type="${relNs}/worksheet" Target="worksheets/sheet${k + 1}.xml"/>`).join('') +
+            `<Relationship Id="rId${names.length + 1}" Type="${relNs}/styles" Target="styles.xml"/>` +
+            '</Relationships>'
+    });
+    files.push({
+        name: 'xl/styles.xml',
+        data: xmlHeader +
+            `<styleSheet xmlns="${ns}">` +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+            '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+            '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+            '</styleSheet>'
+    });
+
+    sheets.forEach((sheet, k) => {
+        const rowsXml = sheet.rows.map((row, r) => {
+            const style = r === 0 ? ' s="1"' : '';
+            const cells = row.map((value, c) => {
+                const ref = `${columnName(c)}${r + 1}`;
+                if (value === null || value === undefined || value === '' || (typeof value === 'number' && !Number.isFinite(value))) {
+                    return '';
+                }
+                if (typeof value === 'number') {
+                    return `<c r="${ref}"${style}><v>${value}</v></c>`;
+                }
+                return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+            }).join('');
+            return `<row r="${r + 1}">${cells}</row>`;
+        }).join('');
+        const pane = sheet.rows.length > 1
+            ? '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+            : '';
+        files.push({
+            name: `xl/worksheets/sheet${k + 1}.xml`,
+            data: xmlHeader + `<worksheet xmlns="${ns}">${pane}<sheetData>${rowsXml}</sheetData></worksheet>`
+        });
+    });
+
+    return writeZip(files);
+}
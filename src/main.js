@@ -3,8 +3,11 @@
 
 "use strict";
 
-import { ReadRainData, parseCSV } from "./ReadRainData.js";
+import { ReadRainData, parseCSV, decodeText, formatCSVError, CSVParseError } from "./ReadRainData.js";
+import { parseRainSeries, extractAnnualMaxima, annualMaximaToCSV } from "./ReadRainSeries.js";
 import { UIManager } from "./ui.js";
+import { DataValidator } from "./DataValidator.js";
+import { readWorkbook, sheetToCSV } from "./Xlsx.js";
 import { FrequencyAnalysis } from "./Frequency/FrequencyAnalysis.js";
 import { ChiSquareTest } from "./Frequency/ChiSquareTest.js";
 import { KSTest } from "./Frequency/KSTest.js";
@@ -174,6 +177,8 @@ window.onload = async () => {
     const csvStatusBadge = document.getElementById('csv-status-badge');
     const runAnalysisBtn = document.getElementById('run-analysis-btn');
     const csvInput = document.getElementById('csv-input');
+    const csvErrorList = document.getElementById('csv-error-list');
+    const validationReport = document.getElementById('validation-report');
 
     // Add event listener for when user types in the CSV input box
     if (csvInput) {
@@ -183,6 +188,12 @@ window.onload = async () => {
             if (csvStatusBadge) {
                 csvStatusBadge.innerHTML = '';
             }
+            if (csvErrorList) {
+                csvErrorList.innerHTML = '';
+            }
+            if (validationReport) {
+                validationReport.innerHTML = '';
+            }
             if (runAnalysisBtn) {
                 runAnalysisBtn.disabled = true;
             }
@@ -192,6 +203,8 @@ window.onload = async () => {
     if (processCsvBtn) {
         processCsvBtn.addEventListener('click', () => {
             if (csvStatusBadge) csvStatusBadge.innerHTML = ''; // Clear previous badge
+            if (csvErrorList) csvErrorList.innerHTML = '';
+            if (validationReport) validationReport.innerHTML = '';
             if (runAnalysisBtn) runAnalysisBtn.disabled = true; // Disable analysis button on each new attempt
             const csvString = csvInput.value;
 
@@ -203,11 +216,44 @@ window.onload = async () => {
                 return;
             }
 
-            const newData = parseCSV(csvString);
+            let newData = null;
+            try {
+                newData = parseCSV(csvString);
+            } catch (error) {
+                if (!(error instanceof CSVParseError)) throw error;
+                // 列出解析錯誤的行號及欄號 (最多 20 筆)
+                if (csvErrorList) {
+                    const list = document.createElement('ul');
+                    list.className = 'mb-0 pl-3';
+                    error.errors.slice(0, 20).forEach(e => {
+                        const item = document.createElement('li');
+                        item.textContent = formatCSVError(e);
+                        list.appendChild(item);
+                    });
+                    if (error.errors.length > 20) {
+                        const item = document.createElement('li');
+                        item.textContent = `… 共 ${error.errors.length} 個錯誤`;
+                        list.appendChild(item);
+                    }
+                    csvErrorList.appendChild(list);
+                }
+            }
 
             if (newData) {
+                // 檢核資料並列出問題；有錯誤或警告時仍可執行分析，由使用者判斷是否修正
+                const validator = new DataValidator();
+                const report = validator.validate(newData);
+                UIManager.renderValidationReport(newData, report);
                 if (csvStatusBadge) {
-                    csvStatusBadge.innerHTML = '<span class="badge badge-success ml-2">資料正確</span>';
+                    const errors = report.counts[validator.Severity.Error];
+                    const warnings = report.counts[validator.Severity.Warning];
+                    if (errors > 0) {
+                        csvStatusBadge.innerHTML = `<span class="badge badge-danger ml-2">資料有 ${errors} 項錯誤</span>`;
+                    } else if (warnings > 0) {
+                        csvStatusBadge.innerHTML = `<span class="badge badge-warning ml-2">資料有 ${warnings} 項警告</span>`;
+                    } else {
+                        csvStatusBadge.innerHTML = '<span class="badge badge-success ml-2">資料正確</span>';
+                    }
                 }
                 data = newData; // Update the global data variable
                 // 從第一筆紀錄取得雨量站 staNo 並存入全域變數
@@ -221,7 +267,7 @@ window.onload = async () => {
 
                 if (runAnalysisBtn) runAnalysisBtn.disabled = false; // Enable the analysis button
             } else {
-                // parseCsvData already showed an alert with the specific error
+                // The parse errors are listed below the buttons
                 if (csvStatusBadge) {
                     csvStatusBadge.innerHTML = '<span class="badge badge-danger ml-2">資料錯誤</span>';
                 }
@@ -254,6 +300,10 @@ window.onload = async () => {
                 try {
                     UIManager.init(data); // Re-initialize the UI with the new data
                     UIManager.generateChiSquareTestTable();
+                    UIManager.generateBestFitTable();
+                    UIManager.generateDDFTable();
+                    UIManager.generateIDFTable();
+                    UIManager.generateHyetograph();
                 } catch (error) {
                     console.error("頻率分析時發生錯誤:", error);
                     if (errorAlert) {
@@ -320,6 +370,37 @@ window.onload = async () => {
         });
     }
 
+    // Excel workbook loaded from the file input; the selected sheet and header row are converted to CSV
+    const xlsxOptions = document.getElementById('xlsx-options');
+    const xlsxSheetSelect = document.getElementById('xlsx-sheet-select');
+    const xlsxHeaderRow = document.getElementById('xlsx-header-row');
+    let workbook = null;
+
+    const loadWorkbookSheet = () => {
+        if (!workbook || !csvInput) return;
+        const sheet = workbook[Number(xlsxSheetSelect.value) || 0];
+        const headerRow = Math.max(1, parseInt(xlsxHeaderRow.value, 10) || 1);
+        csvInput.value = sheetToCSV(sheet.rows, headerRow);
+        csvInput.dispatchEvent(new Event('input', { bubbles: true }));
+    };
+
+    // 標題列預設為前 20 列中第一個含有年份欄位名稱的列
+    const guessHeaderRow = rows => {
+        const index = rows.slice(0, 20).findIndex(row => row && row.some(cell => /^(year|年|年份|年度)$/i.test(String(cell).trim())));
+        return index >= 0 ? index + 1 : 1;
+    };
+
+    if (xlsxSheetSelect) {
+        xlsxSheetSelect.addEventListener('change', () => {
+            if (!workbook) return;
+            xlsxHeaderRow.value = guessHeaderRow(workbook[Number(xlsxSheetSelect.value) || 0].rows);
+            loadWorkbookSheet();
+        });
+    }
+    if (xlsxHeaderRow) {
+        xlsxHeaderRow.addEventListener('change', loadWorkbookSheet);
+    }
+
     // Add event listener for the file input
     const csvFileInput = document.getElementById('csv-file-input');
     if (csvFileInput) {
@@ -335,9 +416,38 @@ window.onload = async () => {
             if (label) label.textContent = file.name;
 
             const reader = new FileReader();
-
-            reader.onload = (e) => {
-                const fileContent = e.target.result;
+            const isWorkbook = /\.xlsx$/i.test(file.name);
+            workbook = null;
+            if (xlsxOptions) xlsxOptions.style.display = 'none';
+
+            reader.onload = async (e) => {
+                if (isWorkbook) {
+                    // Read the workbook and let the user pick the sheet and header row
+                    try {
+                        workbook = await readWorkbook(e.target.result);
+                    } catch (error) {
+                        console.error("讀取 Excel 檔案時發生錯誤:", error);
+                        alert(`讀取 Excel 檔案時發生錯誤：${error.message}`);
+                        if (label) label.textContent = '選擇檔案';
+                        return;
+                    }
+                    xlsxSheetSelect.innerHTML = '';
+                    workbook.forEach((sheet, k) => {
+                        const option = document.createElement('option');
+                        option.value = k;
+                        option.textContent = sheet.name;
+                        xlsxSheetSelect.appendChild(option);
+                    });
+                    const first = Math.max(0, workbook.findIndex(sheet => sheet.rows.length > 1));
+                    xlsxSheetSelect.value = first;
+                    xlsxHeaderRow.value = guessHeaderRow(workbook[first].rows);
+                    if (xlsxOptions) xlsxOptions.style.display = '';
+                    loadWorkbookSheet();
+                    return;
+                }
+                // Decode by BOM / content so that Big5 and UTF-16 exports are read correctly
+                const { text: fileContent, encoding } = decodeText(e.target.result);
+                if (label) label.textContent = `${file.name} (${encoding})`;
                 if (csvInput) {
                     csvInput.value = fileContent;
                     // Manually trigger the input event to reset the UI state
@@ -352,7 +462,95 @@ window.onload = async () => {
                 if (label) label.textContent = '選擇檔案';
             };
 
-            reader.readAsText(file, 'utf-8');
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    // Add event listener for the raw rainfall series file input
+    const seriesInput = document.getElementById('series-input');
+    const seriesFileInput = document.getElementById('series-file-input');
+    if (seriesFileInput) {
+        seriesFileInput.addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            const label = seriesFileInput.nextElementSibling;
+            if (!file) {
+                if (label) label.textContent = '選擇檔案';
+                return;
+            }
+            if (label) label.textContent = file.name;
+
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                const { text, encoding } = decodeText(e.target.result);
+                if (label) label.textContent = `${file.name} (${encoding})`;
+                if (seriesInput) seriesInput.value = text;
+            };
+            reader.onerror = (e) => {
+                console.error("讀取檔案時發生錯誤:", e);
+                alert("讀取檔案時發生錯誤。");
+                if (label) label.textContent = '選擇檔案';
+            };
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    // Add event listener for converting a raw rainfall series into the annual maximum table
+    const seriesConvertBtn = document.getElementById('series-convert-btn');
+    const seriesReport = document.getElementById('series-report');
+    if (seriesConvertBtn) {
+        seriesConvertBtn.addEventListener('click', () => {
+            if (!seriesInput || !seriesInput.value.trim()) {
+                seriesReport.innerHTML = '<span class="text-danger">請貼上或上傳雨量紀錄。</span>';
+                return;
+            }
+            const durations = document.getElementById('series-durations').value
+                .split(/[,\s]+/).map(Number).filter(d => Number.isFinite(d) && d > 0);
+            const options = {
+                durations,
+                yearType: document.getElementById('series-year-type').value,
+                waterYearStartMonth: parseInt(document.getElementById('series-wy-month').value, 10) || 10,
+                minCoverage: (parseFloat(document.getElementById('series-min-coverage').value) || 0) / 100
+            };
+
+            let series, result;
+            try {
+                series = parseRainSeries(seriesInput.value);
+                result = extractAnnualMaxima(series, options);
+                // 站號及錯誤訊息來自上傳的檔案內容，以 textContent 寫入避免被解讀為 HTML
+                seriesReport.textContent = `站號 ${series.staNo}，共 ${series.times.length} 筆，紀錄時距 ${series.interval} 分鐘。`;
+            } catch (error) {
+                console.error("雨量紀錄轉換錯誤:", error);
+                const message = document.createElement('span');
+                message.className = 'text-danger';
+                message.textContent = `雨量紀錄格式錯誤: ${error.message}`;
+                seriesReport.replaceChildren(message);
+                return;
+            }
+            if (series.duplicates.length > 0) {
+                const shown = series.duplicates.slice(0, 5).map(t => new Date(t).toISOString().slice(0, 16).replace('T', ' '));
+                const more = series.duplicates.length > shown.length ? ` 等 ${series.duplicates.length} 個時間` : '';
+                seriesReport.innerHTML += `<br><span class="text-warning">時間重複: ${shown.join(', ')}${more}，僅保留各時間的第一筆紀錄。</span>`;
+            }
+            if (result.rows.length === 0 || result.durations.length === 0) {
+                seriesReport.innerHTML += '<br><span class="text-danger">沒有符合條件的年份或延時。</span>';
+                return;
+            }
+
+            if (result.skippedDurations.length > 0) {
+                seriesReport.innerHTML += `<br><span class="text-warning">延時 ${result.skippedDurations.join(', ')} 分鐘不是紀錄時距的整數倍，已略過。</span>`;
+            }
+            let table = '<table class="table table-bordered table-sm text-center mt-2 mb-0"><thead><tr><th>年份</th><th>紀錄筆數</th><th>缺漏筆數</th><th>資料完整度</th><th>列入</th></tr></thead><tbody>';
+            result.report.forEach(r => {
+                table += `<tr${r.included ? '' : ' class="text-muted"'}><td>${r.year}</td><td>${r.records}</td><td>${r.missing}</td>` +
+                    `<td>${(r.coverage * 100).toFixed(1)}%</td><td>${r.included ? '是' : '否'}</td></tr>`;
+            });
+            seriesReport.innerHTML += table + '</tbody></table>';
+
+            if (csvInput) {
+                csvInput.value = annualMaximaToCSV(result.rows, result.durations);
+                // Manually trigger the input event to reset the UI state (clear badge, disable analysis button)
+                csvInput.dispatchEvent(new Event('input', { bubbles: true }));
+            }
         });
     }
 
@@ -22,15 +22,36 @@ export function getDurations(data) {
     return durationKeys.map(key => Number(key)).sort((a, b) => a - b);
 }
 
+/**
+ * 判斷降雨量是否為有效值 (非缺漏的有限數值)。
+ * @param {*} value - 降雨量。
+ * @returns {boolean} 是否為有效值。
+ */
+export function isValidRain(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
 /**
  * 從完整的降雨資料中，根據指定的延時(duration)篩選出對應的降雨量陣列。
+ * 缺漏 (null) 的年份不列入，因此陣列長度即為該延時的有效樣本數。
  * @param {Array<Object>} data - 包含多年降雨資料的物件陣列。每個物件是一行資料。
  * @param {string|number} dur - 要提取資料的延時，對應 CSV 的欄位標頭 (例如 '60')。
- * @returns {Array<number>} - 包含所有年份在該延時下的降雨量陣列。
+ * @returns {Array<number>} - 包含所有有效年份在該延時下的降雨量陣列。
  */
 export function getDurationRain(data, dur) {
-    // 使用 Array.prototype.map 方法可以更簡潔地實現相同的功能。
-    return data.map(row => row[dur]);
+    return data.map(row => row[dur]).filter(isValidRain);
+}
+
+/**
+ * 根據指定的延時篩選出年份及降雨量，缺漏的年份不列入。
+ * @param {Array<Object>} data - 包含多年降雨資料的物件陣列。
+ * @param {string|number} dur - 要提取資料的延時。
+ * @returns {Array<{year: number, value: number}>} - 依資料順序排列的年份及降雨量。
+ */
+export function getDurationRecords(data, dur) {
+    return data
+        .filter(row => isValidRain(row[dur]))
+        .map(row => ({ year: row.year, value: row[dur] }));
 }
 
 /**
@@ -3,12 +3,34 @@
 "use strict";
 
 import { DrawRainIntensity } from "./DrawRainIntensity.js";
-import { getDurations, getDurationRain, calculateStatistics } from "./statistics.js";
+import { getDurations, getDurationRain, getDurationRecords, calculateStatistics, isValidRain } from "./statistics.js";
 import { FrequencyAnalysis } from "./Frequency/FrequencyAnalysis.js";
 import { FindReturnPeriod } from "./FindReturnPeriod.js";
 import { KSTest } from "./Frequency/KSTest.js";
 import { DrawKSChart } from './DrawKSChart.js';
 import { ChiSquareTest } from "./Frequency/ChiSquareTest.js";
+import { AndersonDarlingTest } from "./Frequency/AndersonDarlingTest.js";
+import { PPCCTest } from "./Frequency/PPCCTest.js";
+import { BestFitRanking } from "./Frequency/BestFitRanking.js";
+import { StatisticTestSummary } from "./StatisticTestSummary.js";
+import { ConfidenceInterval } from "./Frequency/ConfidenceInterval.js";
+import { StormEvent } from "./StormEvent.js";
+import { IDFCurve } from "./Frequency/IDFCurve.js";
+import { DrawIDFChart } from "./DrawIDFChart.js";
+import { DrawDDFChart } from "./DrawDDFChart.js";
+import { DesignHyetograph } from "./Frequency/DesignHyetograph.js";
+import { DrawHyetographChart } from "./DrawHyetographChart.js";
+import { PartialDuration } from "./Frequency/PartialDuration.js";
+import { DrawPOTChart } from "./DrawPOTChart.js";
+import { parseRainSeries } from "./ReadRainSeries.js";
+import { DrawStormSeverityChart } from "./DrawStormSeverityChart.js";
+import { DataValidator } from "./DataValidator.js";
+import { writeWorkbook } from "./Xlsx.js";
+import { OutlierTest } from "./Frequency/OutlierTest.js";
+import { TrendAnalysis } from "./Frequency/TrendAnalysis.js";
+import { HomogeneityTest } from "./Frequency/HomogeneityTest.js";
+import { ExpectedMoments } from "./Frequency/ExpectedMoments.js";
+import { parseHistoricalData, formatCSVError, decodeText } from "./ReadRainData.js";
 
 /** @const {number[]} - 用於頻率分析和重現期計算的預設重現期陣列。 */
 const DEFAULT_RETURN_PERIODS = [1.11, 2, 5, 10, 20, 25, 50, 100, 200, 500];
@@ -16,16 +38,64 @@ const DEFAULT_RETURN_PERIODS = [1.11, 2, 5, 10, 20, 25, 50, 100, 200, 500];
 let TrendLineCheck = true;
 let drawRainIntensity;
 
+/**
+ * 將文字轉為可放入 HTML 屬性或內容的字串。
+ * @param {string} text - 文字。
+ * @returns {string} 跳脫 &、<、>、" 後的字串。
+ */
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
 /**
  * UIManager: 集中管理所有與 DOM 相關的操作
  */
 export class UIManager {
+    // 分析用的降雨資料 (僅分析變異點之後的資料時，變異年份之前的雨量為 null)
     static data = null;
+    // 載入的原始降雨資料
+    static sourceData = null;
     // 雨量站編號
     static staNo = "NoName";
+    // 參數推估法 (FrequencyAnalysis.FittingMethod)，預設為動差法
+    static fittingMethod = 1;
+    // 皮爾遜第三型頻率因子計算方法 (FrequencyAnalysis.KtMethod)，預設為精確解
+    static ktMethod = 1;
+    // 對數皮爾遜第三型分佈的低值離群檢定方法 (FrequencyAnalysis.LowOutlierMethod)，預設為不檢定
+    static lowOutlierMethod = 1;
+    // 區域偏態係數及其均方誤差 ({skew, mse})，null 表示對數皮爾遜第三型分佈僅使用測站偏態
+    static regionalSkew = null;
+    // 信賴水準及信賴區間計算方法 (ConfidenceInterval.Method)
+    static ciLevel = 0.9;
+    static ciMethod = 1;
+    // 各延時的最佳機率分布評選結果 (BestFitRanking.rank())，以延時為鍵值
+    static bestFitResults = {};
+    // DDF 設計雨量矩陣 (IDFCurve.designRainfall()) 及各延時採用的機率分布，供匯出 JSON
+    static ddfResults = null;
+    // IDF 公式迴歸結果 ({design, fits})，供切換 IDF 圖公式時重繪
+    static idfResults = null;
+    // 資料檢核結果 (DataValidator.validate()，另含檢核的 data)，用於在資料表標示問題
+    static validationReport = null;
+    // 各延時的歷史資料 ({startYear, threshold, text, observations})，以延時為鍵值
+    static historicalData = {};
+    // 各延時的均一性檢定結果 (HomogeneityTest.analyze()，樣本數不足時為 null)，以延時為鍵值
+    static homogeneityResults = {};
+    // 是否僅分析變異點之後的資料
+    static postChangeOnly = false;
     /** @property {Object.<string, JQuery>} - 集中管理的 jQuery DOM 元素物件。 */
     static elements = {
         durationSelect: $("#duration-select"),
+        fittingMethodSelect: $("#fitting-method-select"),
+        ktMethodSelect: $("#kt-method-select"),
+        lowOutlierSelect: $("#low-outlier-select"),
+        regionalSkewInput: $("#regional-skew"),
+        regionalSkewMSEInput: $("#regional-skew-mse"),
+        postChangeOnlyCheckbox: $("#post-change-only"),
+        homogeneityTableHead: $("#homogeneityTable thead"),
+        homogeneityTableBody: $("#homogeneityTable tbody"),
+        skewWeightingTable: $("#Skew-Weighting-Table"),
+        ciLevelSelect: $("#ci-level-select"),
+        ciMethodSelect: $("#ci-method-select"),
         freqDurationLabel: $(".Freq-Duration"),
         trendLineCheckbox: $("#checkTrendLine"),
         mainForm: $("#mainForm"),
@@ -39,8 +109,51 @@ export class UIManager {
         annualMaxCollapseIcon: $('a[href="#annualMaxRainfallTableContainer"] i'),
         exportSummaryBtn: $("#exportSummaryBtn"),
         exportChartBtn: $("#exportChartBtn"),
+        exportXlsxBtn: $("#exportXlsxBtn"),
         stationNameLabel: $(".sta-Cname"),
         historicChart: "#historic-Chart",
+        ddfDistSelect: $("#ddf-dist-select"),
+        ddfTable: $("#ddfTable"),
+        ddfChart: "#ddf-Chart",
+        exportDDFCsvBtn: $("#exportDDFCsvBtn"),
+        exportDDFJsonBtn: $("#exportDDFJsonBtn"),
+        idfDistSelect: $("#idf-dist-select"),
+        idfFormulaSelect: $("#idf-formula-select"),
+        idfTable: $("#idfTable"),
+        idfChart: "#idf-Chart",
+        hyetographMethodSelect: $("#hyetograph-method-select"),
+        hyetographRpSelect: $("#hyetograph-rp-select"),
+        hyetographDurationInput: $("#hyetograph-duration"),
+        hyetographTimeStepInput: $("#hyetograph-timestep"),
+        hyetographPeakInput: $("#hyetograph-peak"),
+        hyetographGenerateBtn: $("#hyetograph-generate-btn"),
+        exportHyetographBtn: $("#exportHyetographBtn"),
+        hyetographMessage: $("#hyetograph-message"),
+        hyetographTable: $("#hyetographTable"),
+        hyetographChart: "#hyetograph-Chart",
+        potDurationInput: $("#pot-duration"),
+        potMethodSelect: $("#pot-method-select"),
+        potThresholdInput: $("#pot-threshold"),
+        potIetInput: $("#pot-iet"),
+        potRunBtn: $("#pot-run-btn"),
+        potMessage: $("#pot-message"),
+        potTable: $("#potTable"),
+        potChart: "#pot-Chart",
+        stormInput: $("#storm-input"),
+        stormFileInput: $("#storm-file-input"),
+        stormIntervalInput: $("#storm-interval"),
+        stormAnalyzeBtn: $("#storm-analyze-btn"),
+        stormMessage: $("#storm-message"),
+        stormSeverityTable: $("#stormSeverityTable"),
+        stormSeverityChart: "#storm-severity-Chart",
+        validationReport: $("#validation-report"),
+        emaStartYearInput: $("#ema-start-year"),
+        emaThresholdInput: $("#ema-threshold"),
+        emaInput: $("#ema-input"),
+        emaApplyBtn: $("#ema-apply-btn"),
+        emaClearBtn: $("#ema-clear-btn"),
+        emaMessage: $("#ema-message"),
+        emaTable: $("#EMA-Results-Table"),
     }
 
     /**
@@ -48,12 +161,14 @@ export class UIManager {
      * @param {Array<Object>} data - 解析後的降雨資料陣列。
      */
     static init(data) {
-        this.data = data;
+        this.historicalData = {};
         if (!data || data.length === 0) {
+            this.data = this.sourceData = data;
             console.error("無法載入或解析降雨資料。");
             this.elements.dataTableBody.html("<tr><td>無法載入資料</td></tr>");
             return;
         }
+        this.setSourceData(data);
         // 從第一筆紀錄取得雨量站 staNo 並存入全域變數
         if (this.data[0] && this.data[0].staNo) {
             this.staNo = this.data[0].staNo;
@@ -70,12 +185,73 @@ export class UIManager {
         this.populateDurationSelect(allDurations);
         this.updateDataTable();
         this.updateSummaryTable();
+        this.generateHomogeneityTable();
+        this.generateSkewWeightingTable();
         this.bindEventListeners();
 
         // 初始觸發，繪製第一張圖
         this.elements.durationSelect.trigger("change");
     }
 
+    /**
+     * 設定原始降雨資料：對各延時執行均一性檢定，並依「僅分析變異點之後的資料」選項產生分析用的資料。
+     * @param {Array<Object>} data - 解析後的降雨資料陣列。
+     */
+    static setSourceData(data) {
+        this.sourceData = data;
+        const homogeneityTest = new HomogeneityTest();
+        this.homogeneityResults = {};
+        getDurations(data).forEach(duration => {
+            const records = getDurationRecords(data, duration);
+            this.homogeneityResults[duration] = records.length >= homogeneityTest.MinSampleSize
+                ? homogeneityTest.analyze(records)
+                : null;
+        });
+        this.data = this.analysisData();
+    }
+
+    /**
+     * 指定延時截斷分析資料的變異年份：僅分析變異點之後的資料、偵測到變異點，且變異後的樣本數不少於最小樣本數時才截斷。
+     * @param {number|string} duration - 降雨延時（分鐘）。
+     * @returns {number|null} 變異年份 (該年之前的資料不列入分析)；不截斷時為 null。
+     */
+    static changeYearFor(duration) {
+        const result = this.homogeneityResults[duration];
+        if (!this.postChangeOnly || !result || result.changeYear === null) return null;
+        return result.postChangeCount >= new HomogeneityTest().MinSampleSize ? result.changeYear : null;
+    }
+
+    /**
+     * 產生分析用的資料：僅分析變異點之後的資料時，各延時變異年份之前的雨量改為 null (視同缺漏值，不列入分析)。
+     * @returns {Array<Object>} 分析用的降雨資料；未截斷任何延時時即為原始資料。
+     */
+    static analysisData() {
+        const durations = getDurations(this.sourceData);
+        const changeYears = durations.map(duration => [duration, this.changeYearFor(duration)])
+            .filter(([, year]) => year !== null);
+        if (changeYears.length === 0) return this.sourceData;
+        return this.sourceData.map(row => {
+            const copy = { ...row };
+            changeYears.forEach(([duration, year]) => {
+                if (row.year < year) copy[duration] = null;
+            });
+            return copy;
+        });
+    }
+
+    /**
+     * 目前選擇的頻率分析選項，供 FrequencyAnalysis 及各檢定、設計雨量類別的建構子使用。
+     * @returns {{fittingMethod: number, ktMethod: number, lowOutlierMethod: number, regionalSkew: ({skew: number, mse: number}|null)}}
+     */
+    static analysisOptions() {
+        return {
+            fittingMethod: this.fittingMethod,
+            ktMethod: this.ktMethod,
+            lowOutlierMethod: this.lowOutlierMethod,
+            regionalSkew: this.regionalSkew
+        };
+    }
+
     /**
      * 根據提供的延時陣列，填充延時下拉選單。
      * @param {number[]} durations - 包含所有可用延時（分鐘）的陣列。
@@ -116,7 +292,45 @@ export class UIManager {
         const rain = getDurationRain(this.data, duration);
         const stats = calculateStatistics(rain);
         drawRainIntensity = new DrawRainIntensity(this.data, this.elements.historicChart);
-        drawRainIntensity.plotHisto(duration, stats, TrendLineCheck);
+        const outliers = this.detectOutliers(duration);
+        drawRainIntensity.plotHisto(duration, stats, TrendLineCheck, {
+            low: outliers.low.map(index => this.data[index].year),
+            high: outliers.high.map(index => this.data[index].year)
+        }, this.analyzeTrend(duration));
+    }
+
+    /**
+     * 以 Mann-Kendall 檢定 (含 Hamed-Rao 自相關修正) 及 Sen 斜率分析指定延時年最大降雨量的趨勢。
+     * @param {number|string} duration - 降雨延時（分鐘）。
+     * @returns {Object|null} TrendAnalysis.analyze() 的回傳值；有效樣本數不足時為 null。
+     */
+    static analyzeTrend(duration) {
+        const records = getDurationRecords(this.data, duration);
+        const trendAnalysis = new TrendAnalysis();
+        if (records.length < trendAnalysis.MinSampleSize) return null;
+        return trendAnalysis.analyze(records);
+    }
+
+    /**
+     * 以目前的低值離群檢定方法，於對數空間檢定指定延時的離群值 (與對數皮爾遜第三型分佈的參數推估一致)。
+     * 不檢定時回傳空結果；多重 Grubbs-Beck 檢定用於低值離群，高值離群一律以 Grubbs-Beck 檢定。
+     * @param {number|string} duration - 降雨延時（分鐘）。
+     * @returns {{low: number[], high: number[], lowThreshold: number, highThreshold: number}}
+     *   低值、高值離群的資料列索引 (this.data 中的索引) 及門檻雨量 (mm)。
+     */
+    static detectOutliers(duration) {
+        const rows = this.data.map((row, index) => index).filter(index => isValidRain(this.data[index][duration]));
+        const x = rows.map(index => {
+            const value = this.data[index][duration];
+            return value > 1e-6 ? Math.log10(value) : 0;
+        });
+        const result = new OutlierTest().detect(this.lowOutlierMethod, x);
+        return {
+            low: result.low.map(i => rows[i]),
+            high: result.high.map(i => rows[i]),
+            lowThreshold: Math.pow(10, result.lowThreshold),
+            highThreshold: Math.pow(10, result.highThreshold)
+        };
     }
 
     /**
@@ -141,14 +355,30 @@ export class UIManager {
         tableHead += '</tr>';
 
         // 4. 產生表身 (tbody) 的 HTML 字串
+        const flags = this.getValidationFlags();
+        const outlierFlags = this.getOutlierFlags(durations);
         let tableBody = '';
-        // 遍歷每一年的資料
-        this.data.forEach(row => {
-            tableBody += '<tr>';
-            tableBody += `<td>${row.year}</td>`; // 第一欄是年份
-            // 遍歷所有延時，填入對應的降雨量，並格式化到小數點後一位
+        // 遍歷每一年的資料；每列以 id 標示索引，供資料檢核報告跳至該列
+        this.data.forEach((row, index) => {
+            const flag = flags.get(index);
+            tableBody += `<tr id="data-row-${index}">`;
+            tableBody += `<td${flag && flag.row ? this.validationCellAttrs(flag.row) : ''}>${row.year}</td>`; // 第一欄是年份
+            // 遍歷所有延時，填入對應的降雨量，並格式化到小數點後一位；缺漏值以醒目的空格標示
             durations.forEach(dur => {
-                tableBody += `<td>${row[dur].toFixed(1)}</td>`;
+                const issue = flag && flag.cells[dur];
+                const outlier = outlierFlags.get(index) && outlierFlags.get(index)[dur];
+                const source = this.sourceData[index][dur];
+                if (!isValidRain(row[dur]) && isValidRain(source)) {
+                    tableBody += `<td class="text-muted" title="變異年份 ${this.changeYearFor(dur)} 之前的資料，不列入分析"><del>${source.toFixed(1)}</del></td>`;
+                } else if (issue) {
+                    tableBody += `<td${this.validationCellAttrs(issue)}>${isValidRain(row[dur]) ? row[dur].toFixed(1) : '—'}</td>`;
+                } else if (outlier) {
+                    tableBody += `<td class="${outlier.cls}" title="${escapeHtml(outlier.title)}">${row[dur].toFixed(1)}</td>`;
+                } else {
+                    tableBody += isValidRain(row[dur])
+                        ? `<td>${row[dur].toFixed(1)}</td>`
+                        : '<td class="table-warning text-muted" title="缺漏值，不列入此延時的分析">—</td>';
+                }
             });
             tableBody += '</tr>';
         });
@@ -156,6 +386,128 @@ export class UIManager {
         return [tableHead, tableBody];
     }
 
+    /**
+     * 將目前資料的檢核結果整理為各資料列的標示：與整列相關的問題標示於年份欄，與延時相關者標示於該延時欄。
+     * 同一位置有多個問題時取嚴重程度最高者；提示等級的問題不標示。
+     * @returns {Map<number, {row: Object|null, cells: Object.<number, Object>}>} 以資料列索引為鍵值。
+     */
+    static getValidationFlags() {
+        const flags = new Map();
+        const report = this.validationReport;
+        if (!report || report.data !== this.sourceData) return flags;
+        const validator = new DataValidator();
+        const stronger = (current, issue) => (!current || issue.severity > current.severity ? issue : current);
+        report.issues.filter(issue => issue.severity > validator.Severity.Info).forEach(issue => {
+            issue.rows.forEach(index => {
+                if (!flags.has(index)) flags.set(index, { row: null, cells: {} });
+                const flag = flags.get(index);
+                if (issue.durations.length === 0) {
+                    flag.row = stronger(flag.row, issue);
+                } else {
+                    issue.durations.forEach(dur => flag.cells[dur] = stronger(flag.cells[dur], issue));
+                }
+            });
+        });
+        return flags;
+    }
+
+    /**
+     * 整理各延時的離群值檢定結果為資料表儲存格的標示：低值離群為 table-info，高值離群為 table-primary。
+     * 同一儲存格有資料檢核問題時以檢核問題的標示為優先。
+     * @param {number[]} durations - 延時陣列。
+     * @returns {Map<number, Object.<number, {cls: string, title: string}>>} 以資料列索引為鍵值。
+     */
+    static getOutlierFlags(durations) {
+        const flags = new Map();
+        const method = new OutlierTest().menuMethod[this.lowOutlierMethod - 1];
+        const mark = (index, dur, cls, title) => {
+            if (!flags.has(index)) flags.set(index, {});
+            flags.get(index)[dur] = { cls, title };
+        };
+        durations.forEach(dur => {
+            const { low, high, lowThreshold, highThreshold } = this.detectOutliers(dur);
+            low.forEach(index => mark(index, dur, 'table-info',
+                `低值離群 (${method})：低於門檻 ${lowThreshold.toFixed(1)} mm，對數皮爾遜第三型分佈以條件機率調整。`));
+            high.forEach(index => mark(index, dur, 'table-primary',
+                `高值離群 (Grubbs-Beck 檢定)：高於門檻 ${highThreshold.toFixed(1)} mm，請確認資料或以歷史資料佐證。`));
+        });
+        return flags;
+    }
+
+    /**
+     * 產生資料檢核問題儲存格的 class 及 title 屬性。
+     * @param {{severity: number, message: string}} issue - 檢核問題。
+     * @returns {string} HTML 屬性字串 (以空白開頭)。
+     */
+    static validationCellAttrs(issue) {
+        const validator = new DataValidator();
+        const cls = issue.severity === validator.Severity.Error ? 'table-danger' : 'table-warning';
+        return ` class="${cls}" title="${escapeHtml(issue.message)}"`;
+    }
+
+    /**
+     * 顯示資料檢核報告。每個問題列出嚴重程度、類型、說明及相關年份，點選年份可跳至 #dataTable 中對應的資料列。
+     * @param {Array<Object>} data - 解析後的降雨資料。
+     * @param {Object} report - DataValidator.validate() 的回傳值。
+     */
+    static renderValidationReport(data, report) {
+        this.validationReport = { ...report, data };
+        const validator = new DataValidator();
+        const $container = this.elements.validationReport;
+        if (report.issues.length === 0) {
+            $container.html('<div class="alert alert-success py-2 mb-0">資料檢核未發現問題。</div>');
+            return;
+        }
+
+        const badgeClass = {
+            [validator.Severity.Error]: 'badge-danger',
+            [validator.Severity.Warning]: 'badge-warning',
+            [validator.Severity.Info]: 'badge-info'
+        };
+        const counts = report.counts;
+        let html = `<p class="mb-1"><strong>資料檢核：</strong>錯誤 ${counts[validator.Severity.Error]} 項、` +
+            `警告 ${counts[validator.Severity.Warning]} 項、提示 ${counts[validator.Severity.Info]} 項。點選年份可檢視資料表中的該列。</p>`;
+        html += '<table class="table table-bordered table-sm mb-0"><thead><tr><th>嚴重程度</th><th>類型</th><th>說明</th><th>年份</th></tr></thead><tbody>';
+        report.issues.forEach(issue => {
+            const links = issue.rows.map(index =>
+                `<a href="#" class="validation-row-link" data-row="${index}">${escapeHtml(data[index].year)}</a>`).join(' ');
+            html += `<tr><td><span class="badge ${badgeClass[issue.severity]}">${validator.menuSeverity[issue.severity - 1]}</span></td>` +
+                `<td>${validator.menuIssueType[issue.type - 1]}</td><td>${escapeHtml(issue.message)}</td><td>${links}</td></tr>`;
+        });
+        html += '</tbody></table>';
+        $container.html(html);
+        $container.find('.validation-row-link').on('click', (event) => {
+            event.preventDefault();
+            this.showDataRow(data, Number($(event.currentTarget).data('row')));
+        });
+    }
+
+    /**
+     * 切換至分析結果頁籤，捲動至 #dataTable 中指定的資料列並加以醒目標示。
+     * 資料表尚未以此資料產生時 (尚未執行頻率分析)，先以此資料產生資料表。
+     * @param {Array<Object>} data - 解析後的降雨資料。
+     * @param {number} rowIndex - 資料列索引。
+     */
+    static showDataRow(data, rowIndex) {
+        if (this.sourceData !== data) {
+            this.setSourceData(data);
+            this.updateDataTable();
+        }
+        const reveal = () => {
+            $("#annualMaxRainfallTableContainer").collapse("show");
+            this.elements.dataTableBody.find("tr").removeClass("table-active font-weight-bold");
+            const $row = $(`#data-row-${rowIndex}`).addClass("table-active font-weight-bold");
+            if ($row.length > 0) {
+                $row[0].scrollIntoView({ behavior: "smooth", block: "center" });
+            }
+        };
+        if ($("#rainfall-chart").hasClass("active")) {
+            reveal();
+        } else {
+            $("#rainfall-chart-tab").one("shown.bs.tab", reveal).tab("show");
+        }
+    }
+
     /**
      * 根據降雨資料製作各延時的統計總覽表。
      * @returns {Array<string>} - 一個包含兩個 HTML 字串的陣列：[表頭的 <tr>, 表身的 <tr>s]。
@@ -163,7 +515,7 @@ export class UIManager {
     static generateSummaryTable() {
         // 1. 檢查資料是否有效
         if (!this.data || this.data.length === 0) {
-            return ["", "<tr><td colspan='6'>無資料可顯示</td></tr>"];
+            return ["", "<tr><td colspan='12'>無資料可顯示</td></tr>"];
         }
 
         // 2. 取得所有延時
@@ -173,34 +525,123 @@ export class UIManager {
         const tableHead = `
         <tr>
             <th>延時 (min)</th>
-            <th>資料個數</th>
+            <th>有效樣本數</th>
+            <th>缺漏年數</th>
             <th>平均值</th>
             <th>標準差</th>
             <th>cv</th>
             <th>cs</th>
             <th>最小值</th>
             <th>最大值</th>
+            <th>離群值 (低/高)</th>
+            <th>MK 趨勢 (p 值)</th>
+            <th>Sen 斜率 (mm/年) [95% 信賴區間]</th>
         </tr>`;
 
         // 4. 產生表身 (tbody) 的 HTML 字串
         let tableBody = '';
         durations.forEach(duration => {
             const rain = getDurationRain(this.data, duration);
+            const missing = this.data.length - rain.length;
+            const missingCell = missing > 0 ? `<td class="table-warning">${missing}</td>` : '<td>0</td>';
+            if (rain.length === 0) {
+                tableBody += `<tr><td>${duration}</td><td>0</td>${missingCell}<td colspan="9" class="text-muted">無有效資料</td></tr>`;
+                return;
+            }
             // 計算統計參數
             const stats = calculateStatistics(rain);
-            tableBody += `<tr><td>${duration}</td><td>${rain.length}</td>
+            const outliers = this.detectOutliers(duration);
+            const outlierCell = outliers.low.length + outliers.high.length > 0
+                ? `<td class="table-info">${outliers.low.length} / ${outliers.high.length}</td>`
+                : `<td>${this.lowOutlierMethod === new OutlierTest().Method.None ? '-' : '0 / 0'}</td>`;
+            const trendCells = this.trendCells(this.analyzeTrend(duration));
+            tableBody += `<tr><td>${duration}</td><td>${rain.length}</td>${missingCell}
         <td>${stats.mean.toFixed(2)}</td>
         <td>${stats.stdDev.toFixed(2)}</td>
         <td>${stats.cv.toFixed(3)}</td>
         <td>${stats.skewness.toFixed(3)}</td>
         <td>${stats.min.toFixed(3)}</td>
         <td>${stats.max.toFixed(3)}</td>
+        ${outlierCell}
+        ${trendCells}
         </tr>`;
         });
 
         return [tableHead, tableBody];
     }
 
+    /**
+     * 產生統計總覽表的趨勢檢定欄位：顯著上升標示為 table-danger，顯著下降標示為 table-success。
+     * @param {Object|null} trend - analyzeTrend() 的回傳值。
+     * @returns {string} 兩個 <td> 的 HTML 字串。
+     */
+    static trendCells(trend) {
+        if (!trend) {
+            return '<td class="text-muted">-</td><td class="text-muted">-</td>';
+        }
+        const trendAnalysis = new TrendAnalysis();
+        const cls = {
+            [trendAnalysis.Trend.Increasing]: ' class="table-danger"',
+            [trendAnalysis.Trend.Decreasing]: ' class="table-success"',
+            [trendAnalysis.Trend.None]: ''
+        }[trend.trend];
+        const title = `S = ${trend.S}，Z = ${trend.Z.toFixed(3)}，Kendall τ = ${trend.tau.toFixed(3)}` +
+            (trend.lags.length > 0
+                ? `，Hamed-Rao 修正因子 ${trend.correction.toFixed(3)} (顯著自相關落後期數：${trend.lags.join('、')})`
+                : '，無顯著自相關');
+        const ci = Number.isFinite(trend.lower) && Number.isFinite(trend.upper)
+            ? ` [${trend.lower.toFixed(2)}, ${trend.upper.toFixed(2)}]`
+            : '';
+        return `<td${cls} title="${escapeHtml(title)}">${trendAnalysis.menuTrend[trend.trend - 1]} (${trend.pValue.toFixed(3)})</td>` +
+            `<td>${trend.slope.toFixed(2)}${ci}</td>`;
+    }
+
+    /**
+     * 產生各延時的均一性及變異點檢定表：Pettitt、SNHT、Buishand 範圍檢定的變異年份及 p 值、von Neumann 比值及 p 值，
+     * 拒絕均一假設的個數、均一性分類及變異年份。顯著的檢定標示為 table-warning。
+     */
+    static generateHomogeneityTable() {
+        const homogeneityTest = new HomogeneityTest();
+        const names = homogeneityTest.menuTest;
+        this.elements.homogeneityTableHead.html(
+            '<tr><th rowspan="2">延時 (min)</th><th rowspan="2">樣本數</th>' +
+            names.slice(0, 3).map(name => `<th colspan="2">${name}</th>`).join('') +
+            `<th colspan="2">${names[3]}</th>` +
+            '<th rowspan="2">拒絕個數</th><th rowspan="2">分類</th><th rowspan="2">變異年份</th><th rowspan="2">分析樣本數</th></tr>' +
+            '<tr>' + '<th>變異年份</th><th>p 值</th>'.repeat(3) + '<th>N</th><th>p 值</th></tr>');
+
+        const classCls = {
+            [homogeneityTest.Class.Useful]: '',
+            [homogeneityTest.Class.Doubtful]: ' class="table-warning"',
+            [homogeneityTest.Class.Suspect]: ' class="table-danger"'
+        };
+        let bodyHtml = '';
+        getDurations(this.sourceData).forEach(duration => {
+            const result = this.homogeneityResults[duration];
+            if (!result) {
+                bodyHtml += `<tr><td>${duration}</td><td colspan="13" class="text-muted">有效樣本數少於 ${homogeneityTest.MinSampleSize} 年，無法檢定</td></tr>`;
+                return;
+            }
+            bodyHtml += `<tr><td>${duration}</td><td>${result.n}</td>`;
+            result.tests.forEach(test => {
+                const cls = test.significant ? ' class="table-warning"' : '';
+                const first = test.year === null ? test.statistic.toFixed(3) : test.year;
+                bodyHtml += `<td${cls}>${first}</td><td${cls}>${test.pValue.toFixed(3)}</td>`;
+            });
+            const changeYear = this.changeYearFor(duration);
+            let sampleCell = `<td>${result.n}</td>`;
+            if (changeYear !== null) {
+                sampleCell = `<td class="table-info">${result.postChangeCount} (${changeYear} 年起)</td>`;
+            } else if (this.postChangeOnly && result.changeYear !== null) {
+                sampleCell = `<td class="text-muted" title="變異點之後的樣本數少於 ${homogeneityTest.MinSampleSize} 年，仍分析全部資料">${result.n}</td>`;
+            }
+            bodyHtml += `<td>${result.rejections}</td>` +
+                `<td${classCls[result.classification]}>${homogeneityTest.menuClass[result.classification - 1]}</td>` +
+                `<td>${result.changeYear ?? '-'}</td>${sampleCell}</tr>`;
+        });
+        this.elements.homogeneityTableBody.html(bodyHtml);
+    }
+
     /**
      * 針對指定延時，計算並將所有機率分布在不同重現期的推估降雨量，生成 HTML 表格並顯示在頁面上。
      * @param {number} duration - 降雨延時（分鐘）。
@@ -214,8 +655,14 @@ export class UIManager {
             return;
         }
 
-        // 2. 建立頻率分析實例
-        const fa = new FrequencyAnalysis();
+        // 2. 建立頻率分析及信賴區間計算實例
+        const fa = new FrequencyAnalysis(this.analysisOptions());
+        const ci = new ConfidenceInterval({
+            ...this.analysisOptions(),
+            // 最大概似法每次模擬都需最佳化，減少模擬次數以免畫面停頓過久
+            replicates: this.fittingMethod === fa.FittingMethod.MaximumLikelihood ? 200 : 1000
+        });
+        const levelText = `${Math.round(this.ciLevel * 100)}%`;
 
         // 3. 建立 HTML 表格字串
         let tableHtml = '<table class="table table-bordered table-striped table-sm">';
@@ -230,10 +677,29 @@ export class UIManager {
 
         // 建立表格內容
         tableHtml += '<tbody>';
+        let warningHtml = '';
         for (let distType = 1; distType <= fa.menuDr.length; distType++) {
             const distName = fa.menuDr[distType - 1];
             tableHtml += `<tr><td id="dist-name-${distType}">${distName}</td>`;
 
+            // 三參數對數常態分佈：樣本為負偏態時 findTau() 無法求得下限，提示使用者
+            if (distType === fa.DistributionType.LogNormal3 && fa.fit(distType, rainData).negativeSkew) {
+                warningHtml += `<div class="alert alert-warning" role="alert">
+                    注意：延時 ${duration} 分鐘的樣本為負偏態 (最大值 + 最小值 < 2 × 中位數)，不適合三參數對數常態分佈，
+                    下限 tau 已設為 0 (等同二參數對數常態分佈)。</div>`;
+            }
+
+            // 對數皮爾遜第三型分佈：偵測到低值離群時以條件機率調整，提示使用者
+            const lowOutliers = distType === fa.DistributionType.LogPearsonType3 ? fa.fit(distType, rainData).lowOutliers : null;
+            if (lowOutliers && lowOutliers.count > 0) {
+                const adjusted = lowOutliers.adjusted
+                    ? `已以條件機率調整 (保留比例 p̂ = ${lowOutliers.pHat.toFixed(3)})`
+                    : '調整後的參數無效，沿用未調整的參數';
+                warningHtml += `<div class="alert alert-info" role="alert">
+                    延時 ${duration} 分鐘偵測到 ${lowOutliers.count} 個低值離群 (低於 ${Math.pow(10, lowOutliers.threshold).toFixed(1)} mm)，
+                    對數皮爾遜第三型分佈${adjusted}。</div>`;
+            }
+
             for (const period of DEFAULT_RETURN_PERIODS) {
                 try {
                     const result = fa.freq(distType, rainData, period);
@@ -245,14 +711,291 @@ export class UIManager {
             }
             tableHtml += `<td id="est-val-${distType}">-</td>`;
             tableHtml += '</tr>';
+
+            // 信賴區間 (下限、上限各一列)
+            try {
+                const limits = ci.compute(distType, rainData, DEFAULT_RETURN_PERIODS, this.ciLevel, this.ciMethod);
+                const methodName = limits[0].method === ci.Method.Analytic ? 'Kite' : 'Bootstrap';
+                for (const [key, label] of [['lower', '下限'], ['upper', '上限']]) {
+                    tableHtml += `<tr class="small text-muted"><td class="text-right">${label} (${levelText}, ${methodName})</td>`;
+                    limits.forEach(limit => {
+                        const value = limit[key];
+                        tableHtml += `<td id="ci-${key}-${distType}-${limit.T}">${Number.isFinite(value) ? value.toFixed(2) : 'N/A'}</td>`;
+                    });
+                    tableHtml += '<td></td></tr>';
+                }
+            } catch (e) {
+                console.error(`信賴區間計算錯誤: ${distName}: ${e.message}`);
+            }
+        }
+
+        // 有歷史資料時，另列期望動差法的對數皮爾遜第三型分佈
+        const historical = this.fitHistorical(duration);
+        if (historical && historical.fit) {
+            const fit = { ...historical.fit, distType: fa.DistributionType.LogPearsonType3 };
+            tableHtml += `<tr class="table-info"><td id="dist-name-ema">${fa.menuDr[fa.DistributionType.LogPearsonType3 - 1]}<br>` +
+                `<small>期望動差法 (含 ${historical.fit.ema.n - rainData.length} 年歷史資料)</small></td>`;
+            for (const period of DEFAULT_RETURN_PERIODS) {
+                const Q = fa.quantile(fit, period).Qest;
+                tableHtml += `<td id="cell-ema-${period}">${Number.isFinite(Q) ? Q.toFixed(2) : 'N/A'}</td>`;
+            }
+            tableHtml += '<td></td></tr>';
         }
         tableHtml += '</tbody></table>';
 
         // 4. 將表格插入到指定的 div 中
-        $('#Freq-Results-Table').html(tableHtml);
+        $('#Freq-Results-Table').html(warningHtml + tableHtml);
     }
+
     /**
-     * 產生並填入卡方檢定結果表
+     * 針對指定延時，以各參數推估法計算所有機率分布的推估降雨量，並列於同一表格中比較。
+     * @param {number} duration - 降雨延時（分鐘）。
+     */
+    static generateMethodComparisonTable(duration) {
+        const rainData = getDurationRain(this.data, duration);
+        if (!rainData || rainData.length === 0) {
+            $('#Freq-Compare-Table').html('<p class="text-danger text-center">此延時無有效降雨資料。</p>');
+            return;
+        }
+
+        const fa = new FrequencyAnalysis();
+        const methods = Object.values(fa.FittingMethod);
+        const methodNames = fa.estimator.menuMethod;
+        const analyzers = methods.map(method => new FrequencyAnalysis({ ...this.analysisOptions(), fittingMethod: method }));
+
+        let tableHtml = '<table class="table table-bordered table-sm">';
+        tableHtml += '<thead><tr><th>機率分布</th><th>推估法</th>';
+        DEFAULT_RETURN_PERIODS.forEach(p => {
+            tableHtml += `<th>${p}年</th>`;
+        });
+        tableHtml += '</tr></thead><tbody>';
+
+        for (let distType = 1; distType <= fa.menuDr.length; distType++) {
+            analyzers.forEach((analyzer, index) => {
+                tableHtml += '<tr>';
+                if (index === 0) {
+                    tableHtml += `<td rowspan="${analyzers.length}" class="align-middle">${fa.menuDr[distType - 1]}</td>`;
+                }
+                tableHtml += `<td>${methodNames[methods[index] - 1]}</td>`;
+                for (const period of DEFAULT_RETURN_PERIODS) {
+                    try {
+                        const result = analyzer.freq(distType, rainData, period);
+                        tableHtml += `<td>${result.Qest.toFixed(2)}</td>`;
+                    } catch (e) {
+                        tableHtml += '<td>N/A</td>';
+                    }
+                }
+                tableHtml += '</tr>';
+            });
+        }
+        tableHtml += '</tbody></table>';
+
+        $('#Freq-Compare-Table').html(tableHtml);
+        this.generateMLETable(rainData);
+    }
+
+    /**
+     * 產生最大概似法推估參數表，列出各機率分布的參數、對數概似值、迭代次數及收斂情形。
+     * @param {number[]} rainData - 指定延時的年最大降雨量。
+     */
+    static generateMLETable(rainData) {
+        const fa = new FrequencyAnalysis();
+        fa.fittingMethod = fa.FittingMethod.MaximumLikelihood;
+        const paramNames = { mean: "μ", std: "σ", location: "位置", scale: "尺度", shape: "形狀", tau: "τ" };
+
+        let tableHtml = '<table class="table table-bordered table-striped table-sm">';
+        tableHtml += '<thead><tr><th>機率分布</th><th>推估參數</th><th>對數概似值</th><th>迭代次數</th><th>收斂</th><th>備註</th></tr></thead><tbody>';
+        for (let distType = 1; distType <= fa.menuDr.length; distType++) {
+            tableHtml += `<tr><td>${fa.menuDr[distType - 1]}</td>`;
+            try {
+                const { mle } = fa.freq(distType, rainData, 100);
+                const params = Object.entries(mle.parameters)
+                    .map(([key, value]) => `${paramNames[key] || key} = ${value.toPrecision(5)}`)
+                    .join(", ");
+                tableHtml += `<td>${params}</td>`;
+                tableHtml += `<td>${Number.isFinite(mle.logLikelihood) ? mle.logLikelihood.toFixed(2) : '-'}</td>`;
+                tableHtml += `<td>${mle.iterations}</td>`;
+                tableHtml += mle.converged ?
+                    '<td class="text-success">是</td>' :
+                    '<td class="text-danger font-weight-bold">否</td>';
+                tableHtml += `<td>${mle.fallback ? '未收斂，改用動差法' : mle.message}</td>`;
+            } catch (e) {
+                console.error(`最大概似法推估錯誤: ${fa.menuDr[distType - 1]}: ${e.message}`);
+                tableHtml += '<td colspan="5">N/A</td>';
+            }
+            tableHtml += '</tr>';
+        }
+        tableHtml += '</tbody></table>';
+
+        $('#MLE-Results-Table').html(tableHtml);
+    }
+
+    /**
+     * 產生對數皮爾遜第三型分佈的偏態係數加權表：各延時並列測站偏態、區域偏態及加權偏態 (log10 尺度) 與各自的均方誤差，
+     * 以及 100 年重現期的推估雨量。測站偏態為低值離群調整後的值；未輸入區域偏態時僅列測站偏態。
+     */
+    static generateSkewWeightingTable() {
+        const $container = this.elements.skewWeightingTable;
+        if (!this.data || this.data.length === 0) {
+            $container.empty();
+            return;
+        }
+        const station = new FrequencyAnalysis({ ...this.analysisOptions(), regionalSkew: null });
+        const weighted = new FrequencyAnalysis(this.analysisOptions());
+        const lp3 = station.DistributionType.LogPearsonType3;
+        const num = (v, digits) => (Number.isFinite(v) ? v.toFixed(digits) : '-');
+
+        let html = '<table class="table table-bordered table-sm text-center mb-0"><thead>' +
+            '<tr><th rowspan="2">延時 (min)</th><th rowspan="2">樣本數</th><th colspan="2">測站偏態</th><th colspan="2">區域偏態</th>' +
+            '<th rowspan="2">加權偏態</th><th colspan="2">100 年推估雨量 (mm)</th></tr>' +
+            '<tr><th>G<sub>S</sub></th><th>MSE</th><th>G<sub>R</sub></th><th>MSE</th><th>測站偏態</th><th>加權偏態</th></tr></thead><tbody>';
+        getDurations(this.data).forEach(duration => {
+            const rain = getDurationRain(this.data, duration);
+            if (rain.length < 3) return;
+            try {
+                const stationFit = station.fit(lp3, rain);
+                const weightedFit = weighted.fit(lp3, rain);
+                const w = weightedFit.skewWeighting;
+                html += `<tr><td>${duration}</td><td>${rain.length}</td>` +
+                    `<td>${num(stationFit.Cs, 3)}</td><td>${num(station.utils.skewMSE(stationFit.Cs, rain.length), 3)}</td>` +
+                    `<td>${w ? num(w.regional, 3) : '-'}</td><td>${w ? num(w.regionalMSE, 3) : '-'}</td>` +
+                    `<td${w ? ' class="table-info"' : ''}>${w ? num(w.weighted, 3) : '-'}</td>` +
+                    `<td>${num(station.quantile(stationFit, 100).Qest, 1)}</td>` +
+                    `<td>${w ? num(weighted.quantile(weightedFit, 100).Qest, 1) : '-'}</td></tr>`;
+            } catch (e) {
+                console.error(`偏態係數加權計算錯誤: 延時 ${duration}: ${e.message}`);
+            }
+        });
+        html += '</tbody></table>';
+        $container.html(`<p class="font-weight-bold mb-1 mt-2">對數皮爾遜第三型分佈偏態係數 (log10 尺度)</p>${html}` +
+            '<div class="p-2 small">註: 測站偏態的均方誤差依 Bulletin 17B 近似式計算，加權偏態 G<sub>W</sub> = (MSE<sub>R</sub>·G<sub>S</sub> + MSE<sub>S</sub>·G<sub>R</sub>) / (MSE<sub>S</sub> + MSE<sub>R</sub>)。' +
+            '輸入區域偏態後，頻率分析結果、DDF 及 IDF 的對數皮爾遜第三型分佈均改用加權偏態。</div>');
+    }
+
+    /**
+     * 以期望動差法推估指定延時含歷史資料的對數皮爾遜第三型分佈參數。
+     * 選擇低值離群檢定時，系統紀錄中的低值離群改為小於門檻的設限資料 (Bulletin 17C)。
+     * @param {number|string} duration - 降雨延時（分鐘）。
+     * @returns {{fit: (Object|null), observations: Array<Object>, skipped: number[], error: (string|null)}|null}
+     *   ExpectedMoments.fit() 的推估結果、區間資料及略過的年份；此延時沒有歷史資料時回傳 null，推估失敗時 fit 為 null。
+     */
+    static fitHistorical(duration) {
+        const historical = this.historicalData[duration];
+        if (!historical || !this.data) return null;
+        const ema = new ExpectedMoments({ regionalSkew: this.regionalSkew });
+        const outliers = this.detectOutliers(duration);
+        const lowThreshold = outliers.low.length > 0 ? outliers.lowThreshold : -Infinity;
+        const { observations, skipped } = ema.buildObservations(getDurationRecords(this.data, duration), historical, lowThreshold);
+        try {
+            return { fit: ema.fit(observations), observations, skipped, error: null };
+        } catch (e) {
+            return { fit: null, observations, skipped, error: e.message };
+        }
+    }
+
+    /**
+     * 讀取歷史資料輸入欄位並儲存為目前延時的歷史資料，格式有誤時列出錯誤的行號。
+     * 歷史資料及感知門檻皆為空白時清除此延時的歷史資料。
+     */
+    static applyHistoricalData() {
+        const duration = this.elements.durationSelect.val();
+        const text = this.elements.emaInput.val() || '';
+        const startYear = parseInt(this.elements.emaStartYearInput.val(), 10);
+        const threshold = parseFloat(this.elements.emaThresholdInput.val());
+        this.elements.emaMessage.empty();
+
+        let observations;
+        try {
+            observations = parseHistoricalData(text);
+        } catch (e) {
+            const list = (e.errors || [{ line: 1, column: null, message: e.message }]).slice(0, 20)
+                .map(error => `<li>${escapeHtml(formatCSVError(error))}</li>`).join('');
+            this.elements.emaMessage.html(`<div class="text-danger">歷史資料格式有誤：<ul class="mb-0">${list}</ul></div>`);
+            return;
+        }
+        if (observations.length === 0 && !(threshold > 0)) {
+            delete this.historicalData[duration];
+        } else {
+            this.historicalData[duration] = {
+                startYear: Number.isFinite(startYear) ? startYear : undefined,
+                threshold: threshold > 0 ? threshold : undefined,
+                text,
+                observations
+            };
+        }
+        this.generateRainfallTable(duration);
+        this.generateEMATable(duration);
+    }
+
+    /**
+     * 切換延時時，將該延時已儲存的歷史資料填回輸入欄位。
+     * @param {number|string} duration - 降雨延時（分鐘）。
+     */
+    static loadHistoricalInputs(duration) {
+        const historical = this.historicalData[duration] || {};
+        this.elements.emaStartYearInput.val(historical.startYear ?? '');
+        this.elements.emaThresholdInput.val(historical.threshold ?? '');
+        this.elements.emaInput.val(historical.text || '');
+        this.elements.emaMessage.empty();
+    }
+
+    /**
+     * 產生期望動差法結果表：列出資料組成、推估參數，並比較僅用系統紀錄與含歷史資料的推估雨量。
+     * @param {number|string} duration - 降雨延時（分鐘）。
+     */
+    static generateEMATable(duration) {
+        const $container = this.elements.emaTable;
+        const historical = this.fitHistorical(duration);
+        if (!historical) {
+            $container.html('<p class="text-muted mb-0">此延時尚未設定歷史資料。</p>');
+            return;
+        }
+        const ema = new ExpectedMoments();
+        const fa = new FrequencyAnalysis(this.analysisOptions());
+        const count = source => historical.observations.filter(o => o.source === source).length;
+        let html = '';
+        if (historical.skipped.length > 0) {
+            html += `<div class="alert alert-warning py-1 mb-2">${historical.skipped.join('、')} 年已有系統紀錄或重複輸入，歷史資料不予採用。</div>`;
+        }
+        html += '<p class="mb-1">' + Object.values(ema.Source)
+            .map(source => `${ema.menuSource[source - 1]} ${count(source)} 年`).join('，') + '。</p>';
+        if (!historical.fit) {
+            $container.html(html + `<p class="text-danger mb-0">${escapeHtml(historical.error)}</p>`);
+            return;
+        }
+
+        const { M, SD, Cs, ema: info, skewWeighting } = historical.fit;
+        const skewText = skewWeighting
+            ? `加權偏態係數 ${Cs.toFixed(4)} (測站 ${skewWeighting.station.toFixed(4)}，區域 ${skewWeighting.regional.toFixed(4)})`
+            : `偏態係數 ${Cs.toFixed(4)}`;
+        html += `<p class="mb-1">log10 尺度參數：平均值 ${M.toFixed(4)}，標準差 ${SD.toFixed(4)}，${skewText}` +
+            `；共 ${info.n} 年 (設限或區間 ${info.censored} 年)，迭代 ${info.iterations} 次${info.converged ? '' : '，<span class="text-danger">未收斂</span>'}。</p>`;
+
+        const lp3 = fa.DistributionType.LogPearsonType3;
+        const rows = [];
+        try {
+            const systematic = fa.fit(lp3, getDurationRain(this.data, duration));
+            rows.push(['僅系統紀錄', systematic]);
+        } catch (e) {
+            console.error(`對數皮爾遜第三型分佈推估錯誤: ${e.message}`);
+        }
+        rows.push(['期望動差法 (含歷史資料)', { ...historical.fit, distType: lp3 }]);
+        html += '<table class="table table-bordered table-sm text-center mb-0"><thead><tr><th>對數皮爾遜第三型分佈</th>';
+        DEFAULT_RETURN_PERIODS.forEach(T => html += `<th>${T}年</th>`);
+        html += '</tr></thead><tbody>';
+        rows.forEach(([label, fit]) => {
+            html += `<tr><td>${label}</td>`;
+            DEFAULT_RETURN_PERIODS.forEach(T => {
+                const Q = fa.quantile(fit, T).Qest;
+                html += `<td>${Number.isFinite(Q) ? Q.toFixed(2) : 'N/A'}</td>`;
+            });
+            html += '</tr>';
+        });
+        html += '</tbody></table>';
+        $container.html(html);
+    }
+    /**
+     * 產生並填入卡方檢定、Anderson-Darling 檢定及 PPCC 檢定結果表 (每個延時各一欄)
      */
     static generateChiSquareTestTable() {
         if (!this.data || this.data.length === 0) {
@@ -270,17 +1013,23 @@ export class UIManager {
         $thead.empty();
         $tbody.empty();
 
-        // 2. 建立表頭
-        let headerHtml = '<tr><th>機率分布</th>';
+        // 2. 建立表頭 (兩列：延時、檢定方法)
+        let headerHtml = '<tr><th rowspan="2" class="align-middle">機率分布</th>';
         durations.forEach(duration => {
-            headerHtml += `<th>${duration}分鐘</th>`;
+            headerHtml += `<th colspan="3">${duration}分鐘</th>`;
+        });
+        headerHtml += '</tr><tr>';
+        durations.forEach(() => {
+            headerHtml += '<th>卡方</th><th>AD</th><th>PPCC</th>';
         });
         headerHtml += '</tr>';
         $thead.html(headerHtml);
 
         // 3. 實例化檢定類別
-        const chi2Test = new ChiSquareTest();
-        const numDistributions = 5; // 根據 getDistributionString 的數量
+        const chi2Test = new ChiSquareTest(this.analysisOptions());
+        const adTest = new AndersonDarlingTest(this.analysisOptions());
+        const ppccTest = new PPCCTest(this.analysisOptions());
+        const numDistributions = chi2Test.menudr.length; // 與 getDistributionString 的數量一致
         let confidenceIndex = 2; // 95% 置信度
 
         // 4. 建立表格內容
@@ -292,16 +1041,36 @@ export class UIManager {
                 const rainData = getDurationRain(this.data, duration);
 
                 if (!rainData || rainData.length === 0) {
-                    rowHtml += `<td>-</td>`;
+                    rowHtml += `<td>-</td><td>-</td><td>-</td>`;
                     return; // forEach continue
                 }
 
-                const testResult = chi2Test.chi2Test(distType, rainData, confidenceIndex);
-                // console.log(testResult)
-                const cellContent = testResult.fitted ?
+                const passFail = fitted => fitted ?
                     '<span class="text-success">通過</span>' :
                     '<span class="text-danger font-weight-bold">不通過</span>';
-                rowHtml += `<td>${cellContent}</td>`;
+
+                const testResult = chi2Test.chi2Test(distType, rainData, confidenceIndex);
+                // console.log(testResult)
+                rowHtml += `<td>${passFail(testResult.fitted)}</td>`;
+
+                try {
+                    const adResult = adTest.runTest(distType, rainData, confidenceIndex);
+                    const a2Text = adResult.Outside > 0 ? `∞ (${adResult.Outside} 筆資料超出分布範圍)` : adResult.ModifiedA2.toFixed(3);
+                    rowHtml += `<td title="A² = ${a2Text}, 臨界值 = ${adResult.CriticalValue.toFixed(3)}">${passFail(adResult.fitted)}</td>`;
+                } catch (e) {
+                    console.error(`AD 檢定錯誤: ${distName}, ${duration}分鐘: ${e.message}`);
+                    rowHtml += '<td>-</td>';
+                }
+
+                // PPCC 檢定顯示相關係數 r，顏色表示是否通過
+                try {
+                    const ppccResult = ppccTest.runTest(distType, rainData, confidenceIndex);
+                    const cls = ppccResult.fitted ? 'text-success' : 'text-danger font-weight-bold';
+                    rowHtml += `<td class="${cls}" title="臨界值 = ${ppccResult.CriticalValue.toFixed(4)}">${ppccResult.r.toFixed(4)}</td>`;
+                } catch (e) {
+                    console.error(`PPCC 檢定錯誤: ${distName}, ${duration}分鐘: ${e.message}`);
+                    rowHtml += '<td>-</td>';
+                }
             });
 
             rowHtml += '</tr>';
@@ -309,6 +1078,444 @@ export class UIManager {
         }
     }
 
+    /**
+     * 對每個延時執行最佳機率分布評選，產生建議機率分布表，並顯示目前延時的統計檢定總覽表。
+     */
+    static generateBestFitTable() {
+        const $table = $("#bestFitTable");
+        this.bestFitResults = {};
+        if (!this.data || this.data.length === 0) {
+            $table.find("tbody").html(`<tr><td colspan="99" class="text-center">無有效降雨資料</td></tr>`);
+            return;
+        }
+
+        const ranker = new BestFitRanking(this.analysisOptions());
+        $table.find("thead").html('<tr><th>延時 (分鐘)</th><th>建議機率分布</th><th>總分</th><th>通過檢定數</th><th>次佳機率分布</th><th>總分</th></tr>');
+
+        let bodyHtml = '';
+        getDurations(this.data).forEach(duration => {
+            const rainData = getDurationRain(this.data, duration);
+            if (!rainData || rainData.length === 0) {
+                bodyHtml += `<tr><td>${duration}</td><td colspan="5">無有效降雨資料</td></tr>`;
+                return;
+            }
+            const result = ranker.rank(rainData);
+            this.bestFitResults[duration] = result;
+
+            const [best, second] = result.ranking;
+            const passed = Object.values(best.tests).filter(Boolean).length;
+            bodyHtml += `<tr><td>${duration}</td>
+                <td class="font-weight-bold">${best.name}</td><td>${best.score.toFixed(2)}</td><td>${passed} / 4</td>
+                <td>${second ? second.name : '-'}</td><td>${second ? second.score.toFixed(2) : '-'}</td></tr>`;
+        });
+        $table.find("tbody").html(bodyHtml);
+
+        this.renderStatisticTestSummary(this.elements.durationSelect.val());
+    }
+
+    /**
+     * 以 StatisticTestSummary 顯示指定延時各機率分布的檢定結果、指標及得分。
+     * @param {number|string} duration - 降雨延時（分鐘）。
+     */
+    static renderStatisticTestSummary(duration) {
+        const result = this.bestFitResults[duration];
+        if (!result) {
+            $("#statTestSummary").empty();
+            return;
+        }
+        const summary = new StatisticTestSummary(result.ranking, "statTestSummary", this.staNo, duration);
+        summary.render();
+    }
+
+    /**
+     * 依設計雨量機率分布選單決定各延時採用的機率分布。選單第一次使用時填入各機率分布選項。
+     * 選擇「各延時建議機率分布」時採用 bestFitResults 的建議，尚未評選的延時改用對數皮爾遜第三型分布。
+     * @param {JQuery} $select - 機率分布選單 (值 0 為各延時建議機率分布)。
+     * @param {number[]} durations - 延時陣列 (分鐘)。
+     * @returns {Object.<string, number>} 以延時為鍵值的頻率分佈型態 (FrequencyAnalysis.DistributionType)。
+     */
+    static getDesignDistTypes($select, durations) {
+        const fa = new FrequencyAnalysis();
+        if ($select.find("option").length === 1) {
+            fa.menuDr.forEach((name, i) => $select.append($('<option>', { value: i + 1, text: name })));
+        }
+        const selected = parseInt($select.val(), 10);
+        const distTypes = {};
+        durations.forEach(duration => {
+            const best = this.bestFitResults[duration];
+            if (selected) {
+                distTypes[duration] = selected;
+            } else {
+                distTypes[duration] = best && best.recommended ? best.recommended.distType : fa.DistributionType.LogPearsonType3;
+            }
+        });
+        return distTypes;
+    }
+
+    /**
+     * 產生雨量-延時-頻率 (DDF) 表：彙整所有延時、所有重現期的設計雨量，並繪製 DDF 曲線圖。
+     */
+    static generateDDFTable() {
+        const $table = this.elements.ddfTable;
+        if (!this.data || this.data.length === 0) {
+            $table.find("tbody").html(`<tr><td colspan="99" class="text-center">無有效降雨資料</td></tr>`);
+            return;
+        }
+
+        const idf = new IDFCurve(this.analysisOptions());
+        const fa = new FrequencyAnalysis();
+        const durations = getDurations(this.data);
+        const distTypes = this.getDesignDistTypes(this.elements.ddfDistSelect, durations);
+        const design = idf.designRainfall(this.data, durations, DEFAULT_RETURN_PERIODS, distTypes);
+
+        let headHtml = '<tr><th>延時 (分鐘)</th><th>機率分布</th>';
+        DEFAULT_RETURN_PERIODS.forEach(T => headHtml += `<th>${T}年</th>`);
+        headHtml += '</tr>';
+
+        let bodyHtml = '';
+        durations.forEach((duration, j) => {
+            bodyHtml += `<tr><td>${duration}</td><td>${fa.menuDr[distTypes[duration] - 1]}</td>`;
+            DEFAULT_RETURN_PERIODS.forEach((T, i) => {
+                const value = design.depth[i][j];
+                bodyHtml += `<td>${Number.isFinite(value) ? value.toFixed(1) : 'N/A'}</td>`;
+            });
+            bodyHtml += '</tr>';
+        });
+        $table.find("thead").html(headHtml);
+        $table.find("tbody").html(bodyHtml);
+
+        this.ddfResults = { design, distTypes };
+        new DrawDDFChart(this.elements.ddfChart).render(design);
+    }
+
+    /**
+     * 將 DDF 設計雨量矩陣匯出成 JSON 檔案。
+     * 格式: {staNo, fittingMethod, ktMethod, lowOutlierMethod, regionalSkew, returnPeriods, durations, distributions: {延時: 機率分布}, depth: {延時: {重現期: 雨量}}}。
+     */
+    static exportDDFToJSON() {
+        if (!this.ddfResults) {
+            alert("尚無 DDF 資料可供匯出。");
+            return;
+        }
+        const fa = new FrequencyAnalysis();
+        const { design, distTypes } = this.ddfResults;
+        const distributions = {}, depth = {};
+        design.durations.forEach((duration, j) => {
+            distributions[duration] = fa.menuDr[distTypes[duration] - 1];
+            depth[duration] = {};
+            design.returnPeriods.forEach((T, i) => {
+                const value = design.depth[i][j];
+                depth[duration][T] = Number.isFinite(value) ? Number(value.toFixed(2)) : null;
+            });
+        });
+        const json = {
+            staNo: this.staNo,
+            fittingMethod: this.elements.fittingMethodSelect.find("option:selected").text(),
+            ktMethod: this.elements.ktMethodSelect.find("option:selected").text(),
+            lowOutlierMethod: this.elements.lowOutlierSelect.find("option:selected").text(),
+            regionalSkew: this.regionalSkew,
+            returnPeriods: design.returnPeriods,
+            durations: design.durations,
+            distributions,
+            depth
+        };
+
+        const file = new Blob([JSON.stringify(json, null, 2)], { type: "application/json;charset=utf-8;" });
+        const downloadLink = document.createElement("a");
+        downloadLink.download = `${this.staNo}_DDF.json`;
+        downloadLink.href = window.URL.createObjectURL(file);
+        downloadLink.style.display = "none";
+        document.body.appendChild(downloadLink);
+        downloadLink.click();
+        document.body.removeChild(downloadLink);
+    }
+
+    /**
+     * 以各延時的設計雨量迴歸降雨強度公式 (Horner、Talbot、Sherman、水利署)，
+     * 產生係數及適合度表，並以選擇的公式繪製 IDF 曲線圖。
+     * 設計雨量預設採用各延時的建議機率分布 (bestFitResults)，尚未評選的延時改用對數皮爾遜第三型分布。
+     */
+    static generateIDFTable() {
+        const $table = this.elements.idfTable;
+        if (!this.data || this.data.length === 0) {
+            $table.find("tbody").html(`<tr><td colspan="99" class="text-center">無有效降雨資料</td></tr>`);
+            return;
+        }
+
+        const idf = new IDFCurve(this.analysisOptions());
+        const $formula = this.elements.idfFormulaSelect;
+        if ($formula.find("option").length === 0) {
+            idf.menuFormula.forEach((name, i) => $formula.append($('<option>', { value: i + 1, text: name })));
+        }
+
+        const durations = getDurations(this.data);
+        const distTypes = this.getDesignDistTypes(this.elements.idfDistSelect, durations);
+        const design = idf.designRainfall(this.data, durations, DEFAULT_RETURN_PERIODS, distTypes);
+
+        const num = (value, digits) => Number.isFinite(value) ? value.toFixed(digits) : 'N/A';
+        const fits = {};
+        let bodyHtml = '';
+        Object.values(idf.FormulaType).forEach(formulaType => {
+            const name = idf.menuFormula[formulaType - 1];
+            let fitted;
+            try {
+                fitted = idf.fit(formulaType, design);
+            } catch (e) {
+                console.error(`IDF 公式迴歸錯誤: ${name}: ${e.message}`);
+                bodyHtml += `<tr><td>${name}</td><td colspan="5" class="text-muted">${e.message}</td></tr>`;
+                return;
+            }
+            fits[formulaType] = fitted;
+
+            if (formulaType === idf.FormulaType.WRA) {
+                const { A, B, C, G, H, I6025 } = fitted.results[0].coefficients;
+                bodyHtml += `<tr><td>${name}</td><td>全部</td>
+                    <td class="text-left">G = ${num(G, 4)}, H = ${num(H, 4)}, A = ${num(A, 4)}, B = ${num(B, 3)}, C = ${num(C, 4)}, I₆₀²⁵ = ${num(I6025, 2)}</td>
+                    <td>${num(fitted.overall.R2, 4)}</td><td>${num(fitted.overall.RMSE, 2)}</td><td>${num(fitted.overall.MAPE, 2)}</td></tr>`;
+                return;
+            }
+            fitted.results.forEach((result, i) => {
+                const { a, b, c } = result.coefficients;
+                const terms = [`a = ${num(a, 2)}`];
+                if (b !== undefined) terms.push(`b = ${num(b, 3)}`);
+                if (c !== undefined) terms.push(`c = ${num(c, 4)}`);
+                bodyHtml += '<tr>';
+                if (i === 0) bodyHtml += `<td rowspan="${fitted.results.length}">${name}</td>`;
+                bodyHtml += `<td>${result.T}</td><td class="text-left">${terms.join(', ')}</td>
+                    <td>${num(result.R2, 4)}</td><td>${num(result.RMSE, 2)}</td><td>${num(result.MAPE, 2)}</td></tr>`;
+            });
+        });
+        $table.find("thead").html('<tr><th>公式</th><th>重現期 (年)</th><th>係數</th><th>R²</th><th>RMSE (mm/hr)</th><th>MAPE (%)</th></tr>');
+        $table.find("tbody").html(bodyHtml);
+
+        this.idfResults = { design, fits };
+        this.drawIDFChart();
+    }
+
+    /**
+     * 以 IDF 圖公式選單選擇的公式繪製 IDF 曲線圖。
+     */
+    static drawIDFChart() {
+        if (!this.idfResults) return;
+        const formulaType = parseInt(this.elements.idfFormulaSelect.val(), 10);
+        const fitted = this.idfResults.fits[formulaType];
+        if (!fitted) {
+            $.plot(this.elements.idfChart, [], {});
+            return;
+        }
+        const idf = new IDFCurve();
+        new DrawIDFChart(this.elements.idfChart).render(this.idfResults.design, fitted,
+            (type, coefficients, t, T) => idf.intensity(type, coefficients, t, T));
+    }
+
+    /**
+     * 依選擇的雨型、重現期、降雨延時、時距及尖峰位置產生設計雨型表及柱狀圖。
+     * 設計雨量取自 DDF 表 (ddfResults)，芝加哥雨型的 Horner 係數取自 IDF 表 (idfResults)。
+     */
+    static generateHyetograph() {
+        const hyetograph = new DesignHyetograph();
+        const $method = this.elements.hyetographMethodSelect;
+        if ($method.find("option").length === 0) {
+            hyetograph.menuMethod.forEach((name, i) => $method.append($('<option>', { value: i + 1, text: name })));
+        }
+        const $rp = this.elements.hyetographRpSelect;
+        if ($rp.find("option").length === 0) {
+            DEFAULT_RETURN_PERIODS.forEach(T => $rp.append($('<option>', { value: T, text: `${T} 年`, selected: T === 25 })));
+        }
+
+        const $table = this.elements.hyetographTable;
+        $table.find("thead, tbody").empty();
+        this.elements.hyetographMessage.empty();
+        if (!this.ddfResults) {
+            return;
+        }
+
+        const method = parseInt($method.val(), 10);
+        const T = parseFloat($rp.val());
+        const index = this.ddfResults.design.returnPeriods.indexOf(T);
+        const options = {
+            duration: parseFloat(this.elements.hyetographDurationInput.val()),
+            timeStep: parseFloat(this.elements.hyetographTimeStepInput.val()),
+            peakRatio: parseFloat(this.elements.hyetographPeakInput.val())
+        };
+        let result;
+        try {
+            const { durations, depth } = this.ddfResults.design;
+            options.depthAt = hyetograph.depthInterpolator(durations, depth[index]);
+            const horner = this.idfResults && this.idfResults.fits[new IDFCurve().FormulaType.Horner];
+            options.horner = horner ? horner.results[index].coefficients : null;
+            result = hyetograph.generate(method, options);
+        } catch (e) {
+            this.elements.hyetographMessage.html(`<span class="text-danger">${e.message}</span>`);
+            $.plot(this.elements.hyetographChart, [], {});
+            return;
+        }
+
+        const peak = result.blocks.reduce((max, b) => (b.depth > max.depth ? b : max), result.blocks[0]);
+        this.elements.hyetographMessage.html(
+            `${result.name}，重現期 ${T} 年，總雨量 ${result.totalDepth.toFixed(1)} mm，` +
+            `尖峰時距 ${peak.start}~${peak.end} 分鐘 (${peak.depth.toFixed(1)} mm)。`
+        );
+
+        $table.find("thead").html('<tr><th>起始時間 (分鐘)</th><th>結束時間 (分鐘)</th><th>時距雨量 (mm)</th><th>累積雨量 (mm)</th><th>降雨強度 (mm/hr)</th></tr>');
+        const bodyHtml = result.blocks.map(b =>
+            `<tr><td>${b.start}</td><td>${b.end}</td><td>${b.depth.toFixed(2)}</td><td>${b.cumulative.toFixed(2)}</td><td>${b.intensity.toFixed(2)}</td></tr>`
+        ).join('');
+        $table.find("tbody").html(bodyHtml);
+
+        new DrawHyetographChart(this.elements.hyetographChart).render(result);
+    }
+
+    /**
+     * 以「輸入資料」頁籤的原始雨量紀錄執行部分延時序列 (POT) 分析，列出廣義 Pareto、指數分佈及
+     * 年最大值序列 (該延時的建議機率分布) 在各重現期的推估雨量，並繪製比較圖。
+     */
+    static generatePOTAnalysis() {
+        const $table = this.elements.potTable;
+        $table.find("thead, tbody").empty();
+        this.elements.potMessage.empty();
+        const text = $("#series-input").val() || '';
+        if (!text.trim()) {
+            this.elements.potMessage.html('<span class="text-danger">請先於「輸入資料」頁籤貼上或上傳逐時 / 10 分鐘雨量紀錄。</span>');
+            return;
+        }
+
+        const pot = new PartialDuration();
+        const duration = parseFloat(this.elements.potDurationInput.val());
+        const method = parseInt(this.elements.potMethodSelect.val(), 10);
+        const value = parseFloat(this.elements.potThresholdInput.val());
+        const options = {
+            method,
+            threshold: method === pot.SelectionMethod.Threshold ? value : undefined,
+            topN: method === pot.SelectionMethod.TopNPerYear ? Math.max(1, Math.round(value)) : undefined,
+            minInterEventHours: parseFloat(this.elements.potIetInput.val()) || 0,
+            yearType: $("#series-year-type").val(),
+            waterYearStartMonth: parseInt($("#series-wy-month").val(), 10) || 10
+        };
+        const returnPeriods = DEFAULT_RETURN_PERIODS;
+
+        let result;
+        try {
+            result = pot.analyze(parseRainSeries(text), duration, options, returnPeriods);
+        } catch (e) {
+            this.elements.potMessage.html(`<span class="text-danger">${e.message}</span>`);
+            $.plot(this.elements.potChart, [], {});
+            return;
+        }
+
+        const gpd = result.fits[pot.DistributionType.GeneralizedPareto];
+        const exp = result.fits[pot.DistributionType.Exponential];
+        this.elements.potMessage.html(
+            `紀錄 ${result.years.toFixed(1)} 年，選取 ${result.peaks.length} 個事件 (每年平均 λ = ${result.rate.toFixed(2)})，` +
+            `門檻值 ${result.threshold.toFixed(1)} mm。GPD: α = ${gpd.alpha.toFixed(3)}, k = ${gpd.k.toFixed(4)}；指數分佈: β = ${exp.alpha.toFixed(3)}。`
+        );
+
+        // 年最大值序列：該延時的建議機率分布 (尚未評選時採用對數皮爾遜第三型分布)
+        let ams = null;
+        if (this.data && this.data.length > 0 && getDurations(this.data).includes(duration)) {
+            const fa = new FrequencyAnalysis(this.analysisOptions());
+            const best = this.bestFitResults[duration];
+            const distType = best && best.recommended ? best.recommended.distType : fa.DistributionType.LogPearsonType3;
+            try {
+                const fit = fa.fit(distType, getDurationRain(this.data, duration));
+                ams = { name: fa.menuDr[distType - 1], values: returnPeriods.map(T => fa.quantile(fit, T).Qest) };
+            } catch (e) {
+                console.error(`年最大值序列推估錯誤: ${e.message}`);
+            }
+        }
+
+        const num = v => (Number.isFinite(v) ? v.toFixed(1) : '-');
+        let headHtml = `<tr><th>重現期 T (年)</th><th>T<sub>E</sub> (Langbein)</th>`;
+        pot.menuDr.forEach(name => headHtml += `<th>${name}</th>`);
+        headHtml += `<th>年最大值序列${ams ? `<br><small>${ams.name}</small>` : ''}</th></tr>`;
+        let bodyHtml = '';
+        result.table.forEach((row, i) => {
+            bodyHtml += `<tr><td>${row.T}</td><td>${row.TE.toFixed(3)}</td>`;
+            Object.values(pot.DistributionType).forEach(distType => bodyHtml += `<td>${num(row.estimates[distType])}</td>`);
+            bodyHtml += `<td>${ams ? num(ams.values[i]) : '-'}</td></tr>`;
+        });
+        $table.find("thead").html(headHtml);
+        $table.find("tbody").html(bodyHtml);
+
+        const curves = Object.values(pot.DistributionType).map(distType => ({
+            label: pot.menuDr[distType - 1],
+            points: result.table.map(row => [row.T, row.estimates[distType]])
+        }));
+        if (ams) {
+            curves.push({ label: `年最大值序列 (${ams.name})`, points: returnPeriods.map((T, i) => [T, ams.values[i]]) });
+        }
+        new DrawPOTChart(this.elements.potChart).render(result.empirical, curves);
+    }
+
+    /**
+     * 分析輸入的單場降雨組體圖：求各延時的事件最大雨量及各機率分布的重現期，
+     * 產生降雨事件嚴重度表及圖。各延時的建議機率分布 (bestFitResults) 以綠色標示。
+     */
+    static generateStormSeverityTable() {
+        const $table = this.elements.stormSeverityTable;
+        const text = this.elements.stormInput.val() || '';
+        $table.find("thead, tbody").empty();
+        this.elements.stormMessage.empty();
+        if (!text.trim()) {
+            return;
+        }
+        if (!this.data || this.data.length === 0) {
+            this.elements.stormMessage.html('<span class="text-danger">請先執行頻率分析。</span>');
+            return;
+        }
+
+        const interval = parseFloat(this.elements.stormIntervalInput.val());
+        const storm = new StormEvent({
+            interval: interval > 0 ? interval : 60,
+            ...this.analysisOptions()
+        });
+        let analysis;
+        try {
+            analysis = storm.analyze(this.data, text);
+        } catch (e) {
+            this.elements.stormMessage.html(`<span class="text-danger">組體圖格式錯誤: ${escapeHtml(e.message)}</span>`);
+            return;
+        }
+
+        const total = analysis.depths.reduce((acc, d) => acc + d, 0);
+        this.elements.stormMessage.html(
+            `共 ${analysis.depths.length} 筆，雨量時距 ${analysis.interval} 分鐘，總雨量 ${total.toFixed(1)} mm。`
+        );
+
+        const fa = new FrequencyAnalysis();
+        const names = fa.menuDr;
+        let headHtml = '<tr><th>延時 (分鐘)</th><th>事件最大雨量 (mm)</th><th>發生時間</th>';
+        names.forEach(name => headHtml += `<th>${name}</th>`);
+        headHtml += '</tr>';
+
+        let bodyHtml = '';
+        analysis.durations.forEach(item => {
+            bodyHtml += `<tr><td>${item.duration}</td>`;
+            if (!Number.isFinite(item.depth)) {
+                bodyHtml += `<td colspan="${names.length + 2}" class="text-muted">延時非雨量時距的整數倍</td></tr>`;
+                return;
+            }
+            const start = analysis.times ? analysis.times[item.startIndex] : `第 ${item.startIndex + 1} 時距`;
+            bodyHtml += `<td>${item.depth.toFixed(1)}${item.exceedsRecord ? ' <small class="text-muted">(事件總雨量)</small>' : ''}</td>`;
+            bodyHtml += `<td>${escapeHtml(start)}</td>`;
+
+            const best = this.bestFitResults[item.duration];
+            const recommended = best && best.recommended ? best.recommended.distType : null;
+            names.forEach((name, k) => {
+                const result = item.results ? item.results[k] : null;
+                const cls = recommended === k + 1 ? ' class="table-success font-weight-bold"' : '';
+                bodyHtml += result
+                    ? `<td${cls}>${result.text}<br><small class="text-muted">${result.bucket}</small></td>`
+                    : `<td${cls}>N/A</td>`;
+            });
+            bodyHtml += '</tr>';
+        });
+        $table.find("thead").html(headHtml);
+        $table.find("tbody").html(bodyHtml);
+
+        new DrawStormSeverityChart(this.elements.stormSeverityChart).render(analysis.durations, names);
+    }
+
     /**
      * 將 KS 檢定結果資料填入表格中
      * @param {Object} ksResults - KSTest.runTest() 的回傳結果物件。
@@ -349,7 +1556,7 @@ export class UIManager {
      * 設定重現期查詢功能的事件監聽。
      */
     static setupReturnPeriodFinder() {
-        $('#find-rp-button').on('click', () => {
+        $('#find-rp-button').off('click').on('click', () => {
             const rainfallValue = parseFloat($('#rainfall-value-input').val());
             if (isNaN(rainfallValue) || rainfallValue <= 0) {
                 alert("請輸入一個有效的正降雨量值。");
@@ -364,28 +1571,38 @@ export class UIManager {
             }
 
             // 步驟 A: 為 FindReturnPeriod 準備所需的資料結構
-            const fa = new FrequencyAnalysis();
+            const fa = new FrequencyAnalysis(this.analysisOptions());
             const globalFreqResults = [];
 
             for (let distType = 1; distType <= fa.menuDr.length; distType++) {
+                let fit = null;
+                try {
+                    fit = fa.fit(distType, rainData);
+                } catch (e) {
+                    console.error(`參數推估錯誤: ${fa.menuDr[distType - 1]}: ${e.message}`);
+                }
                 const estmateResults = DEFAULT_RETURN_PERIODS.map(period => {
                     try {
-                        return fa.freq(distType, rainData, period).Qest;
+                        return fa.quantile(fit, period).Qest;
                     } catch (e) {
                         return Infinity; // 錯誤時給定一個不會干擾計算的值
                     }
                 });
-                globalFreqResults.push({ estmateResults });
+                globalFreqResults.push({ estmateResults, fit });
             }
 
-            // 步驟 B: 建立實例並計算重現期
-            const rpFinder = new FindReturnPeriod(globalFreqResults);
-            const rpResults = rpFinder.findRP(rainfallValue);
+            // 步驟 B: 建立實例並由累積分佈函數計算連續重現期
+            const rpFinder = new FindReturnPeriod(globalFreqResults, fa);
+            const rpResults = rpFinder.findRPDetail(rainfallValue);
 
-            // 步驟 C: 更新 UI 表格
+            // 步驟 C: 更新 UI 表格 (重現期為主，超越機率及重現期區間為輔)
             rpResults.forEach((result, index) => {
                 const distType = index + 1;
-                $(`#est-val-${distType}`).text(result);
+                const probText = Number.isFinite(result.T) ? `超越機率 ${(result.exceedanceProbability * 100).toPrecision(3)}%` : '';
+                const secondary = [probText, result.bucket].filter(Boolean).join('，');
+                $(`#est-val-${distType}`).html(
+                    `<strong>${result.text}</strong><br><small class="text-muted">${secondary}</small>`
+                );
             });
         });
     }
@@ -403,10 +1620,18 @@ export class UIManager {
             return;
         }
         // Initialize KS Test for 95% confidence level (index 2)
-        const ksTest = new KSTest(2);
+        const ksTest = new KSTest(2, this.analysisOptions());
 
         distType = distType || ksTest.DistributionType.LogPearsonType3;
         let ks_results = ksTest.runTest(distType, rainData);
+
+        // 一併計算 PPCC 相關係數，顯示於 KS 檢定圖標題
+        try {
+            const ppccTest = new PPCCTest(this.analysisOptions());
+            ks_results.ppcc = ppccTest.runTest(distType, rainData);
+        } catch (e) {
+            console.error(`PPCC 檢定錯誤: ${e.message}`);
+        }
         // console.log(ks_results);
         this.populateKSTestTable(ks_results);
         // 回傳檢定結果
@@ -425,7 +1650,9 @@ export class UIManager {
             "對數常態分布", // value: 2
             "皮爾森第三類分布", // value: 3
             "對數皮爾森第三類分布", // value: 4
-            "極端值第一類分布" // value: 5
+            "極端值第一類分布", // value: 5
+            "廣義極端值分布", // value: 6
+            "三參數對數常態分布" // value: 7
         ];
         // distType is 1-based, array is 0-based
         if (distType >= 1 && distType <= distributionNames.length) {
@@ -434,16 +1661,37 @@ export class UIManager {
         return "未知分布";
     }
 
+    /**
+     * 更新 KS 檢定圖標題，並附上 PPCC 相關係數；三參數對數常態分佈的樣本為負偏態時一併顯示警告。
+     * @param {number} distType - 機率分布的類型代碼。
+     * @param {Object} ksResults - KSTest.runTest() 的回傳結果物件。
+     */
+    static updateKSChartTitle(distType, ksResults) {
+        const distString = UIManager.getDistributionString(distType);
+        const skewWarning = ksResults && ksResults.negativeSkew
+            ? ' <span class="text-danger">(樣本為負偏態，tau 設為 0)</span>'
+            : '';
+        const ppcc = ksResults && ksResults.ppcc;
+        const ppccText = ppcc
+            ? ` <span class="${ppcc.fitted ? 'text-success' : 'text-danger'}">PPCC r = ${ppcc.r.toFixed(4)} (臨界值 ${ppcc.CriticalValue.toFixed(4)})</span>`
+            : '';
+        $(".KS-Chart-Title").html(`<strong>${distString} (95%)</strong>${ppccText}${skewWarning}`);
+    }
+
     /**
      * 綁定所有 UI 元素的事件監聽器。
      */
     static bindEventListeners() {
-        this.elements.durationSelect.on('change', () => {
+        this.elements.durationSelect.off('change').on('change', () => {
 
 
             this.redrawHistoricChart();
             const duration = this.elements.durationSelect.val();
             this.generateRainfallTable(duration); // 當延時改變時，重新產生表格
+            this.generateMethodComparisonTable(duration);
+            this.loadHistoricalInputs(duration);
+            this.generateEMATable(duration);
+            this.renderStatisticTestSummary(duration);
             // 更新所有與延時相關的標題
             $('.Freq-Duration').text(`(延時: ${duration} 分鐘)`);
 
@@ -461,22 +1709,56 @@ export class UIManager {
             chartDrawer.render(ks_results);
 
             // 更新圖表標題
-            const distString = UIManager.getDistributionString(currentDistType);
-            $(".KS-Chart-Title").html(`<strong>${distString} (95%)</strong>`);
+            this.updateKSChartTitle(currentDistType, ks_results);
         });
 
-        this.elements.trendLineCheckbox.on('change', () => {
+        // 參數推估法、頻率因子計算方法、低值離群檢定或區域偏態改變時，重新計算頻率分析結果、KS 檢定及卡方檢定表
+        this.elements.fittingMethodSelect.add(this.elements.ktMethodSelect).add(this.elements.lowOutlierSelect)
+            .add(this.elements.regionalSkewInput).add(this.elements.regionalSkewMSEInput).add(this.elements.postChangeOnlyCheckbox)
+            .off('change').on('change', () => {
+            this.fittingMethod = parseInt(this.elements.fittingMethodSelect.val(), 10);
+            this.ktMethod = parseInt(this.elements.ktMethodSelect.val(), 10);
+            this.lowOutlierMethod = parseInt(this.elements.lowOutlierSelect.val(), 10);
+            const skew = parseFloat(this.elements.regionalSkewInput.val());
+            const mse = parseFloat(this.elements.regionalSkewMSEInput.val());
+            this.elements.regionalSkewMSEInput.toggleClass("is-invalid", Number.isFinite(skew) && !(mse > 0));
+            this.regionalSkew = Number.isFinite(skew) && mse > 0 ? { skew, mse } : null;
+            this.postChangeOnly = this.elements.postChangeOnlyCheckbox.is(':checked');
+            this.data = this.analysisData();
+            this.updateDataTable();
+            this.updateSummaryTable();
+            this.generateHomogeneityTable();
+            this.generateSkewWeightingTable();
+            this.elements.durationSelect.trigger("change");
+            this.generateChiSquareTestTable();
+            this.generateBestFitTable();
+            this.generateDDFTable();
+            this.generateIDFTable();
+            this.generateHyetograph();
+            this.generateStormSeverityTable();
+        });
+
+        // 信賴水準或計算方法改變時，重新產生頻率分析結果表
+        this.elements.ciLevelSelect.add(this.elements.ciMethodSelect).off('change').on('change', () => {
+            this.ciLevel = parseFloat(this.elements.ciLevelSelect.val());
+            this.ciMethod = parseInt(this.elements.ciMethodSelect.val(), 10);
+            this.generateRainfallTable(this.elements.durationSelect.val());
+        });
+
+        this.elements.trendLineCheckbox.off('change').on('change', () => {
             TrendLineCheck = !TrendLineCheck;
             this.redrawHistoricChart();
         });
 
-        this.elements.exportSummaryBtn.on("click", () => {
+        this.elements.exportSummaryBtn.off("click").on("click", () => {
             const stationName = this.elements.stationNameLabel.first().text() || "station";
             const filename = `${stationName}_統計總覽.csv`;
             this.exportTableToCSV("#summaryTable", filename);
         });
 
-        this.elements.exportChartBtn.on("click", () => {
+        this.elements.exportXlsxBtn.off("click").on("click", () => this.exportWorkbook());
+
+        this.elements.exportChartBtn.off("click").on("click", () => {
             const canvas = $(this.elements.historicChart).find('canvas')[0];
             if (canvas) {
                 const stationName = this.elements.stationNameLabel.first().text() || "station";
@@ -494,11 +1776,12 @@ export class UIManager {
             }
         });
 
+        this.elements.annualMaxCollapse.off('hide.bs.collapse show.bs.collapse');
         this.elements.annualMaxCollapse.on('hide.bs.collapse', () => this.elements.annualMaxCollapseIcon.removeClass('fa-angle-up').addClass('fa-angle-down'));
         this.elements.annualMaxCollapse.on('show.bs.collapse', () => this.elements.annualMaxCollapseIcon.removeClass('fa-angle-down').addClass('fa-angle-up'));
 
         // 監聽機率分布選項 (radio buttons) 的變更事件
-        this.elements.mainForm.on('change', 'input[name="dist-type"]', (e) => {
+        this.elements.mainForm.off('change', 'input[name="dist-type"]').on('change', 'input[name="dist-type"]', (e) => {
             // 從點擊的 radio button 獲取其 value，此即為機率分布的類型代碼
             const distType = parseInt(e.target.value, 10);
 
@@ -518,12 +1801,61 @@ export class UIManager {
                 chartDrawer.render(ks_results);
 
                 // 3. 更新圖表標題
-                const distString = UIManager.getDistributionString(distType);
-                $(".KS-Chart-Title").html(`<strong>${distString} (95%)</strong>`);
+                this.updateKSChartTitle(distType, ks_results);
             }
         });
 
-        this.elements.findReturnPeriodBtn.on('click', () => {
+        this.elements.ddfDistSelect.off('change').on('change', () => {
+            this.generateDDFTable();
+            this.generateHyetograph();
+        });
+        this.elements.exportDDFCsvBtn.off('click').on('click', () => this.exportTableToCSV("#ddfTable", `${this.staNo}_DDF.csv`));
+        this.elements.exportDDFJsonBtn.off('click').on('click', () => this.exportDDFToJSON());
+
+        this.elements.idfDistSelect.off('change').on('change', () => {
+            this.generateIDFTable();
+            this.generateHyetograph();
+        });
+        this.elements.idfFormulaSelect.off('change').on('change', () => this.drawIDFChart());
+
+        this.elements.hyetographGenerateBtn.off('click').on('click', () => this.generateHyetograph());
+        this.elements.exportHyetographBtn.off('click').on('click', () => {
+            const method = this.elements.hyetographMethodSelect.find("option:selected").text();
+            const T = this.elements.hyetographRpSelect.val();
+            this.exportTableToCSV("#hyetographTable", `${this.staNo}_設計雨型_${method}_${T}年.csv`);
+        });
+
+        this.elements.potRunBtn.off('click').on('click', () => this.generatePOTAnalysis());
+
+        this.elements.emaApplyBtn.off('click').on('click', () => this.applyHistoricalData());
+        this.elements.emaClearBtn.off('click').on('click', () => {
+            this.elements.emaStartYearInput.add(this.elements.emaThresholdInput).add(this.elements.emaInput).val('');
+            this.applyHistoricalData();
+        });
+
+        this.elements.stormAnalyzeBtn.off('click').on('click', () => this.generateStormSeverityTable());
+
+        this.elements.stormFileInput.off('change').on('change', (event) => {
+            const file = event.target.files[0];
+            const label = this.elements.stormFileInput.next('.custom-file-label');
+            if (!file) {
+                label.text('選擇檔案');
+                return;
+            }
+            label.text(file.name);
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                // 依 BOM 及內容判斷編碼，Big5 及 UTF-16 匯出的組體圖亦可正確讀取
+                const { text, encoding } = decodeText(e.target.result);
+                label.text(`${file.name} (${encoding})`);
+                this.elements.stormInput.val(text);
+                this.generateStormSeverityTable();
+            };
+            reader.onerror = () => alert("讀取檔案時發生錯誤。");
+            reader.readAsArrayBuffer(file);
+        });
+
+        this.elements.findReturnPeriodBtn.off('click').on('click', () => {
             let rt = new FindReturnPeriod(Global_FreqResults.results);
             let value = this.elements.estimateValueInput.val();
             rt.findRP(value);
@@ -557,6 +1889,108 @@ export class UIManager {
         this.downloadCSV(csv.join("\n"), filename);
     }
 
+    /**
+     * 將分析結果匯出為 Excel 活頁簿 (.xlsx)，各項結果分別為一個工作表：年最大降雨量資料、統計總覽、
+     * 各延時各機率分布的頻率分析推估雨量、適合度檢定及最佳機率分布；DDF 及 IDF 表已產生者一併匯出。
+     */
+    static exportWorkbook() {
+        if (!this.data || this.data.length === 0) {
+            alert("尚無資料可供匯出。");
+            return;
+        }
+        const durations = getDurations(this.data);
+        const sheets = [{
+            name: "年最大降雨量",
+            rows: [["年份", "站號", ...durations]].concat(this.sourceData.map(row =>
+                [row.year, row.staNo ?? "", ...durations.map(dur => (isValidRain(row[dur]) ? row[dur] : null))]))
+        }, {
+            name: "統計總覽",
+            rows: this.tableToRows("#summaryTable")
+        }, {
+            name: "頻率分析",
+            rows: this.frequencyResultRows(durations)
+        }];
+        [["均一性檢定", "#homogeneityTable"], ["適合度檢定", "#chiSquareTable"], ["最佳機率分布", "#bestFitTable"], ["DDF", "#ddfTable"], ["IDF", "#idfTable"]]
+            .forEach(([name, selector]) => {
+                const rows = this.tableToRows(selector);
+                if (rows.length > 1) sheets.push({ name, rows });
+            });
+
+        const file = new Blob([writeWorkbook(sheets)], { type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" });
+        const downloadLink = document.createElement("a");
+        downloadLink.download = `${this.staNo}_頻率分析.xlsx`;
+        downloadLink.href = window.URL.createObjectURL(file);
+        downloadLink.style.display = "none";
+        document.body.appendChild(downloadLink);
+        downloadLink.click();
+        document.body.removeChild(downloadLink);
+    }
+
+    /**
+     * 計算所有延時、所有機率分布在預設重現期的推估雨量，供匯出工作表。
+     * @param {number[]} durations - 延時陣列 (分鐘)。
+     * @returns {Array<Array<(string|number|null)>>} 第一列為標題，其後每列為一個延時、一個機率分布；無法推估者為 null。
+     */
+    static frequencyResultRows(durations) {
+        const fa = new FrequencyAnalysis(this.analysisOptions());
+        const method = this.elements.fittingMethodSelect.find("option:selected").text();
+        const rows = [["延時 (分鐘)", "機率分布", "參數推估法", "樣本數", ...DEFAULT_RETURN_PERIODS.map(T => `${T}年`)]];
+        durations.forEach(duration => {
+            const rainData = getDurationRain(this.data, duration);
+            Object.values(fa.DistributionType).forEach(distType => {
+                let values;
+                try {
+                    const fit = fa.fit(distType, rainData);
+                    values = DEFAULT_RETURN_PERIODS.map(T => {
+                        const Q = fa.quantile(fit, T).Qest;
+                        return Number.isFinite(Q) ? Number(Q.toFixed(2)) : null;
+                    });
+                } catch (e) {
+                    values = DEFAULT_RETURN_PERIODS.map(() => null);
+                }
+                rows.push([duration, fa.menuDr[distType - 1], method, rainData.length, ...values]);
+            });
+            const historical = this.fitHistorical(duration);
+            if (historical && historical.fit) {
+                const fit = { ...historical.fit, distType: fa.DistributionType.LogPearsonType3 };
+                rows.push([duration, fa.menuDr[fa.DistributionType.LogPearsonType3 - 1], "期望動差法 (含歷史資料)", historical.fit.ema.n,
+                    ...DEFAULT_RETURN_PERIODS.map(T => {
+                        const Q = fa.quantile(fit, T).Qest;
+                        return Number.isFinite(Q) ? Number(Q.toFixed(2)) : null;
+                    })]);
+            }
+        });
+        return rows;
+    }
+
+    /**
+     * 將 HTML 表格轉為二維陣列，合併儲存格 (colspan、rowspan) 展開為重複的空白欄位；數值文字轉為數值。
+     * @param {string} tableSelector - 表格的 jQuery 選擇器。
+     * @returns {Array<Array<(string|number)>>} 各列儲存格。
+     */
+    static tableToRows(tableSelector) {
+        const grid = [];
+        $(`${tableSelector} tr`).each(function (r) {
+            grid[r] = grid[r] || [];
+            let c = 0;
+            $(this).find("td, th").each(function () {
+                while (grid[r][c] !== undefined) c++;
+                const text = $(this).text().replace(/\s+/g, " ").trim();
+                const value = /^-?\d+(\.\d+)?(e[+-]?\d+)?$/i.test(text) ? Number(text) : text;
+                const colspan = parseInt($(this).attr("colspan"), 10) || 1;
+                const rowspan = parseInt($(this).attr("rowspan"), 10) || 1;
+                for (let i = 0; i < rowspan; i++) {
+                    grid[r + i] = grid[r + i] || [];
+                    for (let j = 0; j < colspan; j++) {
+                        grid[r + i][c + j] = i === 0 && j === 0 ? value : "";
+                    }
+                }
+                c += colspan;
+            });
+        });
+        return grid.map(row => Array.from(row, cell => cell ?? ""));
+    }
+
     /**
      * 觸發 CSV 檔案下載。
      * @param {string} csv - CSV 格式的字串。
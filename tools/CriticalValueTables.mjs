@@ -0,0 +1,132 @@
+/**
+ * @fileoverview
+ * Monte Carlo generator for the simulated critical value tables of the Anderson-Darling test
+ * (AndersonDarlingTest.GumbelTable, Pearson3Table and GEVTable) and the PPCC test (PPCCTest.NormalTable,
+ * GumbelTable, Pearson3Table and GEVTable).
+ *
+ * For every tabulated shape and sample size, samples are drawn from the distribution with that shape,
+ * the parameters are re-estimated with the requested fitting method and the statistic is computed with
+ * the test class itself, so the tables always match the code that uses them. Every entry has its own
+ * fixed seed, so a run reproduces the tables exactly.
+ *
+ * Samples with an observation outside the fitted range are a rejection in the Anderson-Darling test
+ * (A² is infinite), so the A² quantiles are taken over the remaining samples; the share of such samples
+ * is printed to stderr. Samples whose fit fails or whose statistic is undefined are skipped and counted.
+ *
+ * The A² quantiles are tabulated as simulated (the standard error is about 0.01 at the 95% level and up to
+ * 0.03 at the 99% level). They need not grow with n: maximum likelihood fits of samples of 10 to 20 often put
+ * the Pearson Type III bound at the smallest observation, which makes A² large for small n.
+ * The lower critical values of r grow towards 1 with the sample size, so each confidence level is made
+ * nondecreasing in n by isotonic regression (pool adjacent violators). This removes the Monte Carlo noise
+ * where the values are nearly flat in n. It also flattens the GEV method-of-moments entries for k <= -0.2:
+ * the sample skew underestimates such heavy tails more as n grows, so the raw quantiles fall slightly with n.
+ *
+ * Usage (Node 20 needs --experimental-detect-module because the repository has no package.json):
+ *   node --experimental-detect-module tools/CriticalValueTables.mjs <test> <family> <method> [replicates]
+ *   - test: ad or ppcc
+ *   - family: pearson3 or gev (one table per shape), gumbel (ad: the A*² row at n = 50 for the method;
+ *     ppcc: the table for every method), normal (ppcc only, the table for every method)
+ *   - method: the FrequencyAnalysis.FittingMethod value (1 Moments, 2 LMoments, 3 MaximumLikelihood)
+ * The output is the table for that fitting method, ready to paste into the test class.
+ */
+import { AndersonDarlingTest } from "../src/Frequency/AndersonDarlingTest.js";
+import { PPCCTest } from "../src/Frequency/PPCCTest.js";
+
+const [testName, familyName, methodArg, replicatesArg] = process.argv.slice(2);
+const fittingMethod = Number(methodArg);
+const replicates = Number(replicatesArg) || 20000;
+const families = testName === "ad" ? ["pearson3", "gev", "gumbel"] : ["pearson3", "gev", "gumbel", "normal"];
+if (!["ad", "ppcc"].includes(testName) || !families.includes(familyName) || ![1, 2, 3].includes(fittingMethod)) {
+    console.error("Usage: CriticalValueTables.mjs <ad|ppcc> <pearson3|gev|gumbel|normal> <1|2|3> [replicates]");
+    process.exit(1);
+}
+
+const test = testName === "ad" ? new AndersonDarlingTest({ fittingMethod }) : new PPCCTest({ fittingMethod });
+const { fa, utils } = test;
+const types = test.DistributionType;
+const distType = {
+    pearson3: types.PearsonType3,
+    gev: types.GEV,
+    gumbel: types.ExtremeValueType1,
+    normal: types.Normal
+}[familyName];
+
+// Shape parameters and sample sizes of the table; the Anderson-Darling Gumbel row is for n = 50
+let shapes = [0], shapeLabel = null;
+if (distType === types.GEV) [shapes, shapeLabel] = [test.GEVShape, "k"];
+if (distType === types.PearsonType3) [shapes, shapeLabel] = [test.Pearson3Skew, "|Cs|"];
+const singleRow = testName === "ad" && distType === types.ExtremeValueType1;
+const sampleSizes = singleRow ? [50] : test.SampleSizes;
+
+// A² is rejected in the upper tail, r in the lower tail
+const levels = testName === "ad" ? [0.85, 0.9, 0.95, 0.975, 0.99] : [0.15, 0.1, 0.05, 0.025, 0.01];
+const digits = testName === "ad" ? 3 : 4;
+const statistic = testName === "ad"
+    // The Gumbel table holds the modified statistic A*² = A²(1 + 0.2/√n), as in AndersonDarlingTest.runTest()
+    ? sample => test.statistic(distType, sample).A2 * (singleRow ? 1 + 0.2 / Math.sqrt(sample.length) : 1)
+    : sample => test.correlation(distType, sample).r;
+
+/** Linearly interpolated quantile of an ascending array. */
+const quantile = (sorted, p) => {
+    const pos = p * (sorted.length - 1);
+    const i = Math.floor(pos);
+    return i >= sorted.length - 1 ? sorted[sorted.length - 1] : sorted[i] + (pos - i) * (sorted[i + 1] - sorted[i]);
+};
+
+/** Pool adjacent violators: the nondecreasing sequence closest to values in least squares. */
+const isotonic = values => {
+    const blocks = [];
+    for (const value of values) {
+        blocks.push({ sum: value, count: 1 });
+        while (blocks.length > 1) {
+            const [prev, last] = blocks.slice(-2);
+            if (prev.sum / prev.count <= last.sum / last.count) break;
+            blocks.pop();
+            prev.sum += last.sum;
+            prev.count += last.count;
+        }
+    }
+    return blocks.flatMap(block => new Array(block.count).fill(block.sum / block.count));
+};
+
+const lines = [];
+shapes.forEach((shape, shapeIndex) => {
+    // Location 100 and scale 30 are arbitrary: every statistic here is location and scale invariant
+    const base = distType === types.GEV
+        ? { distType, M: 0, SD: 1, gev: { location: 100, scale: 30, shape } }
+        : { distType, M: 100, SD: 30, Cs: shape };
+    const quantiles = [];
+    for (const n of sampleSizes) {
+        const random = utils.createRandom(20061019 + 100000 * (10 * distType + fittingMethod) + 1000 * shapeIndex + n);
+        const values = [];
+        let outside = 0, failed = 0;
+        for (let b = 0; b < replicates; b++) {
+            const sample = [];
+            for (let i = 0; i < n; i++) sample.push(fa.quantile(base, 1 / (1 - random())).Qest);
+            let value;
+            try {
+                value = statistic(sample);
+            } catch (e) {
+                failed++;
+                continue;
+            }
+            if (value === Infinity) outside++;
+            else if (Number.isFinite(value)) values.push(value);
+            else failed++;
+        }
+        values.sort((a, b) => a - b);
+        quantiles.push(levels.map(p => quantile(values, p)));
+        console.error(`${shapeLabel ? `${shapeLabel} = ${shape}, ` : ""}n = ${n}: ` +
+            `outside ${(100 * outside / replicates).toFixed(1)}%, failed ${failed}`);
+    }
+    const columns = levels.map((p, j) => quantiles.map(row => row[j])).map(testName === "ppcc" ? isotonic : column => column);
+    const rows = quantiles.map((row, i) => `[${columns.map(column => column[i].toFixed(digits)).join(", ")}]`);
+    if (singleRow) {
+        lines.push(rows[0]);
+        return;
+    }
+    if (shapeLabel) lines.push(`// ${shapeLabel} = ${shape}`);
+    lines.push("[", ...rows.map((row, i) => `    ${row}${i < rows.length - 1 ? "," : ""}`),
+        `]${shapeIndex < shapes.length - 1 ? "," : ""}`);
+});
+console.log(lines.join("\n"));